@@ -7,6 +7,38 @@ CREATE TABLE IF NOT EXISTS users (
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Create workspaces table (teams; a workspace owns its connected accounts and their data)
+CREATE TABLE IF NOT EXISTS workspaces (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  require_approval BOOLEAN NOT NULL DEFAULT FALSE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create workspace_members table (role is owner, admin, editor or viewer)
+CREATE TABLE IF NOT EXISTS workspace_members (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(workspace_id, user_id)
+);
+
+-- Create workspace_invitations table (pending invites by email; only a hash of the token is kept)
+CREATE TABLE IF NOT EXISTS workspace_invitations (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  accepted_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Create posts table
 CREATE TABLE IF NOT EXISTS posts (
   id SERIAL PRIMARY KEY,
@@ -27,19 +59,22 @@ CREATE TABLE IF NOT EXISTS schedules (
 -- Create social_accounts table
 CREATE TABLE IF NOT EXISTS social_accounts (
   id SERIAL PRIMARY KEY,
-  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
   platform VARCHAR(50) NOT NULL,
   access_token TEXT,
   refresh_token TEXT,
+  token_expires_at TIMESTAMP,
+  token_refreshed_at TIMESTAMP,
   connected BOOLEAN DEFAULT FALSE,
+  disconnected_reason TEXT,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  UNIQUE(user_id, platform)
+  UNIQUE(workspace_id, platform)
 );
 
 -- Create facebook_pages table
 CREATE TABLE IF NOT EXISTS facebook_pages (
   id SERIAL PRIMARY KEY,
-  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
   page_id VARCHAR(255) NOT NULL,
   page_name VARCHAR(255) NOT NULL,
   page_access_token TEXT NOT NULL,
@@ -47,39 +82,197 @@ CREATE TABLE IF NOT EXISTS facebook_pages (
   followers_count INTEGER DEFAULT 0,
   is_selected BOOLEAN DEFAULT FALSE,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  UNIQUE(user_id, page_id)
+  UNIQUE(workspace_id, page_id)
+);
+
+-- Create media_assets table (the workspace's uploaded images and videos).
+-- Files live in storage ('local' or 's3') under storage_key; a file is
+-- stored once per workspace, found again by its SHA-256 checksum.
+CREATE TABLE IF NOT EXISTS media_assets (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  filename VARCHAR(255) NOT NULL,
+  mime_type VARCHAR(100) NOT NULL,
+  media_type VARCHAR(20) NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  width INTEGER,
+  height INTEGER,
+  duration_ms INTEGER,
+  checksum CHAR(64) NOT NULL,
+  storage VARCHAR(20) NOT NULL,
+  storage_key TEXT NOT NULL,
+  thumbnail_key TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(workspace_id, checksum)
+);
+
+-- Create scheduled_post_series table (recurring posts). Each occurrence is
+-- created as its own scheduled post, a rolling window ahead of time, so it
+-- can be edited or skipped on its own. Every occurrence keeps the local time
+-- of day (in time_zone) of starts_at, the first one.
+CREATE TABLE IF NOT EXISTS scheduled_post_series (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  media_url TEXT,
+  media_ids INTEGER[] NOT NULL DEFAULT '{}',
+  platform_options JSONB NOT NULL DEFAULT '{}',
+  targets JSONB NOT NULL DEFAULT '[]',
+  recurrence_rule TEXT NOT NULL,
+  time_zone VARCHAR(64) NOT NULL,
+  starts_at TIMESTAMPTZ NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'active',
+  expanded_until TIMESTAMPTZ,
+  stopped_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create posting_queues table (one per account; a post added to the queue
+-- takes the next free weekly slot, and a paused queue publishes nothing)
+CREATE TABLE IF NOT EXISTS posting_queues (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  platform VARCHAR(50) NOT NULL,
+  account_id VARCHAR(255) NOT NULL,
+  time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  paused BOOLEAN NOT NULL DEFAULT FALSE,
+  paused_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP,
+  UNIQUE(workspace_id, platform, account_id)
+);
+
+-- Create posting_slots table (a queue's weekly posting times, local to its
+-- time zone; weekday 0 is Monday)
+CREATE TABLE IF NOT EXISTS posting_slots (
+  id SERIAL PRIMARY KEY,
+  queue_id INTEGER NOT NULL REFERENCES posting_queues(id) ON DELETE CASCADE,
+  weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+  slot_time TIME NOT NULL,
+  UNIQUE(queue_id, weekday, slot_time)
 );
 
 -- Create scheduled_posts table with media support
+-- (platform, page_id and facebook_post_id are from single-target posts;
+-- each platform a post goes to now has a row in scheduled_post_targets).
+-- scheduled_time is the UTC instant; time_zone is the author's IANA zone.
+-- media_ids lists the media library files attached, in order, and media_url
+-- is the first one's URL (or a bare URL when there are none).
+-- platform_options holds per-platform publishing options, keyed by platform
+-- (e.g. {"instagram": {"format": "reel", "shareToFeed": true}}).
 CREATE TABLE IF NOT EXISTS scheduled_posts (
   id SERIAL PRIMARY KEY,
   user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  platform VARCHAR(50),
   page_id VARCHAR(255),
   content TEXT NOT NULL,
-  scheduled_time TIMESTAMP NOT NULL,
+  scheduled_time TIMESTAMPTZ NOT NULL,
+  time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  series_id INTEGER REFERENCES scheduled_post_series(id) ON DELETE SET NULL,
+  occurrence_time TIMESTAMPTZ,
+  queue_id INTEGER REFERENCES posting_queues(id) ON DELETE SET NULL,
+  queue_position INTEGER,
   status VARCHAR(50) DEFAULT 'pending',
+  approval_status VARCHAR(20) NOT NULL DEFAULT 'scheduled',
   media_url TEXT,
+  media_ids INTEGER[] NOT NULL DEFAULT '{}',
+  platform_options JSONB NOT NULL DEFAULT '{}',
   facebook_post_id VARCHAR(255),
   published_at TIMESTAMP,
+  failed_at TIMESTAMP,
+  updated_at TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Create scheduled_post_targets table (one row per platform account a post goes to)
+CREATE TABLE IF NOT EXISTS scheduled_post_targets (
+  id SERIAL PRIMARY KEY,
+  scheduled_post_id INTEGER NOT NULL REFERENCES scheduled_posts(id) ON DELETE CASCADE,
+  platform VARCHAR(50) NOT NULL,
+  account_id VARCHAR(255) NOT NULL,
+  status VARCHAR(50) NOT NULL DEFAULT 'pending',
+  external_post_id VARCHAR(255),
+  attempt_count INTEGER NOT NULL DEFAULT 0,
+  next_retry_at TIMESTAMP,
+  last_error JSONB,
+  publishing_at TIMESTAMP,
+  published_at TIMESTAMP,
+  failed_at TIMESTAMP,
+  -- How far a publish that spans several attempts has got (Instagram's
+  -- containers while it processes video); see PublishPendingError
+  publish_state JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(scheduled_post_id, platform, account_id)
+);
+
+-- Create scheduled_post_events table (audit trail of who created, submitted,
+-- approved, rejected or commented on a post)
+CREATE TABLE IF NOT EXISTS scheduled_post_events (
+  id SERIAL PRIMARY KEY,
+  scheduled_post_id INTEGER NOT NULL REFERENCES scheduled_posts(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  action VARCHAR(20) NOT NULL,
+  from_status VARCHAR(20),
+  to_status VARCHAR(20),
+  comment TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create scheduled_post_revisions table (every saved version of a post, with
+-- the fields that changed from the one before)
+CREATE TABLE IF NOT EXISTS scheduled_post_revisions (
+  id SERIAL PRIMARY KEY,
+  scheduled_post_id INTEGER NOT NULL REFERENCES scheduled_posts(id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  content TEXT NOT NULL,
+  scheduled_time TIMESTAMPTZ NOT NULL,
+  time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  media_url TEXT,
+  media_ids INTEGER[] NOT NULL DEFAULT '{}',
+  platform_options JSONB NOT NULL DEFAULT '{}',
+  targets JSONB NOT NULL DEFAULT '[]',
+  changed_fields TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(scheduled_post_id, revision)
+);
+
 -- Create facebook_insights table
 CREATE TABLE IF NOT EXISTS facebook_insights (
   id SERIAL PRIMARY KEY,
-  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
   page_id VARCHAR(255) NOT NULL,
   metric_name VARCHAR(100) NOT NULL,
   metric_value FLOAT,
   insight_date DATE NOT NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  UNIQUE(page_id, metric_name, insight_date)
+  UNIQUE(workspace_id, page_id, metric_name, insight_date)
+);
+
+-- Create facebook_posts table
+CREATE TABLE IF NOT EXISTS facebook_posts (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  page_id VARCHAR(255) NOT NULL,
+  post_id VARCHAR(255) NOT NULL,
+  message TEXT,
+  media_type VARCHAR(50),
+  permalink_url TEXT,
+  likes_count INTEGER DEFAULT 0,
+  comments_count INTEGER DEFAULT 0,
+  shares_count INTEGER DEFAULT 0,
+  created_time TIMESTAMP,
+  fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(workspace_id, page_id, post_id)
 );
 
 -- Create instagram_accounts table
 CREATE TABLE IF NOT EXISTS instagram_accounts (
   id SERIAL PRIMARY KEY,
-  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
   instagram_id VARCHAR(255) NOT NULL,
   username VARCHAR(255) NOT NULL,
   profile_picture_url TEXT,
@@ -88,13 +281,13 @@ CREATE TABLE IF NOT EXISTS instagram_accounts (
   is_selected BOOLEAN DEFAULT FALSE,
   access_token TEXT NOT NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  UNIQUE(user_id, instagram_id)
+  UNIQUE(workspace_id, instagram_id)
 );
 
 -- Create instagram_media table
 CREATE TABLE IF NOT EXISTS instagram_media (
   id SERIAL PRIMARY KEY,
-  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
   instagram_id VARCHAR(255) NOT NULL,
   media_id VARCHAR(255) NOT NULL,
   caption TEXT,
@@ -104,13 +297,13 @@ CREATE TABLE IF NOT EXISTS instagram_media (
   comments_count INTEGER DEFAULT 0,
   created_time TIMESTAMP,
   fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  UNIQUE(instagram_id, media_id)
+  UNIQUE(workspace_id, instagram_id, media_id)
 );
 
 -- Create twitter_accounts table
 CREATE TABLE IF NOT EXISTS twitter_accounts (
   id SERIAL PRIMARY KEY,
-  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
   twitter_id VARCHAR(255) NOT NULL,
   username VARCHAR(255) NOT NULL,
   profile_picture_url TEXT,
@@ -119,14 +312,17 @@ CREATE TABLE IF NOT EXISTS twitter_accounts (
   is_selected BOOLEAN DEFAULT FALSE,
   access_token TEXT NOT NULL,
   refresh_token TEXT,
+  token_expires_at TIMESTAMP,
+  connected BOOLEAN DEFAULT TRUE,
+  disconnected_reason TEXT,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  UNIQUE(user_id, twitter_id)
+  UNIQUE(workspace_id, twitter_id)
 );
 
 -- Create twitter_tweets table
 CREATE TABLE IF NOT EXISTS twitter_tweets (
   id SERIAL PRIMARY KEY,
-  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
   twitter_id VARCHAR(255) NOT NULL,
   tweet_id VARCHAR(255) NOT NULL,
   text TEXT,
@@ -135,18 +331,397 @@ CREATE TABLE IF NOT EXISTS twitter_tweets (
   replies_count INTEGER DEFAULT 0,
   created_time TIMESTAMP,
   fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  UNIQUE(twitter_id, tweet_id)
+  UNIQUE(workspace_id, twitter_id, tweet_id)
 );
 
+-- Create linkedin_organizations table (company pages the member administers)
+CREATE TABLE IF NOT EXISTS linkedin_organizations (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  organization_id VARCHAR(255) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  vanity_name VARCHAR(255),
+  followers_count INTEGER DEFAULT 0,
+  is_selected BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(workspace_id, organization_id)
+);
+
+-- Create linkedin_posts table
+CREATE TABLE IF NOT EXISTS linkedin_posts (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  organization_id VARCHAR(255) NOT NULL,
+  post_id VARCHAR(255) NOT NULL,
+  text TEXT,
+  media_type VARCHAR(50),
+  likes_count INTEGER DEFAULT 0,
+  comments_count INTEGER DEFAULT 0,
+  created_time TIMESTAMP,
+  fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(workspace_id, organization_id, post_id)
+);
+
+-- Create account_metrics_daily table (one row per account per day, for history charts)
+CREATE TABLE IF NOT EXISTS account_metrics_daily (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  platform VARCHAR(50) NOT NULL,
+  account_id VARCHAR(255) NOT NULL,
+  metric_date DATE NOT NULL,
+  followers INTEGER,
+  engagement INTEGER,
+  impressions INTEGER,
+  post_count INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(workspace_id, platform, account_id, metric_date)
+);
+
+-- Create post_metrics_daily table (append-only engagement history, one row per post per day)
+CREATE TABLE IF NOT EXISTS post_metrics_daily (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  platform VARCHAR(50) NOT NULL,
+  account_id VARCHAR(255) NOT NULL,
+  post_id VARCHAR(255) NOT NULL,
+  metric_date DATE NOT NULL,
+  likes_count INTEGER DEFAULT 0,
+  comments_count INTEGER DEFAULT 0,
+  shares_count INTEGER DEFAULT 0,
+  replies_count INTEGER DEFAULT 0,
+  collected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(workspace_id, platform, post_id, metric_date)
+);
+
+-- Create metrics_collection_log table (which accounts the daily collector has done each day)
+CREATE TABLE IF NOT EXISTS metrics_collection_log (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+  platform VARCHAR(50) NOT NULL,
+  account_id VARCHAR(255) NOT NULL,
+  collected_on DATE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(workspace_id, platform, account_id, collected_on)
+);
+
+-- Create sync_cursors table (per-account content sync position)
+CREATE TABLE IF NOT EXISTS sync_cursors (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  platform VARCHAR(50) NOT NULL,
+  account_id VARCHAR(255) NOT NULL,
+  status VARCHAR(50) DEFAULT 'idle',
+  newest_post_id VARCHAR(255),
+  newest_post_time TIMESTAMP,
+  next_cursor TEXT,
+  pending_newest_id VARCHAR(255),
+  pending_newest_time TIMESTAMP,
+  error TEXT,
+  started_at TIMESTAMP,
+  last_synced_at TIMESTAMP,
+  UNIQUE(workspace_id, platform, account_id)
+);
+
+-- Create export_jobs table (background CSV/NDJSON exports)
+CREATE TABLE IF NOT EXISTS export_jobs (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  kind VARCHAR(50) NOT NULL,
+  format VARCHAR(20) NOT NULL,
+  params JSONB NOT NULL,
+  status VARCHAR(50) DEFAULT 'pending',
+  file_path TEXT,
+  row_count INTEGER,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  expires_at TIMESTAMP
+);
+
+-- Create sync_jobs table (full content syncs, run in the background)
+CREATE TABLE IF NOT EXISTS sync_jobs (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  platforms TEXT[] NOT NULL,
+  status VARCHAR(50) DEFAULT 'pending',
+  results JSONB,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+-- Create oauth_sessions table (in-flight OAuth logins: state nonce + PKCE verifier)
+CREATE TABLE IF NOT EXISTS oauth_sessions (
+  state VARCHAR(255) PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  platform VARCHAR(50) NOT NULL,
+  code_verifier VARCHAR(255) NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create brands table (named groups of accounts across platforms)
+CREATE TABLE IF NOT EXISTS brands (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(workspace_id, name)
+);
+
+-- Create brand_accounts table (one row per platform account in a brand)
+CREATE TABLE IF NOT EXISTS brand_accounts (
+  id SERIAL PRIMARY KEY,
+  brand_id INTEGER NOT NULL REFERENCES brands(id) ON DELETE CASCADE,
+  platform VARCHAR(50) NOT NULL,
+  account_id VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(brand_id, platform, account_id)
+);
+
+-- Upgrade databases from before workspaces, when data belonged to a user:
+-- give every user without a membership a personal workspace they own, then
+-- move each user's rows into it. This runs before the indexes below, which
+-- need the workspace_id columns.
+WITH missing AS (
+  SELECT id, name FROM users u
+  WHERE NOT EXISTS (SELECT 1 FROM workspace_members m WHERE m.user_id = u.id)
+),
+created AS (
+  INSERT INTO workspaces (name, created_by)
+  SELECT name || '''s workspace', id FROM missing
+  RETURNING id, created_by
+)
+INSERT INTO workspace_members (workspace_id, user_id, role)
+SELECT id, created_by, 'owner' FROM created;
+
+ALTER TABLE scheduled_posts ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE export_jobs ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE oauth_sessions ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE;
+DELETE FROM oauth_sessions WHERE workspace_id IS NULL;
+
+-- Tables still carrying the owner's user_id get a workspace_id filled from
+-- the owner's workspace. Where the user was only the owner, user_id is kept
+-- as a nullable legacy column; on scheduled posts and exports it stays as
+-- the author / requester.
+DO $$
+DECLARE
+  owned TEXT;
+BEGIN
+  FOREACH owned IN ARRAY ARRAY[
+    'social_accounts', 'facebook_pages', 'facebook_insights', 'facebook_posts',
+    'instagram_accounts', 'instagram_media', 'twitter_accounts', 'twitter_tweets',
+    'linkedin_organizations', 'linkedin_posts', 'account_metrics_daily',
+    'post_metrics_daily', 'sync_cursors', 'brands', 'scheduled_posts', 'export_jobs'
+  ] LOOP
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = owned AND column_name = 'user_id') THEN
+      EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE', owned);
+      EXECUTE format(
+        'UPDATE %I t SET workspace_id = m.workspace_id
+         FROM workspace_members m
+         WHERE t.workspace_id IS NULL AND m.user_id = t.user_id AND m.role = ''owner''',
+        owned
+      );
+      IF owned NOT IN ('scheduled_posts', 'export_jobs') THEN
+        EXECUTE format('ALTER TABLE %I ALTER COLUMN user_id DROP NOT NULL', owned);
+      END IF;
+    END IF;
+  END LOOP;
+END $$;
+
+-- Per-user uniqueness becomes per-workspace (index names match the fresh tables' constraints)
+ALTER TABLE social_accounts DROP CONSTRAINT IF EXISTS social_accounts_user_id_platform_key;
+ALTER TABLE facebook_pages DROP CONSTRAINT IF EXISTS facebook_pages_user_id_page_id_key;
+ALTER TABLE instagram_accounts DROP CONSTRAINT IF EXISTS instagram_accounts_user_id_instagram_id_key;
+ALTER TABLE twitter_accounts DROP CONSTRAINT IF EXISTS twitter_accounts_user_id_twitter_id_key;
+ALTER TABLE linkedin_organizations DROP CONSTRAINT IF EXISTS linkedin_organizations_user_id_organization_id_key;
+ALTER TABLE brands DROP CONSTRAINT IF EXISTS brands_user_id_name_key;
+CREATE UNIQUE INDEX IF NOT EXISTS social_accounts_workspace_id_platform_key ON social_accounts(workspace_id, platform);
+CREATE UNIQUE INDEX IF NOT EXISTS facebook_pages_workspace_id_page_id_key ON facebook_pages(workspace_id, page_id);
+CREATE UNIQUE INDEX IF NOT EXISTS instagram_accounts_workspace_id_instagram_id_key ON instagram_accounts(workspace_id, instagram_id);
+CREATE UNIQUE INDEX IF NOT EXISTS twitter_accounts_workspace_id_twitter_id_key ON twitter_accounts(workspace_id, twitter_id);
+CREATE UNIQUE INDEX IF NOT EXISTS linkedin_organizations_workspace_id_organization_id_key ON linkedin_organizations(workspace_id, organization_id);
+CREATE UNIQUE INDEX IF NOT EXISTS brands_workspace_id_name_key ON brands(workspace_id, name);
+
+-- Two workspaces can connect the same account, so stored content, metrics
+-- and sync cursors are kept per workspace too (index names match the fresh
+-- tables' constraints, as Postgres truncates them)
+ALTER TABLE metrics_collection_log ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE facebook_insights DROP CONSTRAINT IF EXISTS facebook_insights_page_id_metric_name_insight_date_key;
+ALTER TABLE facebook_posts DROP CONSTRAINT IF EXISTS facebook_posts_page_id_post_id_key;
+ALTER TABLE instagram_media DROP CONSTRAINT IF EXISTS instagram_media_instagram_id_media_id_key;
+ALTER TABLE twitter_tweets DROP CONSTRAINT IF EXISTS twitter_tweets_twitter_id_tweet_id_key;
+ALTER TABLE linkedin_posts DROP CONSTRAINT IF EXISTS linkedin_posts_organization_id_post_id_key;
+ALTER TABLE account_metrics_daily DROP CONSTRAINT IF EXISTS account_metrics_daily_platform_account_id_metric_date_key;
+ALTER TABLE post_metrics_daily DROP CONSTRAINT IF EXISTS post_metrics_daily_platform_post_id_metric_date_key;
+ALTER TABLE metrics_collection_log DROP CONSTRAINT IF EXISTS metrics_collection_log_platform_account_id_collected_on_key;
+ALTER TABLE sync_cursors DROP CONSTRAINT IF EXISTS sync_cursors_platform_account_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS facebook_insights_workspace_id_page_id_metric_name_insight__key
+  ON facebook_insights(workspace_id, page_id, metric_name, insight_date);
+CREATE UNIQUE INDEX IF NOT EXISTS facebook_posts_workspace_id_page_id_post_id_key ON facebook_posts(workspace_id, page_id, post_id);
+CREATE UNIQUE INDEX IF NOT EXISTS instagram_media_workspace_id_instagram_id_media_id_key
+  ON instagram_media(workspace_id, instagram_id, media_id);
+CREATE UNIQUE INDEX IF NOT EXISTS twitter_tweets_workspace_id_twitter_id_tweet_id_key ON twitter_tweets(workspace_id, twitter_id, tweet_id);
+CREATE UNIQUE INDEX IF NOT EXISTS linkedin_posts_workspace_id_organization_id_post_id_key
+  ON linkedin_posts(workspace_id, organization_id, post_id);
+CREATE UNIQUE INDEX IF NOT EXISTS account_metrics_daily_workspace_id_platform_account_id_metr_key
+  ON account_metrics_daily(workspace_id, platform, account_id, metric_date);
+CREATE UNIQUE INDEX IF NOT EXISTS post_metrics_daily_workspace_id_platform_post_id_metric_dat_key
+  ON post_metrics_daily(workspace_id, platform, post_id, metric_date);
+CREATE UNIQUE INDEX IF NOT EXISTS metrics_collection_log_workspace_id_platform_account_id_col_key
+  ON metrics_collection_log(workspace_id, platform, account_id, collected_on);
+CREATE UNIQUE INDEX IF NOT EXISTS sync_cursors_workspace_id_platform_account_id_key ON sync_cursors(workspace_id, platform, account_id);
+
 -- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON workspace_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_workspace_invitations_workspace_id ON workspace_invitations(workspace_id);
 CREATE INDEX IF NOT EXISTS idx_posts_user_id ON posts(user_id);
 CREATE INDEX IF NOT EXISTS idx_schedules_user_id ON schedules(user_id);
-CREATE INDEX IF NOT EXISTS idx_social_accounts_user_id ON social_accounts(user_id);
-CREATE INDEX IF NOT EXISTS idx_facebook_pages_user_id ON facebook_pages(user_id);
-CREATE INDEX IF NOT EXISTS idx_scheduled_posts_user_id ON scheduled_posts(user_id);
+CREATE INDEX IF NOT EXISTS idx_social_accounts_workspace_id ON social_accounts(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_facebook_pages_workspace_id ON facebook_pages(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_scheduled_posts_workspace_id ON scheduled_posts(workspace_id);
 CREATE INDEX IF NOT EXISTS idx_scheduled_posts_status ON scheduled_posts(status);
+CREATE INDEX IF NOT EXISTS idx_scheduled_posts_scheduled_time ON scheduled_posts(scheduled_time);
+CREATE INDEX IF NOT EXISTS idx_media_assets_workspace_id ON media_assets(workspace_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_scheduled_post_series_workspace_id ON scheduled_post_series(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_posting_queues_workspace_id ON posting_queues(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_scheduled_post_targets_post_id ON scheduled_post_targets(scheduled_post_id);
+CREATE INDEX IF NOT EXISTS idx_scheduled_post_targets_status ON scheduled_post_targets(status);
+CREATE INDEX IF NOT EXISTS idx_scheduled_post_events_post_id ON scheduled_post_events(scheduled_post_id);
 CREATE INDEX IF NOT EXISTS idx_facebook_insights_page_id ON facebook_insights(page_id);
-CREATE INDEX IF NOT EXISTS idx_instagram_accounts_user_id ON instagram_accounts(user_id);
+CREATE INDEX IF NOT EXISTS idx_facebook_posts_workspace_created ON facebook_posts(workspace_id, created_time);
+CREATE INDEX IF NOT EXISTS idx_instagram_accounts_workspace_id ON instagram_accounts(workspace_id);
 CREATE INDEX IF NOT EXISTS idx_instagram_media_instagram_id ON instagram_media(instagram_id);
-CREATE INDEX IF NOT EXISTS idx_twitter_accounts_user_id ON twitter_accounts(user_id);
+CREATE INDEX IF NOT EXISTS idx_twitter_accounts_workspace_id ON twitter_accounts(workspace_id);
 CREATE INDEX IF NOT EXISTS idx_twitter_tweets_twitter_id ON twitter_tweets(twitter_id);
+CREATE INDEX IF NOT EXISTS idx_linkedin_organizations_workspace_id ON linkedin_organizations(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_linkedin_posts_organization_id ON linkedin_posts(organization_id);
+CREATE INDEX IF NOT EXISTS idx_sync_cursors_workspace_id ON sync_cursors(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_export_jobs_workspace_id ON export_jobs(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_export_jobs_status ON export_jobs(status);
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_workspace_id ON sync_jobs(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_status ON sync_jobs(status);
+CREATE INDEX IF NOT EXISTS idx_oauth_sessions_expires_at ON oauth_sessions(expires_at);
+CREATE INDEX IF NOT EXISTS idx_brands_workspace_id ON brands(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_brand_accounts_account ON brand_accounts(platform, account_id);
+CREATE INDEX IF NOT EXISTS idx_account_metrics_daily_workspace_date ON account_metrics_daily(workspace_id, metric_date);
+CREATE INDEX IF NOT EXISTS idx_post_metrics_daily_workspace_date ON post_metrics_daily(workspace_id, metric_date);
+
+-- Upgrade existing databases created before the columns above were added
+ALTER TABLE social_accounts ADD COLUMN IF NOT EXISTS token_expires_at TIMESTAMP;
+ALTER TABLE social_accounts ADD COLUMN IF NOT EXISTS token_refreshed_at TIMESTAMP;
+ALTER TABLE social_accounts ADD COLUMN IF NOT EXISTS disconnected_reason TEXT;
+ALTER TABLE twitter_accounts ADD COLUMN IF NOT EXISTS token_expires_at TIMESTAMP;
+ALTER TABLE twitter_accounts ADD COLUMN IF NOT EXISTS connected BOOLEAN DEFAULT TRUE;
+ALTER TABLE twitter_accounts ADD COLUMN IF NOT EXISTS disconnected_reason TEXT;
+ALTER TABLE scheduled_post_targets ADD COLUMN IF NOT EXISTS publish_state JSONB;
+ALTER TABLE scheduled_posts ADD COLUMN IF NOT EXISTS platform VARCHAR(50);
+ALTER TABLE scheduled_posts ALTER COLUMN platform DROP NOT NULL;
+ALTER TABLE scheduled_posts ALTER COLUMN platform DROP DEFAULT;
+ALTER TABLE scheduled_posts ADD COLUMN IF NOT EXISTS failed_at TIMESTAMP;
+ALTER TABLE scheduled_posts ADD COLUMN IF NOT EXISTS approval_status VARCHAR(20) NOT NULL DEFAULT 'scheduled';
+ALTER TABLE scheduled_posts ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+ALTER TABLE workspaces ADD COLUMN IF NOT EXISTS require_approval BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE scheduled_posts ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+ALTER TABLE scheduled_posts ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES scheduled_post_series(id) ON DELETE SET NULL;
+ALTER TABLE scheduled_posts ADD COLUMN IF NOT EXISTS occurrence_time TIMESTAMPTZ;
+ALTER TABLE scheduled_post_revisions ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+ALTER TABLE scheduled_posts ADD COLUMN IF NOT EXISTS queue_id INTEGER REFERENCES posting_queues(id) ON DELETE SET NULL;
+ALTER TABLE scheduled_posts ADD COLUMN IF NOT EXISTS queue_position INTEGER;
+ALTER TABLE scheduled_posts ADD COLUMN IF NOT EXISTS media_ids INTEGER[] NOT NULL DEFAULT '{}';
+ALTER TABLE scheduled_post_series ADD COLUMN IF NOT EXISTS media_ids INTEGER[] NOT NULL DEFAULT '{}';
+ALTER TABLE scheduled_post_revisions ADD COLUMN IF NOT EXISTS media_ids INTEGER[] NOT NULL DEFAULT '{}';
+ALTER TABLE scheduled_posts ADD COLUMN IF NOT EXISTS platform_options JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE scheduled_post_series ADD COLUMN IF NOT EXISTS platform_options JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE scheduled_post_revisions ADD COLUMN IF NOT EXISTS platform_options JSONB NOT NULL DEFAULT '{}';
+
+-- One post per series occurrence, so a skipped or edited occurrence is never re-created
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scheduled_posts_series_occurrence ON scheduled_posts(series_id, occurrence_time);
+CREATE INDEX IF NOT EXISTS idx_scheduled_posts_queue_id ON scheduled_posts(queue_id, queue_position);
+CREATE INDEX IF NOT EXISTS idx_scheduled_posts_media_ids ON scheduled_posts USING GIN (media_ids);
+
+-- Posts and series had a single media_id before they could carry several media
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_schema = current_schema() AND table_name = 'scheduled_posts' AND column_name = 'media_id') THEN
+    UPDATE scheduled_posts SET media_ids = ARRAY[media_id] WHERE media_id IS NOT NULL;
+    ALTER TABLE scheduled_posts DROP COLUMN media_id;
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_schema = current_schema() AND table_name = 'scheduled_post_series' AND column_name = 'media_id') THEN
+    UPDATE scheduled_post_series SET media_ids = ARRAY[media_id] WHERE media_id IS NOT NULL;
+    ALTER TABLE scheduled_post_series DROP COLUMN media_id;
+  END IF;
+END $$;
+
+-- Schedule times used to be zone-less TIMESTAMPs holding UTC
+DO $$
+BEGIN
+  IF (SELECT data_type FROM information_schema.columns
+      WHERE table_schema = current_schema() AND table_name = 'scheduled_posts' AND column_name = 'scheduled_time')
+     = 'timestamp without time zone' THEN
+    ALTER TABLE scheduled_posts ALTER COLUMN scheduled_time TYPE TIMESTAMPTZ USING scheduled_time AT TIME ZONE 'UTC';
+  END IF;
+
+  IF (SELECT data_type FROM information_schema.columns
+      WHERE table_schema = current_schema() AND table_name = 'scheduled_post_revisions' AND column_name = 'scheduled_time')
+     = 'timestamp without time zone' THEN
+    ALTER TABLE scheduled_post_revisions ALTER COLUMN scheduled_time TYPE TIMESTAMPTZ USING scheduled_time AT TIME ZONE 'UTC';
+  END IF;
+END $$;
+
+-- Give single-target posts a target row (Facebook unless recorded otherwise)
+INSERT INTO scheduled_post_targets (scheduled_post_id, platform, account_id, status, external_post_id, published_at)
+SELECT id, COALESCE(platform, 'facebook'), page_id,
+       CASE WHEN status = 'publishing' THEN 'pending' ELSE COALESCE(status, 'pending') END,
+       facebook_post_id, published_at
+FROM scheduled_posts
+WHERE page_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM scheduled_post_targets t WHERE t.scheduled_post_id = scheduled_posts.id);
+
+-- Posts scheduled before posts named a page were published to the selected
+-- Facebook page, so they target the workspace's (the owner's) selected page
+INSERT INTO scheduled_post_targets (scheduled_post_id, platform, account_id, status, external_post_id, published_at)
+SELECT p.id, 'facebook', fp.page_id,
+       CASE WHEN p.status = 'publishing' THEN 'pending' ELSE COALESCE(p.status, 'pending') END,
+       p.facebook_post_id, p.published_at
+FROM scheduled_posts p
+CROSS JOIN LATERAL (
+  SELECT page_id FROM facebook_pages
+  WHERE workspace_id = p.workspace_id AND is_selected = TRUE
+  ORDER BY id LIMIT 1
+) fp
+WHERE p.page_id IS NULL AND COALESCE(p.platform, 'facebook') = 'facebook'
+  AND NOT EXISTS (SELECT 1 FROM scheduled_post_targets t WHERE t.scheduled_post_id = p.id);
+
+-- Where no page is selected, those that were still to be published fail,
+-- with a target (for no page) saying why: edit the post onto a page and
+-- re-queue it. Ones already published keep that status.
+INSERT INTO scheduled_post_targets (scheduled_post_id, platform, account_id, status, external_post_id, published_at, failed_at, last_error)
+SELECT id, 'facebook', '',
+       CASE WHEN status IN ('published', 'cancelled') THEN status ELSE 'failed' END,
+       facebook_post_id, published_at,
+       CASE WHEN status IN ('published', 'cancelled') THEN NULL ELSE NOW() END,
+       CASE WHEN status IN ('published', 'cancelled') THEN NULL ELSE jsonb_build_object(
+         'message', 'Scheduled before posts named a Facebook page, and no page is selected; edit the post to pick one',
+         'status', NULL,
+         'data', NULL
+       ) END
+FROM scheduled_posts
+WHERE page_id IS NULL AND COALESCE(platform, 'facebook') = 'facebook'
+  AND NOT EXISTS (SELECT 1 FROM scheduled_post_targets t WHERE t.scheduled_post_id = scheduled_posts.id);
+
+UPDATE scheduled_posts p
+SET status = 'failed', failed_at = t.failed_at
+FROM scheduled_post_targets t
+WHERE t.scheduled_post_id = p.id AND t.account_id = '' AND t.status = 'failed'
+  AND p.status IN ('pending', 'publishing');
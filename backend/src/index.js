@@ -1,13 +1,21 @@
 const express = require('express');
 const cors = require('cors');
 const pool = require('./db');
+const { serializeRows } = require('./utils/serializers');
+const { startScheduler } = require('./services/scheduler');
+const { startTokenRefresher } = require('./services/tokenManager');
+const { startMetricsCollector } = require('./services/metricsCollector');
+const { startExportWorker } = require('./services/exportJobs');
+const { startContentSyncer } = require('./services/contentSync');
+const { startSyncJobWorker } = require('./services/syncJobs');
+const { providers } = require('./providers');
 
 const app = express();
 const PORT = 5000;
 
 app.use(cors({
   origin: 'http://localhost:3000',
-  methods: 'GET,POST,PUT,DELETE',
+  methods: 'GET,POST,PUT,PATCH,DELETE',
   credentials: true
 }));
 
@@ -21,14 +29,35 @@ try {
 }
 
 const authRoutes = require('./routes/authRoutes');
-const facebookRoutes = require('./routes/facebookRoutes');
-const instagramRoutes = require('./routes/instagramRoutes');
-const twitterRoutes = require('./routes/twitterRoutes');
+const { createPlatformRouter } = require('./routes/platformRoutes');
+const postRoutes = require('./routes/postRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const exportRoutes = require('./routes/exportRoutes');
+const syncRoutes = require('./routes/syncRoutes');
+const brandRoutes = require('./routes/brandRoutes');
+const workspaceRoutes = require('./routes/workspaceRoutes');
+const queueRoutes = require('./routes/queueRoutes');
+const recommendationRoutes = require('./routes/recommendationRoutes');
+const mediaRoutes = require('./routes/mediaRoutes');
 
 app.use('/api/auth', authRoutes);
-app.use('/api/facebook', facebookRoutes);
-app.use('/api/instagram', instagramRoutes);
-app.use('/api/twitter', twitterRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+
+// /api/facebook, /api/instagram, /api/twitter, ... one router per provider
+for (const provider of Object.values(providers)) {
+  app.use(`/api/${provider.name}`, createPlatformRouter(provider));
+}
+
+app.use('/api/posts', postRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/brands', brandRoutes);
+app.use('/api/queues', queueRoutes);
+app.use('/api/recommendations', recommendationRoutes);
+app.use('/api/media', mediaRoutes);
 
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', message: 'API is working' });
@@ -37,7 +66,7 @@ app.get('/api/health', (req, res) => {
 app.get('/api/users', async (req, res) => {
   try {
     const result = await pool.query('SELECT * FROM users');
-    res.json(result.rows);
+    res.json(serializeRows(result.rows));
   } catch (err) {
     console.error("DB Query Error:", err);
     res.status(500).json({ error: err.message || 'Database error' });
@@ -46,4 +75,14 @@ app.get('/api/users', async (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Backend server is running on http://localhost:${PORT}`);
+
+  // Run background jobs in-process unless a separate worker does it
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    startScheduler();
+    startTokenRefresher();
+    startMetricsCollector();
+    startExportWorker();
+    startContentSyncer();
+    startSyncJobWorker();
+  }
 });
@@ -0,0 +1,107 @@
+const jwt = require('jsonwebtoken');
+const pool = require('../db');
+
+require('dotenv').config();
+
+// Workspace roles, least to most privileged
+const ROLES = ['viewer', 'editor', 'admin', 'owner'];
+
+// Reads are open to every member; anything that changes data needs an editor.
+// Routes that manage accounts or the workspace itself add requireRole on top.
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function hasRole(role, required) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// The user's membership of the named workspace, or of their oldest workspace
+// when none is named; null if they aren't a member
+async function resolveMembership(userId, workspaceId) {
+  if (workspaceId !== undefined && workspaceId !== null && workspaceId !== '') {
+    if (!/^\d+$/.test(String(workspaceId))) return null;
+
+    const result = await pool.query(
+      'SELECT workspace_id, role FROM workspace_members WHERE user_id = $1 AND workspace_id = $2',
+      [userId, workspaceId]
+    );
+
+    const membership = result.rows[0];
+    return membership ? { workspaceId: membership.workspace_id, role: membership.role } : null;
+  }
+
+  const result = await pool.query(
+    `SELECT workspace_id, role FROM workspace_members
+     WHERE user_id = $1
+     ORDER BY created_at, id
+     LIMIT 1`,
+    [userId]
+  );
+
+  const membership = result.rows[0];
+  return membership ? { workspaceId: membership.workspace_id, role: membership.role } : null;
+}
+
+// Middleware to verify the user's token only, for routes that aren't tied to a workspace
+function verifyUser(req, res, next) {
+  const token = req.headers['authorization'];
+
+  if (!token)
+    return res.status(403).json({ error: 'Token required' });
+
+  jwt.verify(token.replace("Bearer ", ""), process.env.JWT_SECRET, (err, decoded) => {
+    if (err)
+      return res.status(403).json({ error: 'Invalid token' });
+
+    req.userId = decoded.userId;
+    next();
+  });
+}
+
+// Middleware to verify token and resolve the active workspace, picked with the
+// X-Workspace-Id header or ?workspaceId= (default: the user's first workspace)
+function verifyToken(req, res, next) {
+  verifyUser(req, res, async () => {
+    const requested = req.headers['x-workspace-id'] ?? req.query.workspaceId;
+
+    try {
+      const membership = await resolveMembership(req.userId, requested);
+
+      if (!membership) {
+        return res.status(403).json({
+          error: requested ? 'Not a member of this workspace' : 'No workspace; create or join one first'
+        });
+      }
+
+      req.workspaceId = membership.workspaceId;
+      req.role = membership.role;
+    } catch (error) {
+      console.error('Workspace auth error:', error);
+      return res.status(500).json({ error: 'Server error' });
+    }
+
+    const required = READ_METHODS.includes(req.method) ? 'viewer' : 'editor';
+    if (!hasRole(req.role, required))
+      return res.status(403).json({ error: `Requires the ${required} role` });
+
+    next();
+  });
+}
+
+// Middleware for routes that need more than the default role; use after verifyToken
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.role, role))
+      return res.status(403).json({ error: `Requires the ${role} role` });
+
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  resolveMembership,
+  verifyUser,
+  verifyToken,
+  requireRole
+};
@@ -0,0 +1,280 @@
+const pool = require('../db');
+const { platformClient } = require('../services/platformClient');
+const { encryptToken, decryptToken } = require('../utils/tokenCrypto');
+const { insightDate, recordAccountSnapshot, recordInsightSnapshots } = require('../services/metricsSnapshots');
+
+const GRAPH_URL = 'https://graph.facebook.com/v18.0';
+// Video uploads go to their own host
+const GRAPH_VIDEO_URL = 'https://graph-video.facebook.com/v18.0';
+
+// Graph API post types, in the media type vocabulary Instagram uses
+const POST_MEDIA_TYPES = {
+  photo: 'IMAGE',
+  video: 'VIDEO',
+  link: 'LINK',
+  status: 'TEXT'
+};
+
+function postMediaType(post) {
+  if (POST_MEDIA_TYPES[post.type]) return POST_MEDIA_TYPES[post.type];
+  return post.full_picture ? 'IMAGE' : 'TEXT';
+}
+
+// A multipart body with the library file as "source", for /photos
+async function uploadForm(page, media, fields) {
+  const form = new FormData();
+  form.append('source', new Blob([await media.read()], { type: media.mime_type }), media.filename);
+
+  for (const [key, value] of Object.entries({ ...fields, access_token: page.page_access_token })) {
+    if (value !== undefined && value !== null && value !== '') form.append(key, String(value));
+  }
+
+  return form;
+}
+
+// Upload a photo to the page. Unpublished photos wait to be attached to a
+// multi-photo feed post; a published one is a post of its own.
+async function uploadPhoto(page, media, { caption = null, published }) {
+  const response = await platformClient.post(
+    `${GRAPH_URL}/${page.page_id}/photos`,
+    await uploadForm(page, media, { caption, published })
+  );
+
+  return response.data;
+}
+
+module.exports = {
+  name: 'facebook',
+  label: 'Facebook',
+  accounts: { table: 'facebook_pages', idColumn: 'page_id', selectParam: 'pageId', noun: 'page' },
+  content: { table: 'facebook_posts', key: 'posts', pagingKey: 'paging', pageSize: { min: 1, max: 100 } },
+  routes: {
+    accounts: '/pages',
+    content: '/posts',
+    insights: '/insights',
+    profile: '/profile',
+    publish: '/publish'
+  },
+  publishing: { idKey: 'facebookPostId', message: 'Post published successfully' },
+
+  // Import every page the user manages
+  connect: async (workspaceId) => {
+    const userAccount = await pool.query(
+      'SELECT access_token FROM social_accounts WHERE workspace_id = $1 AND platform = $2',
+      [workspaceId, 'facebook']
+    );
+
+    if (userAccount.rows.length === 0) return null;
+
+    const response = await platformClient.get(`${GRAPH_URL}/me/accounts`, {
+      params: {
+        access_token: decryptToken(userAccount.rows[0].access_token),
+        fields: 'id,name,picture,followers_count'
+      }
+    });
+
+    for (const page of response.data.data || []) {
+      await pool.query(
+        `INSERT INTO facebook_pages (workspace_id, page_id, page_name, page_access_token, profile_picture_url, followers_count)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (workspace_id, page_id)
+         DO UPDATE SET page_name = $3, page_access_token = $4, followers_count = $6`,
+        [
+          workspaceId,
+          page.id,
+          page.name,
+          encryptToken(page.access_token),
+          page.picture?.data?.url || null,
+          page.followers_count || 0
+        ]
+      );
+
+      await recordAccountSnapshot({
+        workspaceId,
+        platform: 'facebook',
+        accountId: page.id,
+        followers: page.followers_count || 0
+      });
+    }
+
+    const pages = await pool.query(
+      'SELECT * FROM facebook_pages WHERE workspace_id = $1 ORDER BY followers_count DESC',
+      [workspaceId]
+    );
+
+    return pages.rows;
+  },
+
+  fetchProfile: async (page) => {
+    const response = await platformClient.get(`${GRAPH_URL}/${page.page_id}`, {
+      params: { fields: 'name,followers_count,fan_count', access_token: page.page_access_token }
+    });
+
+    return {
+      followers: response.data.followers_count || 0,
+      fans: response.data.fan_count || 0
+    };
+  },
+
+  listContent: async (page, cursor, { limit = 100 } = {}) => {
+    const response = await platformClient.get(`${GRAPH_URL}/${page.page_id}/posts`, {
+      params: {
+        access_token: page.page_access_token,
+        fields: 'id,message,created_time,type,story,full_picture,permalink_url,shares,likes.summary(true),comments.summary(true)',
+        limit,
+        ...(cursor && { after: cursor })
+      }
+    });
+
+    return {
+      items: response.data.data || [],
+      nextCursor: response.data.paging?.next ? response.data.paging.cursors?.after : null,
+      paging: response.data.paging || {}
+    };
+  },
+
+  contentTime: post => post.created_time,
+
+  contentMetrics: post => ({
+    postId: post.id,
+    likes: post.likes?.summary?.total_count || 0,
+    comments: post.comments?.summary?.total_count || 0,
+    shares: post.shares?.count || 0
+  }),
+
+  storeContent: async (page, post) => {
+    await pool.query(
+      `INSERT INTO facebook_posts (workspace_id, page_id, post_id, message, media_type, permalink_url, likes_count, comments_count, shares_count, created_time)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (workspace_id, page_id, post_id)
+       DO UPDATE SET message = $4, likes_count = $7, comments_count = $8, shares_count = $9, fetched_at = NOW()`,
+      [
+        page.workspace_id,
+        page.page_id,
+        post.id,
+        post.message || post.story || null,
+        postMediaType(post),
+        post.permalink_url || null,
+        post.likes?.summary?.total_count || 0,
+        post.comments?.summary?.total_count || 0,
+        post.shares?.count || 0,
+        post.created_time || new Date().toISOString()
+      ]
+    );
+  },
+
+  fetchInsights: async (page, { startDate, endDate } = {}) => {
+    const params = {
+      access_token: page.page_access_token,
+      metric: 'page_fans,page_engaged_users,page_post_engagements,page_impressions,page_views',
+      period: 'day'
+    };
+
+    if (startDate && endDate) {
+      params.since = Math.floor(new Date(startDate).getTime() / 1000);
+      params.until = Math.floor(new Date(endDate).getTime() / 1000);
+    }
+
+    const response = await platformClient.get(`${GRAPH_URL}/${page.page_id}/insights`, { params });
+    const insights = response.data.data || [];
+
+    for (const metric of insights) {
+      for (const value of metric.values || []) {
+        await pool.query(
+          `INSERT INTO facebook_insights (workspace_id, page_id, metric_name, metric_value, insight_date)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (workspace_id, page_id, metric_name, insight_date) DO NOTHING`,
+          [page.workspace_id, page.page_id, metric.name, value.value, insightDate(value.end_time)]
+        );
+      }
+    }
+
+    await recordInsightSnapshots(page.workspace_id, 'facebook', page.page_id, insights, {
+      page_fans: 'followers',
+      page_post_engagements: 'engagement',
+      page_impressions: 'impressions'
+    });
+
+    return insights;
+  },
+
+  // Post to the page: library media as a video post, a photo post or a
+  // multi-photo post; otherwise a message (and optional link) to the feed.
+  // Facebook fetches videos from their media URL rather than us uploading
+  // them. Video posts resolve to the video's ID.
+  publish: async (page, { content, mediaUrl = null, media = [] }) => {
+    const video = media.find(item => item.media_type === 'video');
+
+    if (video) {
+      const response = await platformClient.post(`${GRAPH_VIDEO_URL}/${page.page_id}/videos`, {
+        file_url: video.url,
+        description: content,
+        access_token: page.page_access_token
+      });
+      return response.data.id;
+    }
+
+    if (media.length === 1) {
+      const photo = await uploadPhoto(page, media[0], { caption: content, published: true });
+      return photo.post_id || photo.id;
+    }
+
+    if (media.length > 1) {
+      const photoIds = [];
+      for (const item of media) {
+        photoIds.push((await uploadPhoto(page, item, { published: false })).id);
+      }
+
+      const response = await platformClient.post(`${GRAPH_URL}/${page.page_id}/feed`, {
+        message: content,
+        attached_media: photoIds.map(id => ({ media_fbid: id })),
+        access_token: page.page_access_token
+      });
+      return response.data.id;
+    }
+
+    const postData = {
+      message: content,
+      access_token: page.page_access_token
+    };
+
+    if (mediaUrl) {
+      postData.link = mediaUrl;
+    }
+
+    const response = await platformClient.post(`${GRAPH_URL}/${page.page_id}/feed`, postData);
+    return response.data.id;
+  },
+
+  disconnect: async (workspaceId) => {
+    await pool.query('DELETE FROM facebook_posts WHERE workspace_id = $1', [workspaceId]);
+    await pool.query('DELETE FROM facebook_pages WHERE workspace_id = $1', [workspaceId]);
+  },
+
+  // Stored page insights for chart display
+  extendRouter: (router, { verifyToken }) => {
+    router.get('/insights/stored', verifyToken, async (req, res) => {
+      const { metric = 'page_fans', days = 30, pageId = null } = req.query;
+
+      try {
+        const startDate = new Date();
+        startDate.setDate(startDate.getDate() - days);
+
+        const result = await pool.query(
+          `SELECT insight_date, metric_value
+           FROM facebook_insights
+           WHERE workspace_id = $1 AND metric_name = $2 AND insight_date >= $3
+             AND ($4::varchar IS NULL OR page_id = $4)
+           ORDER BY insight_date ASC`,
+          [req.workspaceId, metric, startDate.toISOString().split('T')[0], pageId]
+        );
+
+        res.json(result.rows);
+
+      } catch (error) {
+        console.error('Get stored insights error:', error);
+        res.status(500).json({ error: 'Failed to get insights' });
+      }
+    });
+  }
+};
@@ -0,0 +1,52 @@
+// Platform providers. Each module describes one network and implements:
+//   name, label                  'facebook', 'Facebook'
+//   accounts                     { table, idColumn, selectParam, noun } for the stored accounts,
+//                                and connectedColumn where each account can lose its grant
+//   content                      { table, key, pagingKey, pageSize } for stored posts, the response
+//                                keys for a page of them and the platform's paging info, and the
+//                                { min, max } items the platform returns per page
+//   routes                       paths for accounts, content, insights, profile and publish
+//   publishing                   { idKey, message } for publish responses
+//   connect(workspaceId)         import the workspace's accounts using its stored OAuth grant;
+//                                resolves to the stored row(s), or null if not connected
+//   fetchProfile(account)        live profile counts ({ followers, ... })
+//   listContent(account, cursor, { limit })
+//                                one page of content, newest first: { items, nextCursor, paging },
+//                                paging being the platform's own paging info
+//   contentTime(item)            when a listContent item was posted
+//   contentMetrics(item)         { postId, likes, comments, shares, replies } for history
+//   storeContent(account, item)  upsert one listContent item
+//   fetchInsights(account, opts) optional; platform insights, recorded in the daily snapshots
+//   publish(account, post)       publish { content, mediaUrl, media, options }; resolves to the
+//                                external post ID. media is the post's library files (see
+//                                loadMediaFiles), for providers that upload them; mediaUrl is the
+//                                first one's URL; options are the post's options for the platform.
+//                                May throw PublishPendingError to be called again later with
+//                                { ..., state } when the platform needs time (see retryPolicy)
+//   resolveOptions(ws, options)  optional; check a post's options for the platform (its entry in
+//                                platformOptions) and resolve to what's stored, throwing MediaError
+//   disconnect(workspaceId)      remove the workspace's stored accounts and content
+//   extendRouter(router, deps)   optional; add platform-only routes
+const facebook = require('./facebook');
+const instagram = require('./instagram');
+const twitter = require('./twitter');
+const linkedin = require('./linkedin');
+
+const providers = {
+  facebook,
+  instagram,
+  twitter,
+  linkedin
+};
+
+const PROVIDER_NAMES = Object.keys(providers);
+
+function getProvider(name) {
+  return providers[name] || null;
+}
+
+module.exports = {
+  providers,
+  PROVIDER_NAMES,
+  getProvider
+};
@@ -0,0 +1,347 @@
+const pool = require('../db');
+const { platformClient, RateLimitError } = require('../services/platformClient');
+const { encryptToken, decryptToken } = require('../utils/tokenCrypto');
+const { recordAccountSnapshot, recordInsightSnapshots } = require('../services/metricsSnapshots');
+const { MediaError, getMedia } = require('../services/media');
+const { PublishPendingError } = require('../services/retryPolicy');
+
+const GRAPH_URL = 'https://graph.instagram.com';
+
+// How a post goes out: 'feed' (one photo, or a carousel of 2-10 photos and
+// videos), 'reel' (one video) or 'story' (one photo or video)
+const FORMATS = ['feed', 'reel', 'story'];
+const REEL_OPTIONS = ['shareToFeed', 'coverMediaId', 'coverUrl', 'thumbOffsetMs'];
+// Bare media URLs are taken for photos unless they name a video file
+const VIDEO_URL_PATTERN = /\.(mp4|mov)(\?|$)/i;
+
+// Videos are fetched and processed by Instagram after their container is
+// created; how often we check on them, and for how long
+const CONTAINER_POLL_INTERVAL_MS = 30 * 1000;
+const CONTAINER_TIMEOUT_MS = 30 * 60 * 1000;
+
+// The post's media as { url, video }: library files, else the bare mediaUrl
+function publishItems(mediaUrl, media) {
+  if (media.length > 0) return media.map(m => ({ url: m.url, video: m.media_type === 'video' }));
+  return mediaUrl ? [{ url: mediaUrl, video: VIDEO_URL_PATTERN.test(mediaUrl) }] : [];
+}
+
+async function createContainer(account, fields) {
+  const response = await platformClient.post(`${GRAPH_URL}/${account.instagram_id}/media`, {
+    ...fields,
+    access_token: account.access_token
+  });
+
+  return response.data.id;
+}
+
+// Whether Instagram has finished processing all of the containers. A
+// container that fails (ERROR) or is left too long (EXPIRED) can't be
+// published; the error carries Instagram's status so it's kept on the
+// scheduled post's target.
+async function containersFinished(account, containerIds) {
+  for (const containerId of containerIds) {
+    const response = await platformClient.get(`${GRAPH_URL}/${containerId}`, {
+      params: { fields: 'status_code,status', access_token: account.access_token }
+    });
+    const { status_code: statusCode, status } = response.data;
+
+    if (statusCode === 'ERROR' || statusCode === 'EXPIRED') {
+      const error = new Error(`Instagram could not process the media: ${status || statusCode}`);
+      error.details = { containerId, statusCode, status: status || null };
+      throw error;
+    }
+
+    if (statusCode !== 'FINISHED') return false;
+  }
+
+  return true;
+}
+
+// Create the container for a post in its format. Videos must be processed
+// before they go in a carousel or get published, so rather than wait here
+// this throws PublishPendingError with how far it got ({ children,
+// containerId, processing, startedAt }); calling it again with that state
+// picks up where it left off.
+async function prepareContainer(account, { content, items, options }, state) {
+  const format = options.format || 'feed';
+  const carousel = format === 'feed' && items.length > 1;
+
+  state = state ? { ...state } : { children: null, containerId: null, processing: [], startedAt: Date.now() };
+
+  if (state.processing.length > 0) {
+    if (!await containersFinished(account, state.processing)) {
+      if (Date.now() - state.startedAt > CONTAINER_TIMEOUT_MS) {
+        const error = new Error('Instagram took too long to process the media');
+        error.details = { containerIds: state.processing };
+        throw error;
+      }
+      throw new PublishPendingError(state, CONTAINER_POLL_INTERVAL_MS);
+    }
+    state.processing = [];
+  }
+
+  if (state.containerId) return state.containerId;
+
+  // Each carousel item gets its own container first
+  if (carousel && !state.children) {
+    state.children = [];
+    for (const item of items) {
+      state.children.push(await createContainer(account, item.video
+        ? { media_type: 'VIDEO', video_url: item.url, is_carousel_item: true }
+        : { image_url: item.url, is_carousel_item: true }));
+    }
+
+    state.processing = state.children.filter((id, index) => items[index].video);
+    if (state.processing.length > 0) throw new PublishPendingError(state, CONTAINER_POLL_INTERVAL_MS);
+  }
+
+  if (format === 'reel') {
+    state.containerId = await createContainer(account, {
+      media_type: 'REELS',
+      video_url: items[0].url,
+      caption: content,
+      share_to_feed: options.shareToFeed !== false,
+      ...(options.coverUrl && { cover_url: options.coverUrl }),
+      ...(options.thumbOffsetMs !== undefined && { thumb_offset: options.thumbOffsetMs })
+    });
+  } else if (format === 'story') {
+    state.containerId = await createContainer(account, {
+      media_type: 'STORIES',
+      [items[0].video ? 'video_url' : 'image_url']: items[0].url
+    });
+  } else if (carousel) {
+    state.containerId = await createContainer(account, {
+      media_type: 'CAROUSEL',
+      children: state.children.join(','),
+      caption: content
+    });
+  } else {
+    state.containerId = await createContainer(account, { image_url: items[0].url, caption: content });
+  }
+
+  if (items.some(item => item.video)) {
+    state.processing = [state.containerId];
+    throw new PublishPendingError(state, CONTAINER_POLL_INTERVAL_MS);
+  }
+
+  return state.containerId;
+}
+
+module.exports = {
+  name: 'instagram',
+  label: 'Instagram',
+  accounts: { table: 'instagram_accounts', idColumn: 'instagram_id', selectParam: 'instagramId', noun: 'Instagram account' },
+  content: { table: 'instagram_media', key: 'media', pagingKey: 'paging', pageSize: { min: 1, max: 100 } },
+  routes: {
+    accounts: '/accounts',
+    content: '/media',
+    insights: '/insights',
+    profile: '/profile',
+    publish: '/publish'
+  },
+  publishing: { idKey: 'mediaId', message: 'Post published to Instagram' },
+
+  // Import the account behind the user's Instagram login
+  connect: async (workspaceId) => {
+    const userAccount = await pool.query(
+      'SELECT access_token FROM social_accounts WHERE workspace_id = $1 AND platform = $2',
+      [workspaceId, 'instagram']
+    );
+
+    if (userAccount.rows.length === 0) return null;
+
+    const accessToken = decryptToken(userAccount.rows[0].access_token);
+    const response = await platformClient.get(`${GRAPH_URL}/me`, {
+      params: {
+        fields: 'id,username,name,biography,website,profile_picture_url,followers_count',
+        access_token: accessToken
+      }
+    });
+
+    const igAccount = response.data;
+
+    await pool.query(
+      `INSERT INTO instagram_accounts (workspace_id, instagram_id, username, profile_picture_url, bio, followers_count, access_token)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (workspace_id, instagram_id)
+       DO UPDATE SET username = $3, profile_picture_url = $4, bio = $5, followers_count = $6, access_token = $7`,
+      [
+        workspaceId,
+        igAccount.id,
+        igAccount.username,
+        igAccount.profile_picture_url || null,
+        igAccount.biography || null,
+        igAccount.followers_count || 0,
+        encryptToken(accessToken)
+      ]
+    );
+
+    await recordAccountSnapshot({
+      workspaceId,
+      platform: 'instagram',
+      accountId: igAccount.id,
+      followers: igAccount.followers_count || 0
+    });
+
+    const account = await pool.query(
+      'SELECT * FROM instagram_accounts WHERE workspace_id = $1 AND instagram_id = $2',
+      [workspaceId, igAccount.id]
+    );
+
+    return account.rows[0];
+  },
+
+  fetchProfile: async (account) => {
+    const response = await platformClient.get(`${GRAPH_URL}/me`, {
+      params: { fields: 'id,username,followers_count,follows_count,media_count', access_token: account.access_token }
+    });
+
+    return {
+      followers: response.data.followers_count || 0,
+      following: response.data.follows_count || 0,
+      posts: response.data.media_count || 0
+    };
+  },
+
+  listContent: async (account, cursor, { limit = 100 } = {}) => {
+    const response = await platformClient.get(`${GRAPH_URL}/${account.instagram_id}/media`, {
+      params: {
+        fields: 'id,caption,media_type,media_url,timestamp,like_count,comments_count',
+        access_token: account.access_token,
+        limit,
+        ...(cursor && { after: cursor })
+      }
+    });
+
+    return {
+      items: response.data.data || [],
+      nextCursor: response.data.paging?.next ? response.data.paging.cursors?.after : null,
+      paging: response.data.paging || {}
+    };
+  },
+
+  contentTime: media => media.timestamp,
+
+  contentMetrics: media => ({
+    postId: media.id,
+    likes: media.like_count || 0,
+    comments: media.comments_count || 0
+  }),
+
+  storeContent: async (account, media) => {
+    await pool.query(
+      `INSERT INTO instagram_media (workspace_id, instagram_id, media_id, caption, media_type, media_url, likes_count, comments_count, created_time)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (workspace_id, instagram_id, media_id) DO UPDATE SET caption = $4, likes_count = $7, comments_count = $8`,
+      [
+        account.workspace_id,
+        account.instagram_id,
+        media.id,
+        media.caption || null,
+        media.media_type,
+        media.media_url || null,
+        media.like_count || 0,
+        media.comments_count || 0,
+        media.timestamp || new Date().toISOString()
+      ]
+    );
+  },
+
+  fetchInsights: async (account) => {
+    try {
+      const response = await platformClient.get(`${GRAPH_URL}/${account.instagram_id}/insights`, {
+        params: {
+          metric: 'impressions,reach,profile_views',
+          period: 'day',
+          access_token: account.access_token
+        }
+      });
+
+      await recordInsightSnapshots(account.workspace_id, 'instagram', account.instagram_id, response.data.data || [], {
+        impressions: 'impressions'
+      });
+
+      return response.data.data || [];
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+
+      // Instagram Business Account is required for insights - return empty array if not available
+      console.error('Fetch Instagram insights error:', error.response?.data || error.message);
+      return [];
+    }
+  },
+
+  // Check a post's Instagram options and resolve them to what's stored:
+  // { format } (see FORMATS), and for reels shareToFeed (default true), a
+  // cover image (coverMediaId from the library, or coverUrl) and
+  // thumbOffsetMs, the frame to use as the cover when there's no image
+  resolveOptions: async (workspaceId, options) => {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new MediaError('Instagram options must be an object');
+    }
+
+    const { format = 'feed', shareToFeed, coverMediaId, coverUrl, thumbOffsetMs } = options;
+
+    if (!FORMATS.includes(format)) {
+      throw new MediaError(`Instagram format must be one of: ${FORMATS.join(', ')}`);
+    }
+
+    if (format !== 'reel') {
+      if (REEL_OPTIONS.some(key => options[key] !== undefined)) {
+        throw new MediaError(`${REEL_OPTIONS.join(', ')} only apply to Instagram reels`);
+      }
+      return { format };
+    }
+
+    if (shareToFeed !== undefined && typeof shareToFeed !== 'boolean') {
+      throw new MediaError('shareToFeed must be true or false');
+    }
+
+    if (coverMediaId !== undefined && coverUrl !== undefined) {
+      throw new MediaError('Pass coverMediaId or coverUrl, not both');
+    }
+
+    if (thumbOffsetMs !== undefined && (!Number.isInteger(thumbOffsetMs) || thumbOffsetMs < 0)) {
+      throw new MediaError('thumbOffsetMs must be a whole number of milliseconds');
+    }
+
+    const resolved = { format, shareToFeed: shareToFeed !== false };
+
+    if (coverMediaId !== undefined) {
+      const cover = await getMedia(workspaceId, coverMediaId);
+      if (!cover) throw new MediaError(`Media ${coverMediaId} not found`);
+      if (cover.media_type !== 'image') throw new MediaError('Reel covers must be images');
+      resolved.coverUrl = cover.url;
+    } else if (coverUrl !== undefined) {
+      if (typeof coverUrl !== 'string' || !/^https?:\/\//.test(coverUrl)) {
+        throw new MediaError('coverUrl must be an http(s) URL');
+      }
+      resolved.coverUrl = coverUrl;
+    }
+
+    if (thumbOffsetMs !== undefined) resolved.thumbOffsetMs = thumbOffsetMs;
+    return resolved;
+  },
+
+  // Publish a photo, carousel, reel or story (options.format): create the
+  // container and publish it, or, while Instagram processes a video, throw
+  // PublishPendingError to be called again later with its state
+  publish: async (account, { content = '', mediaUrl, media = [], options = {}, state = null }) => {
+    const items = publishItems(mediaUrl, media);
+    if (items.length === 0) throw new Error('Instagram posts require an image or video');
+
+    const containerId = await prepareContainer(account, { content, items, options }, state);
+
+    const published = await platformClient.post(`${GRAPH_URL}/${account.instagram_id}/media_publish`, {
+      creation_id: containerId,
+      access_token: account.access_token
+    });
+
+    return published.data.id;
+  },
+
+  disconnect: async (workspaceId) => {
+    await pool.query('DELETE FROM instagram_accounts WHERE workspace_id = $1', [workspaceId]);
+    await pool.query('DELETE FROM instagram_media WHERE workspace_id = $1', [workspaceId]);
+  }
+};
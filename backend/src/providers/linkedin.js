@@ -0,0 +1,310 @@
+const pool = require('../db');
+const { platformClient } = require('../services/platformClient');
+const { withAccessToken } = require('../services/tokenManager');
+const { recordAccountSnapshot, recordInsightSnapshots } = require('../services/metricsSnapshots');
+
+require('dotenv').config();
+
+const API_URL = 'https://api.linkedin.com/rest';
+// The versioned API needs a release month (YYYYMM) on every call
+const API_VERSION = process.env.LINKEDIN_API_VERSION || '202509';
+const PAGE_SIZE = 50;
+const INSIGHT_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Characters the "little text" commentary format treats as markup
+const LITTLE_TEXT_RESERVED = /[\\|{}@[\]()<>#*_~]/g;
+const HASHTAG_SPLIT = /(#[\p{L}\p{N}_]+)/u;
+
+function organizationUrn(organizationId) {
+  return `urn:li:organization:${organizationId}`;
+}
+
+// Rest.li wants URNs percent-encoded in paths and query strings
+function encodeUrn(urn) {
+  return encodeURIComponent(urn);
+}
+
+function escapeLittleText(text) {
+  return text.replace(LITTLE_TEXT_RESERVED, '\\$&');
+}
+
+// Post commentary: escape markup characters and keep #hashtags as hashtag links
+function toCommentary(text) {
+  return text
+    .split(HASHTAG_SPLIT)
+    .map((part, index) => index % 2 === 1
+      ? `{hashtag|\\#|${escapeLittleText(part.slice(1))}}`
+      : escapeLittleText(part))
+    .join('');
+}
+
+// Organization pages have no token of their own; calls use the member's
+// OAuth token, refreshed on demand
+function linkedinRequest(workspaceId, config) {
+  return withAccessToken(workspaceId, 'linkedin', (token) => platformClient.request({
+    ...config,
+    headers: {
+      ...config.headers,
+      Authorization: `Bearer ${token}`,
+      'LinkedIn-Version': API_VERSION,
+      'X-Restli-Protocol-Version': '2.0.0'
+    }
+  }));
+}
+
+// Stored media type, in the vocabulary Instagram uses
+function postMediaType(post) {
+  const mediaId = post.content?.media?.id || '';
+  if (mediaId.startsWith('urn:li:image:')) return 'IMAGE';
+  if (mediaId.startsWith('urn:li:video:')) return 'VIDEO';
+  if (post.content?.multiImage) return 'CAROUSEL_ALBUM';
+  if (post.content?.article) return 'LINK';
+  return 'TEXT';
+}
+
+function reactionCount(metadata) {
+  return Object.values(metadata?.reactionSummaries || {})
+    .reduce((total, summary) => total + (summary.count || 0), 0);
+}
+
+// Reaction and comment counts for a page of posts, in one batch call
+async function fetchSocialMetadata(workspaceId, postIds) {
+  if (postIds.length === 0) return {};
+
+  const response = await linkedinRequest(workspaceId, {
+    method: 'get',
+    url: `${API_URL}/socialMetadata?ids=List(${postIds.map(encodeUrn).join(',')})`
+  });
+
+  return response.data.results || {};
+}
+
+async function fetchFollowerCount(workspaceId, organizationId) {
+  const response = await linkedinRequest(workspaceId, {
+    method: 'get',
+    url: `${API_URL}/networkSizes/${encodeUrn(organizationUrn(organizationId))}?edgeType=COMPANY_FOLLOWED_BY_MEMBER`
+  });
+
+  return response.data.firstDegreeSize || 0;
+}
+
+// Upload a media library image and return its image URN for a post. Only
+// library files are uploaded, so the server never fetches arbitrary URLs.
+async function uploadImage(account, media) {
+  const upload = await linkedinRequest(account.workspace_id, {
+    method: 'post',
+    url: `${API_URL}/images?action=initializeUpload`,
+    data: { initializeUploadRequest: { owner: organizationUrn(account.organization_id) } }
+  });
+
+  const { uploadUrl, image } = upload.data.value;
+  const file = await media.read();
+
+  await linkedinRequest(account.workspace_id, {
+    method: 'put',
+    url: uploadUrl,
+    data: file,
+    headers: { 'Content-Type': media.mime_type }
+  });
+
+  return image;
+}
+
+// One statistics finder over a daily time range
+function timeIntervals(startDate, endDate) {
+  const end = endDate ? new Date(endDate).getTime() : Date.now();
+  const start = startDate ? new Date(startDate).getTime() : end - INSIGHT_DAYS * DAY_MS;
+  return `(timeRange:(start:${start},end:${end}),timeGranularityType:DAY)`;
+}
+
+module.exports = {
+  name: 'linkedin',
+  label: 'LinkedIn',
+  accounts: { table: 'linkedin_organizations', idColumn: 'organization_id', selectParam: 'organizationId', noun: 'organization' },
+  content: { table: 'linkedin_posts', key: 'posts', pagingKey: 'paging', pageSize: { min: 1, max: 100 } },
+  routes: {
+    accounts: '/organizations',
+    content: '/posts',
+    insights: '/insights',
+    profile: '/followers',
+    publish: '/publish'
+  },
+  publishing: { idKey: 'linkedinPostId', message: 'Post published to LinkedIn' },
+
+  // Import every organization page the member administers
+  connect: async (workspaceId) => {
+    const userAccount = await pool.query(
+      'SELECT connected FROM social_accounts WHERE workspace_id = $1 AND platform = $2',
+      [workspaceId, 'linkedin']
+    );
+
+    if (userAccount.rows.length === 0 || !userAccount.rows[0].connected) return null;
+
+    const acls = await linkedinRequest(workspaceId, {
+      method: 'get',
+      url: `${API_URL}/organizationAcls?q=roleAssignee&role=ADMINISTRATOR&state=APPROVED`
+    });
+
+    for (const acl of acls.data.elements || []) {
+      const organizationId = acl.organization.split(':').pop();
+
+      const organization = await linkedinRequest(workspaceId, {
+        method: 'get',
+        url: `${API_URL}/organizations/${organizationId}`
+      });
+      const followers = await fetchFollowerCount(workspaceId, organizationId);
+
+      await pool.query(
+        `INSERT INTO linkedin_organizations (workspace_id, organization_id, name, vanity_name, followers_count)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (workspace_id, organization_id)
+         DO UPDATE SET name = $3, vanity_name = $4, followers_count = $5`,
+        [
+          workspaceId,
+          organizationId,
+          organization.data.localizedName,
+          organization.data.vanityName || null,
+          followers
+        ]
+      );
+
+      await recordAccountSnapshot({
+        workspaceId,
+        platform: 'linkedin',
+        accountId: organizationId,
+        followers
+      });
+    }
+
+    const organizations = await pool.query(
+      'SELECT * FROM linkedin_organizations WHERE workspace_id = $1 ORDER BY followers_count DESC',
+      [workspaceId]
+    );
+
+    return organizations.rows;
+  },
+
+  fetchProfile: async (organization) => ({
+    followers: await fetchFollowerCount(organization.workspace_id, organization.organization_id)
+  }),
+
+  listContent: async (organization, cursor, { limit = PAGE_SIZE } = {}) => {
+    const start = Number(cursor) || 0;
+    const response = await linkedinRequest(organization.workspace_id, {
+      method: 'get',
+      url: `${API_URL}/posts?q=author&author=${encodeUrn(organizationUrn(organization.organization_id))}` +
+        `&sortBy=CREATED&start=${start}&count=${limit}`
+    });
+
+    const posts = response.data.elements || [];
+    const metadata = await fetchSocialMetadata(organization.workspace_id, posts.map(post => post.id));
+
+    return {
+      items: posts.map(post => ({
+        ...post,
+        likes: reactionCount(metadata[post.id]),
+        comments: metadata[post.id]?.commentSummary?.count || 0
+      })),
+      nextCursor: posts.length === limit ? String(start + limit) : null,
+      paging: response.data.paging || {}
+    };
+  },
+
+  contentTime: post => new Date(post.publishedAt || post.createdAt).toISOString(),
+
+  contentMetrics: post => ({
+    postId: post.id,
+    likes: post.likes,
+    comments: post.comments
+  }),
+
+  storeContent: async (organization, post) => {
+    await pool.query(
+      `INSERT INTO linkedin_posts (workspace_id, organization_id, post_id, text, media_type, likes_count, comments_count, created_time)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (workspace_id, organization_id, post_id)
+       DO UPDATE SET text = $4, likes_count = $6, comments_count = $7, fetched_at = NOW()`,
+      [
+        organization.workspace_id,
+        organization.organization_id,
+        post.id,
+        post.commentary || null,
+        postMediaType(post),
+        post.likes || 0,
+        post.comments || 0,
+        new Date(post.publishedAt || post.createdAt || Date.now()).toISOString()
+      ]
+    );
+  },
+
+  // Daily follower gains and page impressions, in the Graph insights shape
+  fetchInsights: async (organization, { startDate, endDate } = {}) => {
+    const query = `q=organizationalEntity&organizationalEntity=${encodeUrn(organizationUrn(organization.organization_id))}` +
+      `&timeIntervals=${timeIntervals(startDate, endDate)}`;
+
+    const [followerStats, shareStats] = await Promise.all([
+      linkedinRequest(organization.workspace_id, { method: 'get', url: `${API_URL}/organizationalEntityFollowerStatistics?${query}` }),
+      linkedinRequest(organization.workspace_id, { method: 'get', url: `${API_URL}/organizationalEntityShareStatistics?${query}` })
+    ]);
+
+    const daily = (elements, value) => elements.map(element => ({
+      value: value(element),
+      end_time: new Date(element.timeRange.start).toISOString()
+    }));
+
+    const insights = [
+      {
+        name: 'follower_gains',
+        values: daily(followerStats.data.elements || [], element =>
+          (element.followerGains?.organicFollowerGain || 0) + (element.followerGains?.paidFollowerGain || 0))
+      },
+      {
+        name: 'impressions',
+        values: daily(shareStats.data.elements || [], element => element.totalShareStatistics?.impressionCount || 0)
+      },
+      {
+        name: 'clicks',
+        values: daily(shareStats.data.elements || [], element => element.totalShareStatistics?.clickCount || 0)
+      }
+    ];
+
+    await recordInsightSnapshots(organization.workspace_id, 'linkedin', organization.organization_id, insights, {
+      impressions: 'impressions'
+    });
+
+    return insights;
+  },
+
+  // Publish a text post, with an optional library image, as the
+  // organization. Bare media URLs aren't attached.
+  publish: async (organization, { content = '', media = [] }) => {
+    const post = {
+      author: organizationUrn(organization.organization_id),
+      commentary: toCommentary(content),
+      visibility: 'PUBLIC',
+      distribution: { feedDistribution: 'MAIN_FEED', targetEntities: [], thirdPartyDistributionChannels: [] },
+      lifecycleState: 'PUBLISHED',
+      isReshareDisabledByAuthor: false
+    };
+
+    if (media.length > 0) {
+      post.content = { media: { id: await uploadImage(organization, media[0]) } };
+    }
+
+    const response = await linkedinRequest(organization.workspace_id, {
+      method: 'post',
+      url: `${API_URL}/posts`,
+      data: post,
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    // The new post's URN comes back in a header, not the (empty) body
+    return response.headers['x-restli-id'];
+  },
+
+  disconnect: async (workspaceId) => {
+    await pool.query('DELETE FROM linkedin_posts WHERE workspace_id = $1', [workspaceId]);
+    await pool.query('DELETE FROM linkedin_organizations WHERE workspace_id = $1', [workspaceId]);
+  }
+};
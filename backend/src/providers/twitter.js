@@ -0,0 +1,331 @@
+const pool = require('../db');
+const { platformClient } = require('../services/platformClient');
+const { encryptToken } = require('../utils/tokenCrypto');
+const { withTwitterToken } = require('../services/tokenManager');
+const { recordAccountSnapshot } = require('../services/metricsSnapshots');
+const { PublishPendingError } = require('../services/retryPolicy');
+
+const API_URL = 'https://api.twitter.com/2';
+const PROFILE_FIELDS = 'id,name,username,description,profile_image_url,public_metrics';
+
+// Media is uploaded in chunks of this size (Twitter takes up to 5 MB each)
+const UPLOAD_CHUNK_BYTES = 4 * 1024 * 1024;
+// How soon a tweet waiting on a video or GIF checks its processing again
+// (unless Twitter asks for longer), and how long it waits in all
+const PROCESSING_POLL_INTERVAL_MS = 30 * 1000;
+const PROCESSING_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Twitter calls use the account's own OAuth token, refreshed on demand
+function twitterRequest(account, config) {
+  return withTwitterToken(account.workspace_id, account.twitter_id, (token) => platformClient.request({
+    ...config,
+    headers: { ...config.headers, Authorization: `Bearer ${token}` }
+  }));
+}
+
+async function recordFollowers(workspaceId, user) {
+  await recordAccountSnapshot({
+    workspaceId,
+    platform: 'twitter',
+    accountId: user.id,
+    followers: user.public_metrics?.followers_count || 0
+  });
+}
+
+function mediaCategory(media) {
+  if (media.media_type === 'video') return 'tweet_video';
+  return media.mime_type === 'image/gif' ? 'tweet_gif' : 'tweet_image';
+}
+
+// Videos and GIFs are processed after upload. Whether the media's
+// processing_info says it isn't ready to tweet yet; throws if Twitter
+// couldn't process it.
+function stillProcessing(mediaId, info) {
+  if (!info || info.state === 'succeeded') return false;
+
+  if (info.state === 'failed') {
+    const error = new Error(`Twitter could not process the media: ${info.error?.message || 'unknown error'}`);
+    error.details = { mediaId, processingInfo: info };
+    throw error;
+  }
+
+  return true;
+}
+
+function checkAfterMs(info) {
+  return Math.max(PROCESSING_POLL_INTERVAL_MS, (info.check_after_secs || 0) * 1000);
+}
+
+// The media IDs Twitter is still processing, and how long to wait before
+// asking again
+async function checkProcessing(account, mediaIds) {
+  const pending = [];
+  let retryAfterMs = PROCESSING_POLL_INTERVAL_MS;
+
+  for (const mediaId of mediaIds) {
+    const response = await twitterRequest(account, {
+      method: 'get',
+      url: `${API_URL}/media/upload`,
+      params: { command: 'STATUS', media_id: mediaId }
+    });
+    const info = response.data.data.processing_info;
+
+    if (stillProcessing(mediaId, info)) {
+      pending.push(mediaId);
+      retryAfterMs = Math.max(retryAfterMs, checkAfterMs(info));
+    }
+  }
+
+  return { pending, retryAfterMs };
+}
+
+// Upload a library file with the chunked INIT / APPEND / FINALIZE flow.
+// Resolves to its media ID and the processing_info FINALIZE answered with.
+// Each segment is read from storage as it's sent, so a video is never held in
+// memory whole.
+async function uploadMedia(account, media) {
+  const size = Number(media.size_bytes);
+
+  const init = await twitterRequest(account, {
+    method: 'post',
+    url: `${API_URL}/media/upload/initialize`,
+    data: { media_type: media.mime_type, total_bytes: size, media_category: mediaCategory(media) },
+    headers: { 'Content-Type': 'application/json' }
+  });
+  const mediaId = init.data.data.id;
+
+  for (let offset = 0, segment = 0; offset < size; offset += UPLOAD_CHUNK_BYTES, segment++) {
+    const chunk = await media.readRange(offset, Math.min(offset + UPLOAD_CHUNK_BYTES, size));
+
+    const form = new FormData();
+    form.append('media', new Blob([chunk]), media.filename);
+    form.append('segment_index', String(segment));
+
+    await twitterRequest(account, {
+      method: 'post',
+      url: `${API_URL}/media/upload/${mediaId}/append`,
+      data: form
+    });
+  }
+
+  const finalized = await twitterRequest(account, {
+    method: 'post',
+    url: `${API_URL}/media/upload/${mediaId}/finalize`
+  });
+
+  return { mediaId, processingInfo: finalized.data.data.processing_info };
+}
+
+module.exports = {
+  name: 'twitter',
+  label: 'Twitter',
+  accounts: {
+    table: 'twitter_accounts',
+    idColumn: 'twitter_id',
+    selectParam: 'twitterId',
+    noun: 'Twitter account',
+    connectedColumn: 'connected'
+  },
+  content: { table: 'twitter_tweets', key: 'tweets', pagingKey: 'meta', pageSize: { min: 5, max: 100 } },
+  routes: {
+    accounts: '/accounts',
+    content: '/tweets',
+    profile: '/analytics',
+    publish: '/tweet'
+  },
+  publishing: { idKey: 'tweetId', message: 'Tweet posted successfully' },
+
+  // Store the account a Twitter login signed in as, with the tokens that
+  // login was granted (from the OAuth callback). Each account keeps its own
+  // grant, so connecting another account leaves the others' alone.
+  connectAccount: async (workspaceId, { accessToken, refreshToken = null, expiresAt = null }) => {
+    const response = await platformClient.get(`${API_URL}/users/me`, {
+      params: { 'user.fields': PROFILE_FIELDS },
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+
+    const twitterUser = response.data.data;
+
+    await pool.query(
+      `INSERT INTO twitter_accounts
+         (workspace_id, twitter_id, username, bio, profile_picture_url, followers_count,
+          access_token, refresh_token, token_expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (workspace_id, twitter_id)
+       DO UPDATE SET username = $3, bio = $4, profile_picture_url = $5, followers_count = $6,
+                     access_token = $7, refresh_token = COALESCE($8, twitter_accounts.refresh_token),
+                     token_expires_at = $9, connected = TRUE, disconnected_reason = NULL`,
+      [
+        workspaceId,
+        twitterUser.id,
+        twitterUser.username,
+        twitterUser.description || null,
+        twitterUser.profile_image_url || null,
+        twitterUser.public_metrics?.followers_count || 0,
+        encryptToken(accessToken),
+        encryptToken(refreshToken),
+        expiresAt
+      ]
+    );
+
+    await recordFollowers(workspaceId, twitterUser);
+    return twitterUser.id;
+  },
+
+  // Refresh the profiles of the accounts the workspace has connected, each
+  // with its own token (accounts whose grant was refused are left as they are)
+  connect: async (workspaceId) => {
+    const stored = await pool.query(
+      'SELECT * FROM twitter_accounts WHERE workspace_id = $1 AND connected = TRUE ORDER BY id',
+      [workspaceId]
+    );
+
+    if (stored.rows.length === 0) return null;
+
+    for (const account of stored.rows) {
+      const response = await twitterRequest(account, {
+        method: 'get',
+        url: `${API_URL}/users/${account.twitter_id}`,
+        params: { 'user.fields': PROFILE_FIELDS }
+      });
+      const twitterUser = response.data.data;
+
+      await pool.query(
+        `UPDATE twitter_accounts SET username = $3, bio = $4, profile_picture_url = $5, followers_count = $6
+         WHERE workspace_id = $1 AND twitter_id = $2`,
+        [
+          workspaceId,
+          account.twitter_id,
+          twitterUser.username,
+          twitterUser.description || null,
+          twitterUser.profile_image_url || null,
+          twitterUser.public_metrics?.followers_count || 0
+        ]
+      );
+
+      await recordFollowers(workspaceId, twitterUser);
+    }
+
+    const accounts = await pool.query(
+      'SELECT * FROM twitter_accounts WHERE workspace_id = $1 ORDER BY id',
+      [workspaceId]
+    );
+
+    return accounts.rows;
+  },
+
+  fetchProfile: async (account) => {
+    const response = await twitterRequest(account, {
+      method: 'get',
+      url: `${API_URL}/users/${account.twitter_id}`,
+      params: { 'user.fields': 'created_at,description,public_metrics,verified' }
+    });
+
+    const user = response.data.data;
+
+    return {
+      followers: user.public_metrics?.followers_count || 0,
+      following: user.public_metrics?.following_count || 0,
+      tweets: user.public_metrics?.tweet_count || 0,
+      verified: user.verified || false
+    };
+  },
+
+  listContent: async (account, cursor, { limit = 100 } = {}) => {
+    const response = await twitterRequest(account, {
+      method: 'get',
+      url: `${API_URL}/users/${account.twitter_id}/tweets`,
+      params: {
+        'max_results': limit,
+        'tweet.fields': 'created_at,public_metrics',
+        ...(cursor && { pagination_token: cursor })
+      }
+    });
+
+    return {
+      items: response.data.data || [],
+      nextCursor: response.data.meta?.next_token || null,
+      paging: response.data.meta || {}
+    };
+  },
+
+  contentTime: tweet => tweet.created_at,
+
+  contentMetrics: tweet => ({
+    postId: tweet.id,
+    likes: tweet.public_metrics?.like_count || 0,
+    shares: tweet.public_metrics?.retweet_count || 0,
+    replies: tweet.public_metrics?.reply_count || 0
+  }),
+
+  storeContent: async (account, tweet) => {
+    await pool.query(
+      `INSERT INTO twitter_tweets (workspace_id, twitter_id, tweet_id, text, likes_count, retweets_count, replies_count, created_time)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (workspace_id, twitter_id, tweet_id) DO UPDATE SET text = $4, likes_count = $5, retweets_count = $6, replies_count = $7`,
+      [
+        account.workspace_id,
+        account.twitter_id,
+        tweet.id,
+        tweet.text,
+        tweet.public_metrics?.like_count || 0,
+        tweet.public_metrics?.retweet_count || 0,
+        tweet.public_metrics?.reply_count || 0,
+        tweet.created_at || new Date().toISOString()
+      ]
+    );
+  },
+
+  // Post a tweet with the post's library media uploaded and attached (up to
+  // 4 images, or one GIF or video). Bare media URLs aren't attached. Rather
+  // than wait while Twitter processes a video or GIF, this throws
+  // PublishPendingError with { mediaIds, pending, startedAt }; called again
+  // with that state, it checks on the pending media and tweets once they're
+  // all ready.
+  publish: async (account, { content, media = [], state = null }) => {
+    state = state ? { ...state } : { mediaIds: null, pending: [], startedAt: Date.now() };
+    let retryAfterMs = PROCESSING_POLL_INTERVAL_MS;
+
+    if (!state.mediaIds) {
+      state.mediaIds = [];
+
+      for (const item of media) {
+        const { mediaId, processingInfo } = await uploadMedia(account, item);
+        state.mediaIds.push(mediaId);
+
+        if (stillProcessing(mediaId, processingInfo)) {
+          state.pending.push(mediaId);
+          retryAfterMs = Math.max(retryAfterMs, checkAfterMs(processingInfo));
+        }
+      }
+    } else if (state.pending.length > 0) {
+      ({ pending: state.pending, retryAfterMs } = await checkProcessing(account, state.pending));
+    }
+
+    if (state.pending.length > 0) {
+      if (Date.now() - state.startedAt > PROCESSING_TIMEOUT_MS) {
+        const error = new Error('Twitter took too long to process the media');
+        error.details = { mediaIds: state.pending };
+        throw error;
+      }
+      throw new PublishPendingError(state, retryAfterMs);
+    }
+
+    const response = await twitterRequest(account, {
+      method: 'post',
+      url: `${API_URL}/tweets`,
+      data: {
+        ...(content && { text: content }),
+        ...(state.mediaIds.length > 0 && { media: { media_ids: state.mediaIds } })
+      },
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    return response.data.data.id;
+  },
+
+  disconnect: async (workspaceId) => {
+    await pool.query('DELETE FROM twitter_accounts WHERE workspace_id = $1', [workspaceId]);
+    await pool.query('DELETE FROM twitter_tweets WHERE workspace_id = $1', [workspaceId]);
+  }
+};
@@ -0,0 +1,42 @@
+const express = require('express');
+const { verifyToken } = require('../middleware/auth');
+const { GRANULARITIES, getOverview } = require('../services/analytics');
+const { ownsBrand } = require('../services/brands');
+const { isValidDate, daysAgo } = require('../utils/dates');
+
+require('dotenv').config();
+
+const router = express.Router();
+
+// =============== CROSS-PLATFORM ANALYTICS ===============
+
+// Follower, engagement, impressions and post-count series per platform and
+// combined, optionally for one brand's accounts
+router.get('/overview', verifyToken, async (req, res) => {
+  const { from = daysAgo(29), to = daysAgo(0), granularity = 'day', brandId = null } = req.query;
+
+  if (!isValidDate(from) || !isValidDate(to)) {
+    return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+  }
+
+  if (from > to) {
+    return res.status(400).json({ error: 'from must be on or before to' });
+  }
+
+  if (!GRANULARITIES.includes(granularity)) {
+    return res.status(400).json({ error: `granularity must be one of: ${GRANULARITIES.join(', ')}` });
+  }
+
+  try {
+    if (brandId && !(await ownsBrand(req.workspaceId, brandId))) {
+      return res.status(404).json({ error: 'Brand not found' });
+    }
+
+    res.json(await getOverview(req.workspaceId, { from, to, granularity, brandId: brandId ? Number(brandId) : null }));
+  } catch (error) {
+    console.error('Analytics overview error:', error);
+    res.status(500).json({ error: 'Failed to get analytics overview' });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,39 @@
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const pool = require('../db');
-const axios = require('axios');
+const { verifyUser, verifyToken, requireRole, hasRole, resolveMembership } = require('../middleware/auth');
+const { platformClient } = require('../services/platformClient');
 const querystring = require('querystring');
+const {
+  ScheduleError,
+  resolveTargets,
+  createScheduledPost,
+  listPosts,
+  listFailedPosts,
+  getPost,
+  requeuePost,
+  updateScheduledPost,
+  cancelScheduledPost,
+  listPostRevisions,
+  submitPost,
+  approvePost,
+  rejectPost,
+  commentOnPost,
+  listPostEvents
+} = require('../services/scheduledPosts');
+const { createPostSeries, listSeries, getSeries, stopSeries } = require('../services/postSeries');
+const { refreshQueue } = require('../services/postingQueues');
+const { MediaError, getMediaList, resolveAttachedMedia } = require('../services/media');
+const { resolvePlatformOptions } = require('../services/platformOptions');
+const { validatePost } = require('../services/contentValidator');
+const { exchangeFacebookToken, exchangeInstagramToken, storeTokens } = require('../services/tokenManager');
+const { SESSION_TTL_MINUTES, createOAuthSession, consumeOAuthSession } = require('../services/oauthSessions');
+const { serializeRow } = require('../utils/serializers');
+const { createWorkspace } = require('../services/workspaces');
+const { getProvider } = require('../providers');
+const { normalizeTimeZone, parseDateTime, zonedParts, zonedTimeToUtc } = require('../utils/timeZones');
 
 require('dotenv').config();
 
@@ -23,13 +53,26 @@ router.post('/register', async (req, res) => {
 
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    const newUser = await pool.query(
-      'INSERT INTO users (name, email, password) VALUES ($1, $2, $3) RETURNING *',
-      [name, email, hashedPassword]
-    );
+    // Every user starts with a personal workspace they own
+    const client = await pool.connect();
+    let newUser;
+    try {
+      await client.query('BEGIN');
+      newUser = await client.query(
+        'INSERT INTO users (name, email, password) VALUES ($1, $2, $3) RETURNING *',
+        [name, email, hashedPassword]
+      );
+      await createWorkspace(newUser.rows[0].id, { name: `${name}'s workspace` }, client);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
     console.log('User registered successfully:', newUser.rows[0].email);
-    res.json({ message: 'User registered successfully', user: newUser.rows[0] });
+    res.json({ message: 'User registered successfully', user: serializeRow(newUser.rows[0]) });
 
   } catch (error) {
     console.error('Registration error:', error.message || error);
@@ -69,22 +112,7 @@ router.post('/login', async (req, res) => {
   }
 });
 
-function verifyToken(req, res, next) {
-  const token = req.headers['authorization'];
-
-  if (!token)
-    return res.status(403).json({ error: 'Token required' });
-
-  jwt.verify(token.replace("Bearer ", ""), process.env.JWT_SECRET, (err, decoded) => {
-    if (err)
-      return res.status(403).json({ error: 'Invalid token' });
-
-    req.userId = decoded.userId;
-    next();
-  });
-}
-
-router.get('/me', verifyToken, async (req, res) => {
+router.get('/me', verifyUser, async (req, res) => {
   try {
     const user = await pool.query('SELECT id, name, email FROM users WHERE id = $1', [req.userId]);
     res.json(user.rows[0]);
@@ -93,7 +121,7 @@ router.get('/me', verifyToken, async (req, res) => {
   }
 });
 
-router.post('/post', verifyToken, async (req, res) => {
+router.post('/post', verifyUser, async (req, res) => {
   const { content } = req.body;
 
   if (!content) return res.status(400).json({ error: 'Content required' });
@@ -111,7 +139,7 @@ router.post('/post', verifyToken, async (req, res) => {
   }
 });
 
-router.get('/posts', verifyToken, async (req, res) => {
+router.get('/posts', verifyUser, async (req, res) => {
   try {
     const posts = await pool.query(
       `SELECT posts.id, posts.content, posts.created_at, users.name 
@@ -126,44 +154,397 @@ router.get('/posts', verifyToken, async (req, res) => {
   } catch (err) {
     console.error('Fetch posts error:', err);
     res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Targets can be given as [{ platform, accountId }], as a list of platforms
+// (each goes to that platform's selected account), or as the older single
+// platform + pageId pair
+function requestedTargets({ targets, platforms, platform = 'facebook', pageId = null }) {
+  if (Array.isArray(targets)) return targets;
+  if (Array.isArray(platforms)) return platforms.map(p => ({ platform: p }));
+  return [{ platform, accountId: pageId }];
+}
+
+// scheduled_time with Z or an offset is an exact time; without one
+// ("2026-03-29T09:00") it's a local time in timeZone, an IANA zone such as
+// "Europe/Berlin" (default UTC). Pass draft: true to save without submitting;
+// otherwise the post goes to review when the workspace requires approval.
+// With recurrence (an RRULE like "FREQ=WEEKLY;BYDAY=MO,WE", or { frequency,
+// interval, byDay, byMonthDay, count, until }) a series is created instead,
+// with scheduled_time as its first occurrence. Attach media from the library
+// with mediaIds (in order; or a single mediaId), or pass a mediaUrl.
+// platformOptions sets per-platform options, e.g. { instagram: { format: 'reel' } }.
 router.post('/schedule', verifyToken, async (req, res) => {
-  const { content, scheduled_time, mediaUrl = null } = req.body;
+  const { content, scheduled_time, draft = false, timeZone = 'UTC', recurrence = null } = req.body;
 
   if (!content || !scheduled_time)
     return res.status(400).json({ error: "Content and schedule time required" });
 
+  const zone = normalizeTimeZone(timeZone);
+  if (!zone)
+    return res.status(400).json({ error: "timeZone must be an IANA time zone, e.g. Europe/Berlin" });
+
+  const scheduledTime = parseDateTime(scheduled_time, zone);
+  if (!scheduledTime)
+    return res.status(400).json({ error: "Invalid schedule time" });
+
+  if (recurrence && draft === true)
+    return res.status(400).json({ error: "Recurring posts can't be saved as drafts" });
+
+  const requested = requestedTargets(req.body);
+  if (requested.length === 0)
+    return res.status(400).json({ error: "At least one target platform required" });
+
   try {
-    const result = await pool.query(
-      `INSERT INTO scheduled_posts (user_id, content, scheduled_time, media_url, status)
-       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-      [req.userId, content, scheduled_time, mediaUrl, 'pending']
-    );
-    res.json(result.rows[0]);
+    const { mediaUrl = null, mediaIds, media } = await resolveAttachedMedia(req.workspaceId, req.body);
+    const platformOptions = await resolvePlatformOptions(req.workspaceId, req.body.platformOptions) ?? {};
+
+    const validation = validatePost({
+      content,
+      mediaUrls: [mediaUrl],
+      media,
+      platformOptions,
+      platforms: requested.map(t => t.platform)
+    });
+    if (!validation.valid)
+      return res.status(400).json({ error: "Post failed validation", validation });
+
+    // Resolve accounts now so the worker knows where to publish each target
+    const targets = await resolveTargets(req.workspaceId, requested);
+
+    if (recurrence) {
+      const series = await createPostSeries(req.workspaceId, req.userId, {
+        content,
+        mediaUrl,
+        mediaIds,
+        platformOptions,
+        targets,
+        recurrence,
+        timeZone: zone,
+        startsAt: scheduledTime
+      });
+      return res.json(series);
+    }
+
+    const post = await createScheduledPost(req.workspaceId, req.userId, {
+      content,
+      scheduledTime,
+      timeZone: zone,
+      mediaUrl,
+      mediaIds,
+      platformOptions,
+      targets,
+      draft: draft === true
+    });
+    res.json(post);
   } catch (err) {
+    if (err instanceof ScheduleError || err instanceof MediaError)
+      return res.status(err.status).json({ error: err.message });
+
     console.error("Schedule Error:", err);
     res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ?approvalStatus=in_review lists the review queue
 router.get('/schedules', verifyToken, async (req, res) => {
   try {
-    const result = await pool.query(
-      `SELECT * FROM scheduled_posts
-       WHERE user_id = $1
-       ORDER BY scheduled_time ASC`,
-      [req.userId]
-    );
-    res.json(result.rows);
+    res.json(await listPosts(req.workspaceId, { approvalStatus: req.query.approvalStatus || null }));
   } catch (err) {
+    if (err instanceof ScheduleError)
+      return res.status(err.status).json({ error: err.message });
+
     console.error("Fetch Schedules Error:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
+// List posts with targets that exhausted their retries or failed permanently
+router.get('/schedules/failed', verifyToken, async (req, res) => {
+  try {
+    res.json(await listFailedPosts(req.workspaceId));
+  } catch (err) {
+    console.error("Fetch Failed Schedules Error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Put a post's failed targets back in the publishing queue
+router.post('/schedules/:id/requeue', verifyToken, async (req, res) => {
+  try {
+    const post = await requeuePost(req.params.id, req.workspaceId, req.userId);
+
+    if (!post)
+      return res.status(404).json({ error: "Failed post not found" });
+
+    res.json(post);
+  } catch (err) {
+    console.error("Requeue Schedule Error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// =============== EDITING SCHEDULED POSTS ===============
+// Only the author or an admin can change a post, and only until it starts
+// publishing. Changing a queued post re-flows the rest of its queue.
+
+// Apply an edit: PUT replaces the post (same body as POST /schedule, without
+// recurrence), PATCH changes just the fields given. A PATCH with only a new
+// timeZone keeps the post's local time, in the new zone. mediaIds: [] (or
+// mediaId: null) detaches the post's media, and platformOptions: null clears
+// its platform options.
+function editScheduleHandler(replace) {
+  return async (req, res) => {
+    const { content, scheduled_time, timeZone } = req.body;
+    const hasTargets = ['targets', 'platforms', 'platform', 'pageId'].some(key => req.body[key] !== undefined);
+
+    if (replace && (!content || !scheduled_time))
+      return res.status(400).json({ error: "Content and schedule time required" });
+
+    if (content !== undefined && !content)
+      return res.status(400).json({ error: "Content can't be empty" });
+
+    const zone = timeZone === undefined ? null : normalizeTimeZone(timeZone);
+    if (timeZone !== undefined && !zone)
+      return res.status(400).json({ error: "timeZone must be an IANA time zone, e.g. Europe/Berlin" });
+
+    try {
+      const post = await getPost(req.params.id, req.workspaceId);
+      if (!post)
+        return res.status(404).json({ error: "Scheduled post not found" });
+
+      const newZone = zone ?? (replace ? 'UTC' : post.time_zone);
+      let scheduledTime;
+
+      if (scheduled_time !== undefined) {
+        scheduledTime = parseDateTime(scheduled_time, newZone);
+        if (!scheduledTime)
+          return res.status(400).json({ error: "Invalid schedule time" });
+      } else if (zone && !post.queue_id) {
+        // Queued posts take their time from the queue instead
+        const local = zonedParts(new Date(post.scheduled_time).getTime(), post.time_zone);
+        scheduledTime = new Date(zonedTimeToUtc(local, zone));
+      }
+
+      const requested = replace || hasTargets ? requestedTargets(req.body) : null;
+      if (requested && requested.length === 0)
+        return res.status(400).json({ error: "At least one target platform required" });
+
+      const { mediaUrl, mediaIds, media } = await resolveAttachedMedia(req.workspaceId, req.body);
+      const keepsMedia = mediaUrl === undefined && !replace;
+      const requestedOptions = await resolvePlatformOptions(req.workspaceId, req.body.platformOptions);
+      const platformOptions = replace ? (requestedOptions ?? {}) : requestedOptions;
+
+      const validation = validatePost({
+        content: content ?? post.content,
+        mediaUrls: [keepsMedia ? post.media_url : mediaUrl],
+        media: keepsMedia ? await getMediaList(req.workspaceId, post.media_ids) : media,
+        platformOptions: platformOptions ?? post.platform_options,
+        platforms: requested ? requested.map(t => t.platform) : post.targets.map(t => t.platform)
+      });
+      if (!validation.valid)
+        return res.status(400).json({ error: "Post failed validation", validation });
+
+      const updated = await updateScheduledPost(req.params.id, req.workspaceId, { userId: req.userId, role: req.role }, {
+        content,
+        scheduledTime,
+        timeZone: replace || zone ? newZone : undefined,
+        mediaUrl: replace ? (mediaUrl ?? null) : mediaUrl,
+        mediaIds,
+        platformOptions,
+        targets: requested ? await resolveTargets(req.workspaceId, requested) : undefined
+      });
+
+      if (!updated)
+        return res.status(404).json({ error: "Scheduled post not found" });
+
+      if (post.queue_id) {
+        await refreshQueue(req.workspaceId, post.queue_id);
+        return res.json(await getPost(post.id, req.workspaceId));
+      }
+
+      res.json(updated);
+    } catch (err) {
+      if (err instanceof ScheduleError || err instanceof MediaError)
+        return res.status(err.status).json({ error: err.message });
+
+      console.error("Edit Schedule Error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  };
+}
+
+router.put('/schedules/:id', verifyToken, editScheduleHandler(true));
+router.patch('/schedules/:id', verifyToken, editScheduleHandler(false));
+
+// Cancel a post that hasn't gone out; it stays listed, with status 'cancelled'
+router.delete('/schedules/:id', verifyToken, async (req, res) => {
+  try {
+    const post = await cancelScheduledPost(req.params.id, req.workspaceId, { userId: req.userId, role: req.role });
+
+    if (!post)
+      return res.status(404).json({ error: "Scheduled post not found" });
+
+    if (post.queue_id)
+      await refreshQueue(req.workspaceId, post.queue_id);
+
+    res.json({ message: "Scheduled post cancelled", post });
+  } catch (err) {
+    if (err instanceof ScheduleError)
+      return res.status(err.status).json({ error: err.message });
+
+    console.error("Cancel Schedule Error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Skip one occurrence of a recurring post; the rest of the series goes ahead
+router.post('/schedules/:id/skip', verifyToken, async (req, res) => {
+  try {
+    const post = await getPost(req.params.id, req.workspaceId);
+    if (!post)
+      return res.status(404).json({ error: "Scheduled post not found" });
+
+    if (!post.series_id)
+      return res.status(409).json({ error: "Only occurrences of a recurring post can be skipped" });
+
+    const skipped = await cancelScheduledPost(req.params.id, req.workspaceId, { userId: req.userId, role: req.role }, {
+      action: 'skipped'
+    });
+
+    res.json({ message: "Occurrence skipped", post: skipped });
+  } catch (err) {
+    if (err instanceof ScheduleError)
+      return res.status(err.status).json({ error: err.message });
+
+    console.error("Skip Schedule Error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Every saved version of the post, with the fields each edit changed
+router.get('/schedules/:id/revisions', verifyToken, async (req, res) => {
+  try {
+    const revisions = await listPostRevisions(req.params.id, req.workspaceId);
+
+    if (!revisions)
+      return res.status(404).json({ error: "Scheduled post not found" });
+
+    res.json(revisions);
+  } catch (err) {
+    console.error("Schedule Revisions Error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// =============== RECURRING POSTS ===============
+// Each occurrence of a series is an ordinary scheduled post (with series_id),
+// created ahead of time, so it can be edited, skipped or reviewed on its own
+
+router.get('/series', verifyToken, async (req, res) => {
+  try {
+    res.json(await listSeries(req.workspaceId));
+  } catch (err) {
+    console.error("Fetch Series Error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// The series with its occurrences so far
+router.get('/series/:id', verifyToken, async (req, res) => {
+  try {
+    const series = await getSeries(req.params.id, req.workspaceId);
+
+    if (!series)
+      return res.status(404).json({ error: "Series not found" });
+
+    res.json(series);
+  } catch (err) {
+    console.error("Fetch Series Error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Stop the series; upcoming occurrences that haven't gone out are cancelled
+router.delete('/series/:id', verifyToken, async (req, res) => {
+  try {
+    const series = await stopSeries(req.params.id, req.workspaceId, { userId: req.userId, role: req.role });
+
+    if (!series)
+      return res.status(404).json({ error: "Series not found" });
+
+    res.json({ message: "Series stopped", series });
+  } catch (err) {
+    if (err instanceof ScheduleError)
+      return res.status(err.status).json({ error: err.message });
+
+    console.error("Stop Series Error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// =============== POST REVIEW ===============
+
+// Run a review action on a post; ScheduleErrors (e.g. wrong state) keep their status
+function reviewHandler(action, label) {
+  return async (req, res) => {
+    try {
+      const result = await action(req.params.id, req.workspaceId, req.userId, req.body?.comment ?? null);
+
+      if (!result)
+        return res.status(404).json({ error: "Scheduled post not found" });
+
+      // Only approved posts hold a queue slot, so review re-flows the queue
+      if (result.queue_id) {
+        await refreshQueue(req.workspaceId, result.queue_id);
+        return res.json(await getPost(result.id, req.workspaceId));
+      }
+
+      res.json(result);
+    } catch (err) {
+      if (err instanceof ScheduleError)
+        return res.status(err.status).json({ error: err.message });
+
+      console.error(`${label} Error:`, err);
+      res.status(500).json({ error: "Server error" });
+    }
+  };
+}
+
+// Send a draft or rejected post for review ({ comment } is optional)
+router.post('/schedules/:id/submit', verifyToken, reviewHandler(submitPost, "Submit Schedule"));
+
+// Reviewing is for admins; approved posts are published at their scheduled time
+router.post('/schedules/:id/approve', verifyToken, requireRole('admin'), reviewHandler(approvePost, "Approve Schedule"));
+router.post('/schedules/:id/reject', verifyToken, requireRole('admin'), reviewHandler(rejectPost, "Reject Schedule"));
+
+// { comment }
+router.post('/schedules/:id/comments', verifyToken, reviewHandler(commentOnPost, "Comment Schedule"));
+
+// Who created, edited, cancelled, skipped, submitted, approved, rejected, commented on
+// or re-queued the post
+router.get('/schedules/:id/activity', verifyToken, async (req, res) => {
+  try {
+    const events = await listPostEvents(req.params.id, req.workspaceId);
+
+    if (!events)
+      return res.status(404).json({ error: "Scheduled post not found" });
+
+    res.json(events);
+  } catch (err) {
+    console.error("Schedule Activity Error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 router.get('/analytics', verifyToken, async (req, res) => {
   const days = Number(req.query.days) || 7;
 
   try {
     const pagesRes = await pool.query(
-      `SELECT page_id FROM facebook_pages WHERE user_id = $1`,
-      [req.userId]
+      `SELECT page_id FROM facebook_pages WHERE workspace_id = $1`,
+      [req.workspaceId]
     );
 
     const pageIds = pagesRes.rows.map(r => r.page_id);
@@ -177,12 +558,12 @@ router.get('/analytics', verifyToken, async (req, res) => {
               SUM(CASE WHEN metric_name = 'page_fans' THEN metric_value ELSE 0 END) AS followers,
               SUM(CASE WHEN metric_name = 'page_post_engagements' THEN metric_value ELSE 0 END) AS engagement
        FROM facebook_insights
-       WHERE user_id = $1
+       WHERE workspace_id = $1
          AND page_id = ANY($2)
          AND insight_date >= (CURRENT_DATE - ($3::int - 1))
        GROUP BY insight_date
        ORDER BY insight_date ASC`,
-      [req.userId, pageIds, days]
+      [req.workspaceId, pageIds, days]
     );
 
     const analyticsData = aggRes.rows.map(r => ({
@@ -202,8 +583,8 @@ router.get('/analytics', verifyToken, async (req, res) => {
 router.get('/accounts', verifyToken, async (req, res) => {
   try {
     const result = await pool.query(
-      `SELECT platform, connected FROM social_accounts WHERE user_id = $1`,
-      [req.userId]
+      `SELECT platform, connected, disconnected_reason, token_expires_at FROM social_accounts WHERE workspace_id = $1`,
+      [req.workspaceId]
     );
     res.json(result.rows);
   } catch (err) {
@@ -212,16 +593,16 @@ router.get('/accounts', verifyToken, async (req, res) => {
 });
 
 // Create or update account connection status
-router.post('/accounts', verifyToken, async (req, res) => {
+router.post('/accounts', verifyToken, requireRole('admin'), async (req, res) => {
   const { platform } = req.body;
 
   try {
     await pool.query(
-      `INSERT INTO social_accounts (user_id, platform, connected)
+      `INSERT INTO social_accounts (workspace_id, platform, connected)
        VALUES ($1, $2, TRUE)
-       ON CONFLICT (user_id, platform)
+       ON CONFLICT (workspace_id, platform)
        DO UPDATE SET connected = TRUE`,
-      [req.userId, platform]
+      [req.workspaceId, platform]
     );
     
     res.json({ message: `${platform} connected!` });
@@ -231,11 +612,87 @@ router.post('/accounts', verifyToken, async (req, res) => {
   }
 });
 
-router.get('/facebook/login', (req, res) => {
+// The login routes are opened by browser navigation, so the user's JWT arrives
+// as ?token= (and the workspace to connect to as ?workspaceId=). It is only
+// checked here; the platform gets a random state nonce.
+function userIdFromLoginToken(token) {
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET).userId;
+  } catch {
+    return null;
+  }
+}
+
+// Connected accounts belong to the workspace, so connecting one takes an admin
+async function adminMembership(userId, workspaceId) {
+  const membership = await resolveMembership(userId, workspaceId);
+  return membership && hasRole(membership.role, 'admin') ? membership : null;
+}
+
+// The state nonce ties a callback to the user who started the flow, not to
+// their browser: a callback link from someone else's flow would still connect
+// their account. So /login leaves a hash of the state in a cookie that only
+// the starting browser holds, and the callback turns away requests without it.
+function stateCookieName(platform) {
+  return `oauth_state_${platform}`;
+}
+
+function stateCookieOptions(req) {
+  // Lax still sends it on the platform's top-level redirect back to us
+  return { httpOnly: true, sameSite: 'lax', secure: req.secure, path: req.baseUrl };
+}
+
+function hashState(state) {
+  return crypto.createHash('sha256').update(state).digest('base64url');
+}
+
+function setStateCookie(req, res, platform, state) {
+  res.cookie(stateCookieName(platform), hashState(state), {
+    ...stateCookieOptions(req),
+    maxAge: SESSION_TTL_MINUTES * 60 * 1000
+  });
+}
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.slice(0, index).trim() === name) return part.slice(index + 1).trim();
+  }
+  return null;
+}
+
+// Whether the callback came from the browser that opened this state's /login.
+// The cookie is cleared either way, so it's good for one callback.
+function stateCookieMatches(req, res, platform, state) {
+  const cookie = readCookie(req, stateCookieName(platform));
+  res.clearCookie(stateCookieName(platform), stateCookieOptions(req));
+  if (!cookie) return false;
+
+  const expected = Buffer.from(hashState(state));
+  const actual = Buffer.from(cookie);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+router.get('/facebook/login', async (req, res) => {
   const jwtToken = req.query.token;
 
   if (!jwtToken) return res.status(400).json({ error: "Missing user token" });
 
+  const userId = userIdFromLoginToken(jwtToken);
+  if (!userId) return res.status(403).json({ error: "Invalid user token" });
+
+  let session;
+  try {
+    const membership = await adminMembership(userId, req.query.workspaceId);
+    if (!membership)
+      return res.status(403).json({ error: "Connecting accounts requires the admin role in this workspace" });
+
+    session = await createOAuthSession(userId, membership.workspaceId, 'facebook');
+  } catch (err) {
+    console.error("Facebook OAuth Session Error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+
   const fbAuthUrl =
     "https://www.facebook.com/v18.0/dialog/oauth?" +
     querystring.stringify({
@@ -243,31 +700,40 @@ router.get('/facebook/login', (req, res) => {
       redirect_uri: process.env.FB_REDIRECT_URI,
       scope: "public_profile,email",
       response_type: "code",
-      state: jwtToken // save token in OAuth state
+      state: session.state
     });
 
+  setStateCookie(req, res, 'facebook', session.state);
   res.redirect(fbAuthUrl);
 });
 
 router.get('/facebook/callback', async (req, res) => {
   const code = req.query.code;
-  const stateToken = req.query.state;
+  const state = req.query.state;
 
   console.log('Facebook callback received query:', req.query);
 
-  if (!code || !stateToken)
+  if (!code || !state)
     return res.status(400).json({ error: "OAuth callback missing code/state" });
 
-  let userId;
+  if (!stateCookieMatches(req, res, 'facebook', state))
+    return res.status(403).json({ error: "OAuth flow was not started in this browser" });
+
+  let session;
   try {
-    const decoded = jwt.verify(stateToken, process.env.JWT_SECRET);
-    userId = decoded.userId;
-  } catch {
-    return res.status(403).json({ error: "Invalid state token" });
+    session = await consumeOAuthSession(state, 'facebook');
+  } catch (err) {
+    console.error("OAuth Session Error:", err);
+    return res.status(500).json({ error: "Server error" });
   }
 
+  if (!session)
+    return res.status(403).json({ error: "Invalid or expired OAuth state" });
+
+  const { workspaceId } = session;
+
   try {
-    const tokenResponse = await axios.get(
+    const tokenResponse = await platformClient.get(
       `https://graph.facebook.com/v18.0/oauth/access_token?` +
       querystring.stringify({
         client_id: process.env.FB_APP_ID,
@@ -277,15 +743,9 @@ router.get('/facebook/callback', async (req, res) => {
       })
     );
 
-    const access_token = tokenResponse.data.access_token;
-
-    await pool.query(
-      `INSERT INTO social_accounts (user_id, platform, access_token, connected)
-       VALUES ($1, 'facebook', $2, TRUE)
-       ON CONFLICT (user_id, platform)
-       DO UPDATE SET access_token = $2, connected = TRUE`,
-      [userId, access_token]
-    );
+    // Trade the short-lived token for a long-lived one before storing it
+    const longLived = await exchangeFacebookToken(tokenResponse.data.access_token);
+    await storeTokens(workspaceId, 'facebook', longLived);
 
     res.send(`
       <html>
@@ -315,11 +775,26 @@ router.get('/facebook/callback', async (req, res) => {
   }
 });
 
-router.get('/instagram/login', (req, res) => {
+router.get('/instagram/login', async (req, res) => {
   const jwtToken = req.query.token;
 
   if (!jwtToken) return res.status(400).json({ error: "Missing user token" });
 
+  const userId = userIdFromLoginToken(jwtToken);
+  if (!userId) return res.status(403).json({ error: "Invalid user token" });
+
+  let session;
+  try {
+    const membership = await adminMembership(userId, req.query.workspaceId);
+    if (!membership)
+      return res.status(403).json({ error: "Connecting accounts requires the admin role in this workspace" });
+
+    session = await createOAuthSession(userId, membership.workspaceId, 'instagram');
+  } catch (err) {
+    console.error("Instagram OAuth Session Error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+
   const instagramAuthUrl =
     "https://api.instagram.com/oauth/authorize?" +
     querystring.stringify({
@@ -327,31 +802,40 @@ router.get('/instagram/login', (req, res) => {
       redirect_uri: process.env.INSTAGRAM_REDIRECT_URI,
       scope: "user_profile,user_media",
       response_type: "code",
-      state: jwtToken
+      state: session.state
     });
 
+  setStateCookie(req, res, 'instagram', session.state);
   res.redirect(instagramAuthUrl);
 });
 
 router.get('/instagram/callback', async (req, res) => {
   const code = req.query.code;
-  const stateToken = req.query.state;
+  const state = req.query.state;
 
-  if (!code || !stateToken)
+  if (!code || !state)
     return res.status(400).json({ error: "OAuth callback missing code/state" });
 
-  let userId;
+  if (!stateCookieMatches(req, res, 'instagram', state))
+    return res.status(403).json({ error: "OAuth flow was not started in this browser" });
+
+  let session;
   try {
-    const decoded = jwt.verify(stateToken, process.env.JWT_SECRET);
-    userId = decoded.userId;
-  } catch {
-    return res.status(403).json({ error: "Invalid state token" });
+    session = await consumeOAuthSession(state, 'instagram');
+  } catch (err) {
+    console.error("OAuth Session Error:", err);
+    return res.status(500).json({ error: "Server error" });
   }
 
+  if (!session)
+    return res.status(403).json({ error: "Invalid or expired OAuth state" });
+
+  const { workspaceId } = session;
+
   console.log('Instagram callback received query:', req.query);
 
   try {
-    const tokenResponse = await axios.post(
+    const tokenResponse = await platformClient.post(
       `https://graph.instagram.com/access_token?` +
       querystring.stringify({
         client_id: process.env.INSTAGRAM_APP_ID,
@@ -362,15 +846,9 @@ router.get('/instagram/callback', async (req, res) => {
       })
     );
 
-    const access_token = tokenResponse.data.access_token;
-
-    await pool.query(
-      `INSERT INTO social_accounts (user_id, platform, access_token, connected)
-       VALUES ($1, 'instagram', $2, TRUE)
-       ON CONFLICT (user_id, platform)
-       DO UPDATE SET access_token = $2, connected = TRUE`,
-      [userId, access_token]
-    );
+    // Trade the short-lived token for a long-lived one before storing it
+    const longLived = await exchangeInstagramToken(tokenResponse.data.access_token);
+    await storeTokens(workspaceId, 'instagram', longLived);
 
     res.send(`
       <html>
@@ -400,52 +878,76 @@ router.get('/instagram/callback', async (req, res) => {
   }
 });
 
-router.get('/twitter/login', (req, res) => {
+router.get('/twitter/login', async (req, res) => {
   const jwtToken = req.query.token;
 
   if (!jwtToken) return res.status(400).json({ error: "Missing user token" });
 
+  const userId = userIdFromLoginToken(jwtToken);
+  if (!userId) return res.status(403).json({ error: "Invalid user token" });
+
+  let session;
+  try {
+    const membership = await adminMembership(userId, req.query.workspaceId);
+    if (!membership)
+      return res.status(403).json({ error: "Connecting accounts requires the admin role in this workspace" });
+
+    session = await createOAuthSession(userId, membership.workspaceId, 'twitter');
+  } catch (err) {
+    console.error("Twitter OAuth Session Error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+
   const twitterAuthUrl =
     "https://twitter.com/i/oauth2/authorize?" +
     querystring.stringify({
       client_id: process.env.TWITTER_CLIENT_ID,
       redirect_uri: process.env.TWITTER_REDIRECT_URI,
       response_type: "code",
-      scope: "tweet.read tweet.write users.read follows.read follows.write",
-      state: jwtToken,
-      code_challenge: "challenge",
-      code_challenge_method: "plain"
+      scope: "tweet.read tweet.write users.read follows.read follows.write media.write offline.access",
+      state: session.state,
+      code_challenge: session.codeChallenge,
+      code_challenge_method: "S256"
     });
 
+  setStateCookie(req, res, 'twitter', session.state);
   res.redirect(twitterAuthUrl);
 });
 
 router.get('/twitter/callback', async (req, res) => {
   const code = req.query.code;
-  const stateToken = req.query.state;
+  const state = req.query.state;
 
-  if (!code || !stateToken)
+  if (!code || !state)
     return res.status(400).json({ error: "OAuth callback missing code/state" });
 
-  let userId;
+  if (!stateCookieMatches(req, res, 'twitter', state))
+    return res.status(403).json({ error: "OAuth flow was not started in this browser" });
+
+  let session;
   try {
-    const decoded = jwt.verify(stateToken, process.env.JWT_SECRET);
-    userId = decoded.userId;
-  } catch {
-    return res.status(403).json({ error: "Invalid state token" });
+    session = await consumeOAuthSession(state, 'twitter');
+  } catch (err) {
+    console.error("OAuth Session Error:", err);
+    return res.status(500).json({ error: "Server error" });
   }
 
+  if (!session)
+    return res.status(403).json({ error: "Invalid or expired OAuth state" });
+
+  const { workspaceId } = session;
+
   console.log('Twitter callback received query:', req.query);
 
   try {
-    const tokenResponse = await axios.post(
+    const tokenResponse = await platformClient.post(
       `https://api.twitter.com/2/oauth2/token`,
       querystring.stringify({
         code,
         grant_type: 'authorization_code',
         client_id: process.env.TWITTER_CLIENT_ID,
         redirect_uri: process.env.TWITTER_REDIRECT_URI,
-        code_verifier: 'challenge'
+        code_verifier: session.codeVerifier
       }),
       {
         headers: {
@@ -457,16 +959,19 @@ router.get('/twitter/callback', async (req, res) => {
       }
     );
 
-    const access_token = tokenResponse.data.access_token;
-    const refresh_token = tokenResponse.data.refresh_token;
+    const { access_token, refresh_token, expires_in } = tokenResponse.data;
 
-    await pool.query(
-      `INSERT INTO social_accounts (user_id, platform, access_token, refresh_token, connected)
-       VALUES ($1, 'twitter', $2, $3, TRUE)
-       ON CONFLICT (user_id, platform)
-       DO UPDATE SET access_token = $2, refresh_token = $3, connected = TRUE`,
-      [userId, access_token, refresh_token]
-    );
+    const tokens = {
+      accessToken: access_token,
+      refreshToken: refresh_token,
+      expiresAt: expires_in ? new Date(Date.now() + expires_in * 1000) : null
+    };
+
+    // The grant belongs to the account that signed in; the workspace's
+    // connection only records that Twitter is connected. Its refresh token
+    // stays on the account row alone, since Twitter rotates them on use.
+    await storeTokens(workspaceId, 'twitter', { accessToken: access_token });
+    await getProvider('twitter').connectAccount(workspaceId, tokens);
 
     res.send(`
       <html>
@@ -496,4 +1001,110 @@ router.get('/twitter/callback', async (req, res) => {
   }
 });
 
+router.get('/linkedin/login', async (req, res) => {
+  const jwtToken = req.query.token;
+
+  if (!jwtToken) return res.status(400).json({ error: "Missing user token" });
+
+  const userId = userIdFromLoginToken(jwtToken);
+  if (!userId) return res.status(403).json({ error: "Invalid user token" });
+
+  let session;
+  try {
+    const membership = await adminMembership(userId, req.query.workspaceId);
+    if (!membership)
+      return res.status(403).json({ error: "Connecting accounts requires the admin role in this workspace" });
+
+    session = await createOAuthSession(userId, membership.workspaceId, 'linkedin');
+  } catch (err) {
+    console.error("LinkedIn OAuth Session Error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+
+  const linkedinAuthUrl =
+    "https://www.linkedin.com/oauth/v2/authorization?" +
+    querystring.stringify({
+      response_type: "code",
+      client_id: process.env.LINKEDIN_CLIENT_ID,
+      redirect_uri: process.env.LINKEDIN_REDIRECT_URI,
+      scope: "r_organization_social w_organization_social rw_organization_admin",
+      state: session.state
+    });
+
+  setStateCookie(req, res, 'linkedin', session.state);
+  res.redirect(linkedinAuthUrl);
+});
+
+router.get('/linkedin/callback', async (req, res) => {
+  const code = req.query.code;
+  const state = req.query.state;
+
+  if (!code || !state)
+    return res.status(400).json({ error: "OAuth callback missing code/state" });
+
+  if (!stateCookieMatches(req, res, 'linkedin', state))
+    return res.status(403).json({ error: "OAuth flow was not started in this browser" });
+
+  let session;
+  try {
+    session = await consumeOAuthSession(state, 'linkedin');
+  } catch (err) {
+    console.error("OAuth Session Error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+
+  if (!session)
+    return res.status(403).json({ error: "Invalid or expired OAuth state" });
+
+  const { workspaceId } = session;
+
+  try {
+    const tokenResponse = await platformClient.post(
+      `https://www.linkedin.com/oauth/v2/accessToken`,
+      querystring.stringify({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: process.env.LINKEDIN_REDIRECT_URI,
+        client_id: process.env.LINKEDIN_CLIENT_ID,
+        client_secret: process.env.LINKEDIN_CLIENT_SECRET
+      }),
+      { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+    );
+
+    const { access_token, refresh_token, expires_in } = tokenResponse.data;
+
+    await storeTokens(workspaceId, 'linkedin', {
+      accessToken: access_token,
+      refreshToken: refresh_token,
+      expiresAt: expires_in ? new Date(Date.now() + expires_in * 1000) : null
+    });
+
+    res.send(`
+      <html>
+        <head><title>Redirecting...</title></head>
+        <body>
+          <script>
+            window.location.href = 'http://localhost:3000/accounts?connected=linkedin';
+          </script>
+          Redirecting to SocialDash...
+        </body>
+      </html>
+    `);
+
+  } catch (err) {
+    console.error("LinkedIn OAuth Error:", err.response?.data || err);
+    const details = JSON.stringify(err.response?.data || err.message || err, null, 2);
+    res.status(500).send(`
+      <html>
+        <head><title>LinkedIn Connect Failed</title></head>
+        <body style="font-family: sans-serif; padding: 20px">
+          <h2>LinkedIn connection failed</h2>
+          <pre style="background:#f6f8fa;padding:10px;border-radius:6px;overflow:auto;max-height:300px">${details}</pre>
+          <p><a href="http://localhost:3000/accounts">Return to SocialDash</a></p>
+        </body>
+      </html>
+    `);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { BrandError, listBrands, getBrand, createBrand, updateBrand, deleteBrand } = require('../services/brands');
+
+require('dotenv').config();
+
+const router = express.Router();
+
+function sendBrandError(res, error, action) {
+  if (error instanceof BrandError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  console.error(`${action} error:`, error);
+  res.status(500).json({ error: `Failed to ${action.toLowerCase()}` });
+}
+
+// =============== BRANDS ===============
+// Every member can read brands; grouping the workspace's accounts is for admins
+
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    res.json(await listBrands(req.workspaceId));
+  } catch (error) {
+    sendBrandError(res, error, 'List brands');
+  }
+});
+
+// { name, accounts: [{ platform, accountId }] }
+router.post('/', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.status(201).json(await createBrand(req.workspaceId, req.body));
+  } catch (error) {
+    sendBrandError(res, error, 'Create brand');
+  }
+});
+
+router.get('/:id', verifyToken, async (req, res) => {
+  try {
+    const brand = await getBrand(req.workspaceId, req.params.id);
+    if (!brand) return res.status(404).json({ error: 'Brand not found' });
+
+    res.json(brand);
+  } catch (error) {
+    sendBrandError(res, error, 'Get brand');
+  }
+});
+
+// Rename the brand and/or replace its accounts; omitted fields are left alone
+router.put('/:id', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const brand = await updateBrand(req.workspaceId, req.params.id, req.body);
+    if (!brand) return res.status(404).json({ error: 'Brand not found' });
+
+    res.json(brand);
+  } catch (error) {
+    sendBrandError(res, error, 'Update brand');
+  }
+});
+
+router.delete('/:id', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = await deleteBrand(req.workspaceId, req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Brand not found' });
+
+    res.json({ message: 'Brand deleted' });
+  } catch (error) {
+    sendBrandError(res, error, 'Delete brand');
+  }
+});
+
+module.exports = router;
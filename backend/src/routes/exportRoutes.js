@@ -0,0 +1,132 @@
+const express = require('express');
+const { verifyToken } = require('../middleware/auth');
+const { REPORT_PLATFORMS } = require('../services/reports');
+const { ownsBrand } = require('../services/brands');
+const { EXPORT_FORMATS, countExportRows, writeExport, exportFilename } = require('../services/exports');
+const { createExportJob, listExportJobs, getExportJob, getExportDownload } = require('../services/exportJobs');
+const { isValidDate, daysAgo } = require('../utils/dates');
+
+require('dotenv').config();
+
+const router = express.Router();
+
+// Exports larger than this are queued as background jobs instead of streamed
+const INLINE_MAX_ROWS = Number(process.env.EXPORT_INLINE_MAX_ROWS) || 10000;
+
+// Validate the shared export query; returns { error } or the parsed options
+function parseExportQuery(query) {
+  const { from = daysAgo(29), to = daysAgo(0), platform, format = 'csv', background, brandId } = query;
+  const platforms = platform ? String(platform).split(',').map(value => value.trim()) : REPORT_PLATFORMS;
+
+  if (!EXPORT_FORMATS[format]) {
+    return { error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+  }
+
+  if (platforms.some(value => !REPORT_PLATFORMS.includes(value))) {
+    return { error: `platform must be one of: ${REPORT_PLATFORMS.join(', ')}` };
+  }
+
+  if (!isValidDate(from) || !isValidDate(to)) {
+    return { error: 'from and to must be dates (YYYY-MM-DD)' };
+  }
+
+  if (from > to) {
+    return { error: 'from must be on or before to' };
+  }
+
+  return {
+    format,
+    background: background === 'true',
+    params: { from, to, platforms: [...new Set(platforms)], brandId: brandId ? Number(brandId) : null }
+  };
+}
+
+// Stream small exports straight back; queue large (or background=true) ones
+function exportHandler(kind) {
+  return async (req, res) => {
+    const { error, format, background, params } = parseExportQuery(req.query);
+    if (error) return res.status(400).json({ error });
+
+    try {
+      if (params.brandId !== null && !(await ownsBrand(req.workspaceId, req.query.brandId))) {
+        return res.status(404).json({ error: 'Brand not found' });
+      }
+
+      const rowCount = await countExportRows(kind, req.workspaceId, params);
+
+      if (background || rowCount > INLINE_MAX_ROWS) {
+        const job = await createExportJob(req.workspaceId, req.userId, { kind, format, params });
+        return res.status(202).json({
+          message: 'Export queued',
+          job,
+          statusUrl: `/api/exports/jobs/${job.id}`,
+          downloadUrl: `/api/exports/jobs/${job.id}/download`
+        });
+      }
+
+      res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(kind, params, format)}"`);
+      await writeExport(kind, req.workspaceId, params, format, res);
+    } catch (error) {
+      // The client hung up mid-download; the export has already stopped
+      if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+
+      console.error(`Export ${kind} error:`, error);
+
+      // Once streaming has started the status is already sent; cut the response short
+      if (res.headersSent) return res.destroy(error);
+      res.status(500).json({ error: `Failed to export ${kind}` });
+    }
+  };
+}
+
+// =============== EXPORTS ===============
+
+// Stored posts with engagement counts, across platforms
+router.get('/posts', verifyToken, exportHandler('posts'));
+
+// Daily account metrics (followers, engagement, impressions, post counts)
+router.get('/metrics', verifyToken, exportHandler('metrics'));
+
+// =============== BACKGROUND JOBS ===============
+
+router.get('/jobs', verifyToken, async (req, res) => {
+  try {
+    res.json(await listExportJobs(req.workspaceId));
+  } catch (error) {
+    console.error('List export jobs error:', error);
+    res.status(500).json({ error: 'Failed to list export jobs' });
+  }
+});
+
+router.get('/jobs/:id', verifyToken, async (req, res) => {
+  try {
+    const job = await getExportJob(req.workspaceId, req.params.id);
+    if (!job) return res.status(404).json({ error: 'Export job not found' });
+
+    res.json(job);
+  } catch (error) {
+    console.error('Get export job error:', error);
+    res.status(500).json({ error: 'Failed to get export job' });
+  }
+});
+
+router.get('/jobs/:id/download', verifyToken, async (req, res) => {
+  try {
+    const job = await getExportJob(req.workspaceId, req.params.id);
+    if (!job) return res.status(404).json({ error: 'Export job not found' });
+
+    const download = await getExportDownload(req.workspaceId, req.params.id);
+    if (!download) {
+      return res.status(409).json({ error: `Export is not available for download (status: ${job.status})` });
+    }
+
+    res.setHeader('Content-Type', download.contentType);
+    res.download(download.filePath, download.filename);
+  } catch (error) {
+    console.error('Download export error:', error);
+    res.status(500).json({ error: 'Failed to download export' });
+  }
+});
+
+module.exports = router;
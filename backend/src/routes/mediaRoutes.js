@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const express = require('express');
+const multer = require('multer');
+const { verifyToken } = require('../middleware/auth');
+const { MediaError, createMedia, listMedia, getMedia, deleteMedia } = require('../services/media');
+const { getStorage } = require('../services/mediaStorage');
+
+require('dotenv').config();
+
+const router = express.Router();
+
+const MAX_UPLOAD_MB = Number(process.env.MEDIA_MAX_UPLOAD_MB) || 100;
+const MAX_LIST_LIMIT = 200;
+// Where uploads are written while they're checked, before going to storage
+const UPLOAD_TMP_DIR = process.env.MEDIA_TMP_DIR || os.tmpdir();
+
+// Multer storage that streams each upload to a temp file, hashing it on the
+// way through, so an upload is never held in memory whole. req.file comes out
+// as { path, size, checksum }; the route removes the file when it's done.
+const tempFileStorage = {
+  _handleFile(req, file, callback) {
+    const tempPath = path.join(UPLOAD_TMP_DIR, `upload-${crypto.randomBytes(16).toString('hex')}`);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    file.stream.on('data', (chunk) => {
+      hash.update(chunk);
+      size += chunk.length;
+    });
+
+    pipeline(file.stream, fs.createWriteStream(tempPath))
+      .then(() => callback(null, { path: tempPath, size, checksum: hash.digest('hex') }))
+      .catch(error => fs.rm(tempPath, { force: true }, () => callback(error)));
+  },
+
+  // Multer's cleanup when an upload is refused (too big, a second file)
+  _removeFile(req, file, callback) {
+    fs.rm(file.path, { force: true }, callback);
+  }
+};
+
+const upload = multer({
+  storage: tempFileStorage,
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 }
+});
+
+function sendMediaError(res, error, action) {
+  if (error instanceof MediaError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  console.error(`${action} error:`, error);
+  res.status(500).json({ error: `Failed to ${action.toLowerCase()}` });
+}
+
+// Run multer on the "file" field, answering its errors (too big, wrong field) as 4xx
+function receiveFile(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      const message = error.code === 'LIMIT_FILE_SIZE' ? `Files can be at most ${MAX_UPLOAD_MB} MB` : error.message;
+      return res.status(status).json({ error: message });
+    }
+
+    next(error);
+  });
+}
+
+// =============== FILES ===============
+// Locally stored media, served without a token: platforms fetch it from here
+// when publishing, and the random file names aren't guessable
+
+router.get('/files/:workspaceId/:name', (req, res) => {
+  const filePath = getStorage('local').localPath(`${req.params.workspaceId}/${req.params.name}`);
+  if (!filePath) return res.status(404).json({ error: 'File not found' });
+
+  res.sendFile(filePath, { maxAge: '1y', immutable: true }, (error) => {
+    if (error && !res.headersSent) res.status(404).json({ error: 'File not found' });
+  });
+});
+
+// =============== LIBRARY ===============
+// Attach uploaded media to a post by passing its ID as mediaId where a
+// mediaUrl is accepted (scheduling, queues, publishing)
+
+// multipart/form-data with the file in "file". Uploading a file the workspace
+// already has returns the existing media (200, duplicate: true) instead of a
+// second copy (201). Images get a thumbnail_url; videos don't (null), as
+// there's no video decoder to take a frame from them.
+router.post('/', verifyToken, receiveFile, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'Upload a file in the "file" field' });
+  }
+
+  try {
+    const { media, duplicate } = await createMedia(req.workspaceId, req.userId, {
+      path: req.file.path,
+      size: req.file.size,
+      checksum: req.file.checksum,
+      filename: req.file.originalname
+    });
+
+    res.status(duplicate ? 200 : 201).json({ ...media, duplicate });
+  } catch (error) {
+    sendMediaError(res, error, 'Upload media');
+  } finally {
+    await fs.promises.rm(req.file.path, { force: true });
+  }
+});
+
+// ?type=image|video, ?limit= (default 50) and ?offset= page through the library
+router.get('/', verifyToken, async (req, res) => {
+  const { type = null, limit = 50, offset = 0 } = req.query;
+  const count = Number(limit);
+  const skip = Number(offset);
+
+  if (type && !['image', 'video'].includes(type)) {
+    return res.status(400).json({ error: 'type must be one of: image, video' });
+  }
+
+  if (!Number.isInteger(count) || count < 1 || count > MAX_LIST_LIMIT) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_LIST_LIMIT}` });
+  }
+
+  if (!Number.isInteger(skip) || skip < 0) {
+    return res.status(400).json({ error: 'offset must be 0 or more' });
+  }
+
+  try {
+    res.json(await listMedia(req.workspaceId, { mediaType: type, limit: count, offset: skip }));
+  } catch (error) {
+    sendMediaError(res, error, 'List media');
+  }
+});
+
+router.get('/:id', verifyToken, async (req, res) => {
+  try {
+    const media = await getMedia(req.workspaceId, req.params.id);
+    if (!media) return res.status(404).json({ error: 'Media not found' });
+
+    res.json(media);
+  } catch (error) {
+    sendMediaError(res, error, 'Get media');
+  }
+});
+
+// Refused while the media is attached to posts that haven't gone out
+router.delete('/:id', verifyToken, async (req, res) => {
+  try {
+    const deleted = await deleteMedia(req.workspaceId, req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Media not found' });
+
+    res.json({ message: 'Media deleted' });
+  } catch (error) {
+    sendMediaError(res, error, 'Delete media');
+  }
+});
+
+module.exports = router;
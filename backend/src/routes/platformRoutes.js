@@ -0,0 +1,365 @@
+const express = require('express');
+const pool = require('../db');
+const { verifyToken, requireRole, hasRole } = require('../middleware/auth');
+const { decryptTokens } = require('../utils/tokenCrypto');
+const { serializeRow, serializeRows } = require('../utils/serializers');
+const { sendRateLimitError } = require('../services/platformClient');
+const { recordAccountSnapshot, refreshContentMetrics } = require('../services/metricsSnapshots');
+const { publishTarget } = require('../services/publisher');
+const { validatePost } = require('../services/contentValidator');
+const {
+  ScheduleError,
+  requiresApproval,
+  createScheduledPost,
+  claimTarget,
+  markPublished,
+  deferTarget,
+  recordFailure
+} = require('../services/scheduledPosts');
+const { PublishPendingError } = require('../services/retryPolicy');
+const { removeBrandAccounts } = require('../services/brands');
+const { MediaError, resolveAttachedMedia, loadMediaFiles } = require('../services/media');
+const { resolvePlatformOptions } = require('../services/platformOptions');
+
+// Most stored posts one request can list
+const MAX_STORED_LIMIT = 200;
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// The same account, content, insights and publishing routes for every
+// provider (see src/providers), at the paths the provider names
+function createPlatformRouter(provider) {
+  const router = express.Router();
+  const { name, label, accounts, content, routes, publishing } = provider;
+
+  async function getSelectedAccount(workspaceId) {
+    const result = await pool.query(
+      `SELECT * FROM ${accounts.table} WHERE workspace_id = $1 AND is_selected = TRUE LIMIT 1`,
+      [workspaceId]
+    );
+
+    return result.rows[0] ? decryptTokens(result.rows[0]) : null;
+  }
+
+  // The account a request names (?pageId=... or accountId, in the query or
+  // body), else the workspace's default selected one. Sends the error response and
+  // resolves to null when there is no such account.
+  async function getRequestedAccount(req, res) {
+    const accountId = req.query[accounts.selectParam] || req.query.accountId
+      || req.body?.[accounts.selectParam] || req.body?.accountId;
+
+    if (!accountId) {
+      const account = await getSelectedAccount(req.workspaceId);
+      if (!account) {
+        res.status(400).json({ error: `No ${accounts.noun} selected; pass ${accounts.selectParam}` });
+      }
+      return account;
+    }
+
+    const result = await pool.query(
+      `SELECT * FROM ${accounts.table} WHERE workspace_id = $1 AND ${accounts.idColumn} = $2`,
+      [req.workspaceId, String(accountId)]
+    );
+
+    if (result.rows.length === 0) {
+      res.status(404).json({ error: `${capitalize(accounts.noun)} not found` });
+      return null;
+    }
+
+    return decryptTokens(result.rows[0]);
+  }
+
+  function sendError(res, error, action) {
+    if (sendRateLimitError(res, error)) return;
+    if (error instanceof ScheduleError || error instanceof MediaError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`${label} ${action} error:`, error.response?.data || error.message);
+    res.status(500).json({ error: `Failed to ${action}` });
+  }
+
+  // =============== ACCOUNTS ===============
+
+  // Import the accounts the workspace's login gives access to
+  router.get(routes.accounts, verifyToken, async (req, res) => {
+    try {
+      const result = await provider.connect(req.workspaceId);
+
+      if (!result) {
+        return res.status(400).json({ error: `${label} account not connected` });
+      }
+
+      res.json(Array.isArray(result) ? serializeRows(result) : serializeRow(result));
+
+    } catch (error) {
+      sendError(res, error, `fetch ${label} accounts`);
+    }
+  });
+
+  // Set the workspace's default account, used when a request doesn't name one
+  router.post(`${routes.accounts}/select`, verifyToken, requireRole('admin'), async (req, res) => {
+    const accountId = req.body?.[accounts.selectParam];
+
+    if (!accountId) {
+      return res.status(400).json({ error: `${accounts.selectParam} required` });
+    }
+
+    try {
+      // Deselect all other accounts
+      await pool.query(
+        `UPDATE ${accounts.table} SET is_selected = FALSE WHERE workspace_id = $1`,
+        [req.workspaceId]
+      );
+
+      const result = await pool.query(
+        `UPDATE ${accounts.table} SET is_selected = TRUE WHERE workspace_id = $1 AND ${accounts.idColumn} = $2 RETURNING *`,
+        [req.workspaceId, accountId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: `${capitalize(accounts.noun)} not found` });
+      }
+
+      res.json({ message: `${capitalize(accounts.noun)} selected`, account: serializeRow(result.rows[0]) });
+
+    } catch (error) {
+      sendError(res, error, `select ${accounts.noun}`);
+    }
+  });
+
+  router.get(`${routes.accounts}/selected`, verifyToken, async (req, res) => {
+    try {
+      const account = await getSelectedAccount(req.workspaceId);
+      res.json(account ? serializeRow(account) : null);
+    } catch (error) {
+      sendError(res, error, `get selected ${accounts.noun}`);
+    }
+  });
+
+  // Disconnect the platform and remove its stored accounts and content
+  router.post('/disconnect', verifyToken, requireRole('admin'), async (req, res) => {
+    try {
+      await provider.disconnect(req.workspaceId);
+      await removeBrandAccounts(req.workspaceId, name);
+
+      await pool.query(
+        'DELETE FROM social_accounts WHERE workspace_id = $1 AND platform = $2',
+        [req.workspaceId, name]
+      );
+
+      res.json({ message: `${label} account disconnected` });
+
+    } catch (error) {
+      sendError(res, error, 'disconnect');
+    }
+  });
+
+  // Live profile counts for the requested account
+  router.get(routes.profile, verifyToken, async (req, res) => {
+    try {
+      const account = await getRequestedAccount(req, res);
+      if (!account) return;
+
+      const profile = await provider.fetchProfile(account);
+
+      await recordAccountSnapshot({
+        workspaceId: req.workspaceId,
+        platform: name,
+        accountId: account[accounts.idColumn],
+        followers: profile.followers
+      });
+
+      res.json(profile);
+
+    } catch (error) {
+      sendError(res, error, `fetch ${label} profile`);
+    }
+  });
+
+  // =============== CONTENT ===============
+
+  // One page of the requested account's posts from the platform, stored as
+  // they come; pass the paging info's after cursor as ?after= for the next
+  // page. Syncing everything is POST /api/sync (and the background syncer).
+  router.get(routes.content, verifyToken, async (req, res) => {
+    const { limit = 10, after = null } = req.query;
+    const count = Number(limit);
+    const { min, max } = content.pageSize;
+
+    if (!Number.isInteger(count) || count < min || count > max) {
+      return res.status(400).json({ error: `limit must be between ${min} and ${max}` });
+    }
+
+    try {
+      const account = await getRequestedAccount(req, res);
+      if (!account) return;
+
+      const page = await provider.listContent(account, after, { limit: count });
+
+      for (const item of page.items) {
+        await provider.storeContent(account, item);
+      }
+      await refreshContentMetrics(account.workspace_id, name, account[accounts.idColumn]);
+
+      res.json({
+        [content.key]: page.items,
+        [content.pagingKey]: page.paging
+      });
+
+    } catch (error) {
+      sendError(res, error, `fetch ${content.key}`);
+    }
+  });
+
+  // Stored content across the workspace's accounts, or just the one named
+  router.get(`${routes.content}/stored`, verifyToken, async (req, res) => {
+    const { limit = 20 } = req.query;
+    const count = Number(limit);
+    const accountId = req.query[accounts.selectParam] || req.query.accountId || null;
+
+    if (!Number.isInteger(count) || count < 1 || count > MAX_STORED_LIMIT) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_STORED_LIMIT}` });
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT * FROM ${content.table}
+         WHERE workspace_id = $1 AND ($3::varchar IS NULL OR ${accounts.idColumn} = $3)
+         ORDER BY created_time DESC
+         LIMIT $2`,
+        [req.workspaceId, count, accountId]
+      );
+
+      res.json(result.rows);
+
+    } catch (error) {
+      sendError(res, error, `get ${content.key}`);
+    }
+  });
+
+  // =============== INSIGHTS ===============
+
+  if (provider.fetchInsights) {
+    router.get(routes.insights, verifyToken, async (req, res) => {
+      try {
+        const account = await getRequestedAccount(req, res);
+        if (!account) return;
+
+        res.json(await provider.fetchInsights(account, req.query));
+
+      } catch (error) {
+        sendError(res, error, 'fetch insights');
+      }
+    });
+  }
+
+  // =============== PUBLISHING ===============
+
+  // Publish a scheduled post's target for this platform (postId), or the
+  // given content straight to the requested account, with library media
+  // (mediaIds, or a single mediaId) or a mediaUrl, and the platform's options
+  // (as in platformOptions when scheduling). Where the workspace requires
+  // approval, only admins may skip review and publish directly.
+  // Publishes that have to wait on the platform (a video still being
+  // processed) answer 202 with the scheduled post the scheduler finishes them as
+  router.post(routes.publish, verifyToken, async (req, res) => {
+    const body = req.body ?? {};
+    const { postId } = body;
+    const processingMessage = `${label} is processing the media; the post goes out once it is ready`;
+    const text = body.content ?? body.text ?? body.caption ?? body.message ?? '';
+
+    try {
+      let externalId;
+
+      if (postId) {
+        // Claim the target so the scheduler worker can't publish it at the same time
+        const target = await claimTarget(postId, req.workspaceId, name);
+        if (!target) {
+          return res.status(404).json({ error: `No unpublished ${label} target for this post` });
+        }
+
+        try {
+          externalId = await publishTarget(target);
+        } catch (error) {
+          if (error instanceof PublishPendingError) {
+            await deferTarget(target, error);
+            return res.status(202).json({ message: processingMessage, postId: Number(postId) });
+          }
+
+          await recordFailure(target, error);
+          throw error;
+        }
+
+        await markPublished(target, externalId);
+      } else {
+        if (!hasRole(req.role, 'admin') && await requiresApproval(req.workspaceId)) {
+          return res.status(403).json({ error: 'This workspace requires approval; schedule the post for review instead' });
+        }
+
+        const { mediaUrl = null, mediaIds, media } = await resolveAttachedMedia(req.workspaceId, {
+          mediaIds: body.mediaIds,
+          mediaId: body.mediaId,
+          mediaUrl: body.mediaUrl ?? body.imageUrl
+        });
+
+        const platformOptions = await resolvePlatformOptions(req.workspaceId, { [name]: body.options });
+
+        const validation = validatePost({
+          content: text,
+          mediaUrls: mediaUrl ? [mediaUrl] : [],
+          media,
+          platformOptions,
+          platforms: [name]
+        });
+        if (!validation.valid) {
+          return res.status(400).json({ error: 'Post failed validation', validation });
+        }
+
+        const account = await getRequestedAccount(req, res);
+        if (!account) return;
+
+        try {
+          externalId = await provider.publish(account, {
+            content: text,
+            mediaUrl,
+            media: await loadMediaFiles(req.workspaceId, mediaIds),
+            options: platformOptions[name] || {}
+          });
+        } catch (error) {
+          if (!(error instanceof PublishPendingError)) throw error;
+
+          // Leave the rest to the scheduler, as a post due now
+          const post = await createScheduledPost(req.workspaceId, req.userId, {
+            content: text,
+            scheduledTime: new Date(),
+            mediaUrl,
+            mediaIds,
+            platformOptions,
+            targets: [{ platform: name, accountId: account[accounts.idColumn] }],
+            preapproved: true
+          });
+          await deferTarget(post.targets[0], error);
+
+          return res.status(202).json({ message: processingMessage, postId: post.id });
+        }
+      }
+
+      res.json({ message: publishing.message, [publishing.idKey]: externalId });
+
+    } catch (error) {
+      sendError(res, error, `publish to ${label}`);
+    }
+  });
+
+  if (provider.extendRouter) {
+    provider.extendRouter(router, { verifyToken });
+  }
+
+  return router;
+}
+
+module.exports = {
+  createPlatformRouter
+};
@@ -0,0 +1,44 @@
+const express = require('express');
+const { verifyToken } = require('../middleware/auth');
+const { validatePost } = require('../services/contentValidator');
+const { MediaError, resolveAttachedMedia } = require('../services/media');
+const { resolvePlatformOptions } = require('../services/platformOptions');
+
+require('dotenv').config();
+
+const router = express.Router();
+
+// =============== POST VALIDATION ===============
+
+// Check draft content and media against each target platform's rules. Media
+// is library media (mediaIds) or bare URLs (mediaUrls or mediaUrl);
+// platformOptions are as when scheduling.
+router.post('/validate', verifyToken, async (req, res) => {
+  const { content = '', mediaUrls, mediaUrl = null, mediaIds, platforms } = req.body;
+
+  if (!Array.isArray(platforms) || platforms.length === 0) {
+    return res.status(400).json({ error: 'At least one target platform required' });
+  }
+
+  try {
+    const { media } = await resolveAttachedMedia(req.workspaceId, { mediaIds });
+    const platformOptions = await resolvePlatformOptions(req.workspaceId, req.body.platformOptions) ?? {};
+
+    res.json(validatePost({
+      content,
+      mediaUrls: Array.isArray(mediaUrls) ? mediaUrls : [mediaUrl],
+      media,
+      platformOptions,
+      platforms
+    }));
+  } catch (error) {
+    if (error instanceof MediaError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Validate post error:', error);
+    res.status(500).json({ error: 'Failed to validate post' });
+  }
+});
+
+module.exports = router;
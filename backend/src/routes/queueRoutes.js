@@ -0,0 +1,160 @@
+const express = require('express');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { ScheduleError } = require('../services/scheduledPosts');
+const { validatePost } = require('../services/contentValidator');
+const { MediaError, resolveAttachedMedia } = require('../services/media');
+const { resolvePlatformOptions } = require('../services/platformOptions');
+const {
+  listQueues,
+  getQueue,
+  createQueue,
+  updateQueue,
+  deleteQueue,
+  setQueuePaused,
+  addToQueue,
+  reorderQueue,
+  postNow
+} = require('../services/postingQueues');
+
+require('dotenv').config();
+
+const router = express.Router();
+
+function sendQueueError(res, error, action) {
+  if (error instanceof ScheduleError || error instanceof MediaError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  console.error(`${action} error:`, error);
+  res.status(500).json({ error: `Failed to ${action.toLowerCase()}` });
+}
+
+// Send the queue, or a 404 when the service found no such queue (or post in it)
+function sendQueue(res, queue, notFound = 'Queue not found') {
+  if (!queue) return res.status(404).json({ error: notFound });
+  res.json(queue);
+}
+
+// =============== QUEUES ===============
+// One queue per account, with weekly posting slots; setting them up is for admins
+
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    res.json(await listQueues(req.workspaceId));
+  } catch (error) {
+    sendQueueError(res, error, 'List queues');
+  }
+});
+
+// { platform, accountId, timeZone, slots: [{ day: 'MO', time: '09:00' }] }
+router.post('/', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.status(201).json(await createQueue(req.workspaceId, req.body));
+  } catch (error) {
+    sendQueueError(res, error, 'Create queue');
+  }
+});
+
+// The queue with its waiting posts in publishing order
+router.get('/:id', verifyToken, async (req, res) => {
+  try {
+    sendQueue(res, await getQueue(req.workspaceId, req.params.id));
+  } catch (error) {
+    sendQueueError(res, error, 'Get queue');
+  }
+});
+
+// { timeZone, slots } — waiting posts move to the new slots
+router.put('/:id', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    sendQueue(res, await updateQueue(req.workspaceId, req.params.id, req.body));
+  } catch (error) {
+    sendQueueError(res, error, 'Update queue');
+  }
+});
+
+// Waiting posts stay scheduled at the slots they had; drafts and posts in
+// review, which had none, become plain drafts again
+router.delete('/:id', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = await deleteQueue(req.workspaceId, req.userId, req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Queue not found' });
+
+    res.json({ message: 'Queue deleted' });
+  } catch (error) {
+    sendQueueError(res, error, 'Delete queue');
+  }
+});
+
+router.post('/:id/pause', verifyToken, async (req, res) => {
+  try {
+    sendQueue(res, await setQueuePaused(req.workspaceId, req.params.id, true));
+  } catch (error) {
+    sendQueueError(res, error, 'Pause queue');
+  }
+});
+
+// Posts held while paused take the next slots from now
+router.post('/:id/resume', verifyToken, async (req, res) => {
+  try {
+    sendQueue(res, await setQueuePaused(req.workspaceId, req.params.id, false));
+  } catch (error) {
+    sendQueueError(res, error, 'Resume queue');
+  }
+});
+
+// =============== QUEUED POSTS ===============
+// Queued posts are scheduled posts too: edit or cancel them under
+// /api/auth/schedules/:id and the queue re-flows
+
+// { content, mediaIds or mediaUrl, platformOptions, draft } — the post takes the next free slot
+router.post('/:id/posts', verifyToken, async (req, res) => {
+  const body = req.body ?? {};
+  const { content, draft = false } = body;
+
+  if (!content)
+    return res.status(400).json({ error: 'Content required' });
+
+  try {
+    const queue = await getQueue(req.workspaceId, req.params.id);
+    if (!queue) return res.status(404).json({ error: 'Queue not found' });
+
+    const { mediaUrl = null, mediaIds, media } = await resolveAttachedMedia(req.workspaceId, body);
+
+    const platformOptions = await resolvePlatformOptions(req.workspaceId, body.platformOptions) ?? {};
+
+    const validation = validatePost({ content, mediaUrls: [mediaUrl], media, platformOptions, platforms: [queue.platform] });
+    if (!validation.valid)
+      return res.status(400).json({ error: 'Post failed validation', validation });
+
+    res.status(201).json(await addToQueue(req.workspaceId, req.userId, queue.id, {
+      content,
+      mediaUrl,
+      mediaIds,
+      platformOptions,
+      draft: draft === true
+    }));
+  } catch (error) {
+    sendQueueError(res, error, 'Add to queue');
+  }
+});
+
+// { postIds } — every waiting post, in the new order
+router.put('/:id/order', verifyToken, async (req, res) => {
+  try {
+    sendQueue(res, await reorderQueue(req.workspaceId, req.params.id, req.body?.postIds));
+  } catch (error) {
+    sendQueueError(res, error, 'Reorder queue');
+  }
+});
+
+// Publish a waiting post now; the posts behind it move up a slot
+router.post('/:id/posts/:postId/publish-now', verifyToken, async (req, res) => {
+  try {
+    sendQueue(res, await postNow(req.workspaceId, req.userId, req.params.id, req.params.postId), 'Queued post not found');
+  } catch (error) {
+    sendQueueError(res, error, 'Post now');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const { verifyToken } = require('../middleware/auth');
+const { REPORT_PLATFORMS } = require('../services/reports');
+const { ownsBrand } = require('../services/brands');
+const { CONFIDENCE_LEVELS, getBestTimes } = require('../services/recommendations');
+const { normalizeTimeZone } = require('../utils/timeZones');
+const { isValidDate, daysAgo } = require('../utils/dates');
+
+require('dotenv').config();
+
+const router = express.Router();
+
+const MAX_LIMIT = 24;
+
+// =============== BEST TIMES ===============
+
+// The best weekday/hour windows to post in for each account, from the
+// engagement of its stored posts. Hours are in timeZone (default UTC); each
+// window comes with a confidence level from how many posts back it up, a
+// queue slot, and the next time it opens for the scheduler to suggest.
+// ?minConfidence=medium leaves out windows with only a few posts.
+router.get('/best-times', verifyToken, async (req, res) => {
+  const {
+    from = daysAgo(89),
+    to = daysAgo(0),
+    platform,
+    brandId,
+    accountId,
+    timeZone = 'UTC',
+    minConfidence = 'low',
+    limit = 5
+  } = req.query;
+  const platforms = platform ? String(platform).split(',').map(value => value.trim()) : REPORT_PLATFORMS;
+  const count = Number(limit);
+  const zone = normalizeTimeZone(timeZone);
+
+  const unknown = platforms.filter(value => !REPORT_PLATFORMS.includes(value));
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `platform must be one of: ${REPORT_PLATFORMS.join(', ')}` });
+  }
+
+  if (!isValidDate(from) || !isValidDate(to)) {
+    return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+  }
+
+  if (from > to) {
+    return res.status(400).json({ error: 'from must be on or before to' });
+  }
+
+  if (!zone) {
+    return res.status(400).json({ error: 'timeZone must be an IANA time zone, e.g. Europe/Berlin' });
+  }
+
+  if (!CONFIDENCE_LEVELS.some(({ level }) => level === minConfidence)) {
+    return res.status(400).json({ error: `minConfidence must be one of: ${CONFIDENCE_LEVELS.map(({ level }) => level).join(', ')}` });
+  }
+
+  if (!Number.isInteger(count) || count < 1 || count > MAX_LIMIT) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_LIMIT}` });
+  }
+
+  try {
+    if (brandId && !(await ownsBrand(req.workspaceId, brandId))) {
+      return res.status(404).json({ error: 'Brand not found' });
+    }
+
+    const accounts = await getBestTimes(req.workspaceId, {
+      platforms: [...new Set(platforms)],
+      from,
+      to,
+      timeZone: zone,
+      brandId: brandId ? Number(brandId) : null,
+      accountId: accountId || null,
+      minConfidence,
+      limit: count
+    });
+
+    res.json({
+      from,
+      to,
+      timeZone: zone,
+      confidenceLevels: CONFIDENCE_LEVELS,
+      accounts
+    });
+  } catch (error) {
+    console.error('Best times error:', error);
+    res.status(500).json({ error: 'Failed to compute best times' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const { verifyToken } = require('../middleware/auth');
+const { REPORT_PLATFORMS, getTopContent } = require('../services/reports');
+const { ownsBrand } = require('../services/brands');
+const { isValidDate, daysAgo } = require('../utils/dates');
+
+require('dotenv').config();
+
+const router = express.Router();
+
+const HASHTAG_PATTERN = /^#?[\p{L}\p{N}_]+$/u;
+const MAX_LIMIT = 100;
+
+// =============== TOP CONTENT ===============
+
+// Stored tweets, Instagram media, Facebook and LinkedIn posts ranked by engagement rate
+router.get('/top-content', verifyToken, async (req, res) => {
+  const { from = daysAgo(29), to = daysAgo(0), platform, mediaType, hashtag, brandId, limit = 20 } = req.query;
+  const platforms = platform ? String(platform).split(',').map(value => value.trim()) : REPORT_PLATFORMS;
+  const count = Number(limit);
+
+  const unknown = platforms.filter(value => !REPORT_PLATFORMS.includes(value));
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `platform must be one of: ${REPORT_PLATFORMS.join(', ')}` });
+  }
+
+  if (!isValidDate(from) || !isValidDate(to)) {
+    return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+  }
+
+  if (from > to) {
+    return res.status(400).json({ error: 'from must be on or before to' });
+  }
+
+  if (hashtag && !HASHTAG_PATTERN.test(hashtag)) {
+    return res.status(400).json({ error: 'hashtag may only contain letters, numbers and underscores' });
+  }
+
+  if (!Number.isInteger(count) || count < 1 || count > MAX_LIMIT) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_LIMIT}` });
+  }
+
+  try {
+    if (brandId && !(await ownsBrand(req.workspaceId, brandId))) {
+      return res.status(404).json({ error: 'Brand not found' });
+    }
+
+    const posts = await getTopContent(req.workspaceId, {
+      platforms: [...new Set(platforms)],
+      from,
+      to,
+      mediaType: mediaType || null,
+      hashtag: hashtag ? hashtag.replace(/^#/, '') : null,
+      brandId: brandId ? Number(brandId) : null,
+      limit: count
+    });
+
+    res.json({
+      from,
+      to,
+      filters: {
+        platforms: [...new Set(platforms)],
+        mediaType: mediaType || null,
+        hashtag: hashtag || null,
+        brandId: brandId ? Number(brandId) : null
+      },
+      posts
+    });
+  } catch (error) {
+    console.error('Top content report error:', error);
+    res.status(500).json({ error: 'Failed to build top content report' });
+  }
+});
+
+module.exports = router;
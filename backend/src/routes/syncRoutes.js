@@ -0,0 +1,59 @@
+const express = require('express');
+const { verifyToken } = require('../middleware/auth');
+const { syncWorkspaceContent, listCursors } = require('../services/contentSync');
+const { createSyncJob, getSyncJob } = require('../services/syncJobs');
+const { PROVIDER_NAMES } = require('../providers');
+
+require('dotenv').config();
+
+const router = express.Router();
+
+// =============== CONTENT SYNC ===============
+
+// Sync state of every account (last known post, resumable cursor, errors)
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    res.json(await listCursors(req.workspaceId));
+  } catch (error) {
+    console.error('Get sync state error:', error);
+    res.status(500).json({ error: 'Failed to get sync state' });
+  }
+});
+
+// Sync posts, media and tweets for all of the workspace's accounts. New
+// content is synced right away; full: true (walking every account's whole
+// history) is queued as a background job and answered with 202.
+router.post('/', verifyToken, async (req, res) => {
+  const { platforms = PROVIDER_NAMES, full = false } = req.body || {};
+
+  if (!Array.isArray(platforms) || platforms.some(platform => !PROVIDER_NAMES.includes(platform))) {
+    return res.status(400).json({ error: `platforms must be a list of: ${PROVIDER_NAMES.join(', ')}` });
+  }
+
+  try {
+    if (full === true) {
+      const job = await createSyncJob(req.workspaceId, req.userId, platforms);
+      return res.status(202).json({ message: 'Full sync queued', job, statusUrl: `/api/sync/jobs/${job.id}` });
+    }
+
+    res.json({ results: await syncWorkspaceContent(req.workspaceId, { platforms }) });
+  } catch (error) {
+    console.error('Content sync error:', error.response?.data || error.message);
+    res.status(500).json({ error: 'Failed to sync content' });
+  }
+});
+
+// A queued full sync; once completed, results has each account's outcome
+router.get('/jobs/:id', verifyToken, async (req, res) => {
+  try {
+    const job = await getSyncJob(req.workspaceId, req.params.id);
+    if (!job) return res.status(404).json({ error: 'Sync job not found' });
+
+    res.json(job);
+  } catch (error) {
+    console.error('Get sync job error:', error);
+    res.status(500).json({ error: 'Failed to get sync job' });
+  }
+});
+
+module.exports = router;
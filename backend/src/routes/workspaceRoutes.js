@@ -0,0 +1,179 @@
+const express = require('express');
+const { verifyUser, verifyToken, requireRole } = require('../middleware/auth');
+const {
+  WorkspaceError,
+  createWorkspace,
+  listWorkspaces,
+  getWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  listMembers,
+  updateMemberRole,
+  removeMember,
+  listInvitations,
+  createInvitation,
+  revokeInvitation,
+  acceptInvitation
+} = require('../services/workspaces');
+
+require('dotenv').config();
+
+const router = express.Router();
+
+// The web app's address, for the links handed out with invitations
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+function sendWorkspaceError(res, error, action) {
+  if (error instanceof WorkspaceError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  console.error(`${action} error:`, error);
+  res.status(500).json({ error: `Failed to ${action.toLowerCase()}` });
+}
+
+function actor(req) {
+  return { userId: req.userId, role: req.role };
+}
+
+// =============== MY WORKSPACES ===============
+
+// Every workspace the user belongs to, with their role in each
+router.get('/', verifyUser, async (req, res) => {
+  try {
+    res.json(await listWorkspaces(req.userId));
+  } catch (error) {
+    sendWorkspaceError(res, error, 'List workspaces');
+  }
+});
+
+// { name } — the creator becomes its owner
+router.post('/', verifyUser, async (req, res) => {
+  try {
+    res.status(201).json(await createWorkspace(req.userId, req.body));
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Create workspace');
+  }
+});
+
+// { token } from an invitation sent to the user's email
+router.post('/invitations/accept', verifyUser, async (req, res) => {
+  try {
+    const { workspaceId, role } = await acceptInvitation(req.userId, req.body.token);
+    res.json({ message: 'Invitation accepted', workspace: await getWorkspace(workspaceId), role });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Accept invitation');
+  }
+});
+
+// =============== ACTIVE WORKSPACE ===============
+// The workspace is picked with the X-Workspace-Id header (or ?workspaceId=)
+
+router.get('/current', verifyToken, async (req, res) => {
+  try {
+    res.json({ ...(await getWorkspace(req.workspaceId)), role: req.role });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Get workspace');
+  }
+});
+
+// { name, requireApproval } — with requireApproval on, scheduled posts only
+// go out once an admin approves them
+router.put('/current', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await updateWorkspace(req.workspaceId, req.body));
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Update workspace');
+  }
+});
+
+// Deletes the workspace with all its accounts and data
+router.delete('/current', verifyToken, requireRole('owner'), async (req, res) => {
+  try {
+    await deleteWorkspace(req.workspaceId);
+    res.json({ message: 'Workspace deleted' });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Delete workspace');
+  }
+});
+
+// =============== MEMBERS ===============
+
+router.get('/current/members', verifyToken, async (req, res) => {
+  try {
+    res.json(await listMembers(req.workspaceId));
+  } catch (error) {
+    sendWorkspaceError(res, error, 'List members');
+  }
+});
+
+// { role }
+router.put('/current/members/:userId', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await updateMemberRole(req.workspaceId, actor(req), req.params.userId, req.body.role));
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Update member');
+  }
+});
+
+router.delete('/current/members/:userId', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    await removeMember(req.workspaceId, actor(req), req.params.userId);
+    res.json({ message: 'Member removed' });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Remove member');
+  }
+});
+
+// Leave the active workspace; open to every role, so only the token is checked here
+router.post('/current/leave', verifyUser, async (req, res) => {
+  const workspaceId = req.headers['x-workspace-id'] ?? req.query.workspaceId;
+  if (!/^\d+$/.test(String(workspaceId ?? ''))) return res.status(400).json({ error: 'X-Workspace-Id header required' });
+
+  try {
+    await removeMember(workspaceId, { userId: req.userId }, req.userId);
+    res.json({ message: 'Left workspace' });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Leave workspace');
+  }
+});
+
+// =============== INVITATIONS ===============
+
+// Pending invitations (accepted and expired ones are hidden)
+router.get('/current/invitations', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await listInvitations(req.workspaceId));
+  } catch (error) {
+    sendWorkspaceError(res, error, 'List invitations');
+  }
+});
+
+// { email, role } — the token is only returned here. No email is sent:
+// the admin passes acceptUrl on to the invitee themselves.
+router.post('/current/invitations', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { invitation, token } = await createInvitation(req.workspaceId, actor(req), req.body);
+
+    res.status(201).json({
+      invitation,
+      token,
+      acceptUrl: `${FRONTEND_URL}/invitations/accept?token=${encodeURIComponent(token)}`
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Create invitation');
+  }
+});
+
+router.delete('/current/invitations/:id', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const revoked = await revokeInvitation(req.workspaceId, req.params.id);
+    if (!revoked) return res.status(404).json({ error: 'Invitation not found' });
+
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Revoke invitation');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+// One-shot migration: encrypt plaintext platform tokens and re-wrap tokens
+// sealed with a retired key version. Safe to run repeatedly.
+//   npm run encrypt-tokens
+const pool = require('../db');
+const { encryptToken, decryptToken, needsReencryption } = require('../utils/tokenCrypto');
+
+const TOKEN_TABLES = [
+  { table: 'social_accounts', columns: ['access_token', 'refresh_token'] },
+  { table: 'facebook_pages', columns: ['page_access_token'] },
+  { table: 'instagram_accounts', columns: ['access_token'] },
+  { table: 'twitter_accounts', columns: ['access_token', 'refresh_token'] }
+];
+
+async function encryptTable({ table, columns }) {
+  const result = await pool.query(`SELECT id, ${columns.join(', ')} FROM ${table}`);
+  let updated = 0;
+
+  for (const row of result.rows) {
+    for (const column of columns) {
+      const value = row[column];
+      if (!needsReencryption(value)) continue;
+
+      // Only overwrite the value we read, in case the app refreshed it meanwhile
+      const update = await pool.query(
+        `UPDATE ${table} SET ${column} = $1 WHERE id = $2 AND ${column} = $3`,
+        [encryptToken(decryptToken(value)), row.id, value]
+      );
+      updated += update.rowCount;
+    }
+  }
+
+  return updated;
+}
+
+async function main() {
+  for (const tokenTable of TOKEN_TABLES) {
+    const updated = await encryptTable(tokenTable);
+    console.log(`${tokenTable.table}: encrypted ${updated} token(s)`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('Token encryption failed:', error.message || error);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
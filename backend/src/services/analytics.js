@@ -0,0 +1,82 @@
+const pool = require('../db');
+const { brandFilter } = require('./brands');
+
+const PLATFORMS = ['facebook', 'instagram', 'twitter', 'linkedin'];
+const GRANULARITIES = ['day', 'week', 'month'];
+const METRICS = ['followers', 'engagement', 'impressions', 'posts'];
+
+// Per-platform and combined metric series from account_metrics_daily.
+// Within each period an account's follower count is its latest value;
+// engagement, impressions and post counts are summed. Every period in the
+// range is present, with nulls where nothing was recorded. A brandId limits
+// the series to that brand's accounts.
+async function getOverview(workspaceId, { from, to, granularity, brandId = null }) {
+  const result = await pool.query(
+    `WITH periods AS (
+       SELECT generate_series(date_trunc($4, $2::date), $3::date, ('1 ' || $4)::interval)::date AS period
+     ),
+     per_account AS (
+       SELECT platform, account_id, date_trunc($4, metric_date)::date AS period,
+              (array_agg(followers ORDER BY metric_date DESC) FILTER (WHERE followers IS NOT NULL))[1] AS followers,
+              SUM(engagement) AS engagement,
+              SUM(impressions) AS impressions,
+              SUM(post_count) AS posts
+       FROM account_metrics_daily
+       WHERE workspace_id = $1 AND metric_date BETWEEN $2 AND $3
+         AND ${brandFilter('platform', 'account_id', 6)}
+       GROUP BY platform, account_id, period
+     ),
+     per_platform AS (
+       SELECT platform, period,
+              SUM(followers) AS followers,
+              SUM(engagement) AS engagement,
+              SUM(impressions) AS impressions,
+              SUM(posts) AS posts
+       FROM per_account
+       GROUP BY platform, period
+     )
+     SELECT to_char(p.period, 'YYYY-MM-DD') AS period, pl.platform,
+            pp.followers, pp.engagement, pp.impressions, pp.posts
+     FROM periods p
+     CROSS JOIN unnest($5::text[]) AS pl(platform)
+     LEFT JOIN per_platform pp ON pp.period = p.period AND pp.platform = pl.platform
+     ORDER BY p.period, pl.platform`,
+    [workspaceId, from, to, granularity, PLATFORMS, brandId]
+  );
+
+  const platforms = Object.fromEntries(PLATFORMS.map(platform => [platform, []]));
+  const combined = new Map();
+
+  for (const row of result.rows) {
+    const point = { period: row.period };
+    for (const metric of METRICS) {
+      point[metric] = row[metric] === null ? null : Number(row[metric]);
+    }
+    platforms[row.platform].push(point);
+
+    const total = combined.get(row.period) || { period: row.period };
+    for (const metric of METRICS) {
+      if (point[metric] !== null) {
+        total[metric] = (total[metric] || 0) + point[metric];
+      } else if (!(metric in total)) {
+        total[metric] = null;
+      }
+    }
+    combined.set(row.period, total);
+  }
+
+  return {
+    from,
+    to,
+    granularity,
+    brandId,
+    platforms,
+    combined: [...combined.values()]
+  };
+}
+
+module.exports = {
+  PLATFORMS,
+  GRANULARITIES,
+  getOverview
+};
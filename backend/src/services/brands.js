@@ -0,0 +1,209 @@
+const pool = require('../db');
+const { getProvider } = require('../providers');
+
+// Raised for brand requests that can't be carried out; carries the HTTP status
+class BrandError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BrandError';
+    this.status = status;
+  }
+}
+
+// A brand with its accounts as [{ platform, accountId }]
+const BRAND_WITH_ACCOUNTS = `
+  SELECT b.id, b.name, b.created_at, b.updated_at,
+         COALESCE(
+           json_agg(json_build_object('platform', a.platform, 'accountId', a.account_id)
+                    ORDER BY a.platform, a.account_id) FILTER (WHERE a.id IS NOT NULL),
+           '[]'
+         ) AS accounts
+  FROM brands b
+  LEFT JOIN brand_accounts a ON a.brand_id = b.id`;
+
+// SQL condition keeping rows whose platform/account columns belong to the
+// brand passed as parameter $param; a NULL brand keeps every row
+function brandFilter(platformColumn, accountColumn, param) {
+  return `($${param}::int IS NULL OR (${platformColumn}, ${accountColumn}) IN (
+    SELECT platform, account_id FROM brand_accounts WHERE brand_id = $${param}::int))`;
+}
+
+// Check requested accounts ({ platform, accountId }) are the workspace's, dropping duplicates
+async function resolveBrandAccounts(workspaceId, requested) {
+  if (!Array.isArray(requested)) {
+    throw new BrandError('accounts must be a list of { platform, accountId }');
+  }
+
+  const accounts = [];
+
+  for (const { platform, accountId } of requested) {
+    const table = getProvider(platform)?.accounts;
+    if (!table) {
+      throw new BrandError(`Unsupported platform: ${platform}`);
+    }
+
+    if (!accountId) {
+      throw new BrandError(`accountId required for ${platform}`);
+    }
+
+    const result = await pool.query(
+      `SELECT 1 FROM ${table.table} WHERE workspace_id = $1 AND ${table.idColumn} = $2`,
+      [workspaceId, String(accountId)]
+    );
+
+    if (result.rows.length === 0) {
+      throw new BrandError(`${platform} account ${accountId} not found`, 404);
+    }
+
+    if (!accounts.some(a => a.platform === platform && a.accountId === String(accountId))) {
+      accounts.push({ platform, accountId: String(accountId) });
+    }
+  }
+
+  return accounts;
+}
+
+async function replaceBrandAccounts(client, brandId, accounts) {
+  await client.query('DELETE FROM brand_accounts WHERE brand_id = $1', [brandId]);
+
+  for (const { platform, accountId } of accounts) {
+    await client.query(
+      'INSERT INTO brand_accounts (brand_id, platform, account_id) VALUES ($1, $2, $3)',
+      [brandId, platform, accountId]
+    );
+  }
+}
+
+// Run fn in a transaction, turning a duplicate brand name into a 409
+async function inTransaction(fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      throw new BrandError('A brand with that name already exists', 409);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// =============== BRANDS ===============
+
+async function listBrands(workspaceId) {
+  const result = await pool.query(
+    `${BRAND_WITH_ACCOUNTS}
+     WHERE b.workspace_id = $1
+     GROUP BY b.id
+     ORDER BY b.name`,
+    [workspaceId]
+  );
+
+  return result.rows;
+}
+
+async function getBrand(workspaceId, brandId) {
+  const result = await pool.query(
+    `${BRAND_WITH_ACCOUNTS}
+     WHERE b.workspace_id = $1 AND b.id = $2
+     GROUP BY b.id`,
+    [workspaceId, brandId]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Whether brandId names one of the workspace's brands (false for malformed IDs)
+async function ownsBrand(workspaceId, brandId) {
+  if (!/^\d+$/.test(String(brandId))) return false;
+
+  const result = await pool.query(
+    'SELECT 1 FROM brands WHERE workspace_id = $1 AND id = $2',
+    [workspaceId, brandId]
+  );
+
+  return result.rows.length > 0;
+}
+
+async function createBrand(workspaceId, { name, accounts = [] } = {}) {
+  if (!name || !String(name).trim()) {
+    throw new BrandError('Brand name required');
+  }
+
+  const resolved = await resolveBrandAccounts(workspaceId, accounts);
+
+  const brandId = await inTransaction(async (client) => {
+    const result = await client.query(
+      'INSERT INTO brands (workspace_id, name) VALUES ($1, $2) RETURNING id',
+      [workspaceId, String(name).trim()]
+    );
+
+    await replaceBrandAccounts(client, result.rows[0].id, resolved);
+    return result.rows[0].id;
+  });
+
+  return getBrand(workspaceId, brandId);
+}
+
+// Rename a brand and/or replace its accounts; null if the brand isn't the workspace's
+async function updateBrand(workspaceId, brandId, { name, accounts } = {}) {
+  if (name !== undefined && !String(name).trim()) {
+    throw new BrandError('Brand name required');
+  }
+
+  const resolved = accounts === undefined ? null : await resolveBrandAccounts(workspaceId, accounts);
+
+  const found = await inTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE brands SET name = COALESCE($3, name), updated_at = NOW()
+       WHERE workspace_id = $1 AND id = $2
+       RETURNING id`,
+      [workspaceId, brandId, name === undefined ? null : String(name).trim()]
+    );
+
+    if (result.rows.length === 0) return false;
+
+    if (resolved) {
+      await replaceBrandAccounts(client, brandId, resolved);
+    }
+    return true;
+  });
+
+  return found ? getBrand(workspaceId, brandId) : null;
+}
+
+async function deleteBrand(workspaceId, brandId) {
+  const result = await pool.query(
+    'DELETE FROM brands WHERE workspace_id = $1 AND id = $2',
+    [workspaceId, brandId]
+  );
+
+  return result.rowCount > 0;
+}
+
+// Drop a platform's accounts from the workspace's brands once they are disconnected
+async function removeBrandAccounts(workspaceId, platform) {
+  await pool.query(
+    `DELETE FROM brand_accounts
+     WHERE platform = $2 AND brand_id IN (SELECT id FROM brands WHERE workspace_id = $1)`,
+    [workspaceId, platform]
+  );
+}
+
+module.exports = {
+  BrandError,
+  brandFilter,
+  listBrands,
+  getBrand,
+  ownsBrand,
+  createBrand,
+  updateBrand,
+  deleteBrand,
+  removeBrandAccounts
+};
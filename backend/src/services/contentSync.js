@@ -0,0 +1,210 @@
+const pool = require('../db');
+const { decryptTokens } = require('../utils/tokenCrypto');
+const { refreshContentMetrics } = require('./metricsSnapshots');
+const { PROVIDER_NAMES, getProvider } = require('../providers');
+
+require('dotenv').config();
+
+// Pages walked per run; a longer backfill saves its cursor and resumes next run
+const MAX_PAGES = Number(process.env.SYNC_MAX_PAGES) || 50;
+// A sync still "running" after this long belonged to a run that died
+const STALE_SYNC_MINUTES = 15;
+// How often the background syncer picks up new posts
+const SYNC_INTERVAL_MS = Number(process.env.SYNC_INTERVAL_MS) || 60 * 60 * 1000;
+
+// =============== CURSORS ===============
+
+// Mark an account's cursor as running, unless another sync already holds it
+async function claimCursor(workspaceId, platform, accountId) {
+  const result = await pool.query(
+    `INSERT INTO sync_cursors (workspace_id, platform, account_id, status, started_at)
+     VALUES ($1, $2, $3, 'running', NOW())
+     ON CONFLICT (workspace_id, platform, account_id) DO UPDATE
+       SET status = 'running', started_at = NOW()
+       WHERE sync_cursors.status <> 'running'
+          OR sync_cursors.started_at < NOW() - make_interval(mins => $4)
+     RETURNING *`,
+    [workspaceId, platform, accountId, STALE_SYNC_MINUTES]
+  );
+
+  return result.rows[0] || null;
+}
+
+async function listCursors(workspaceId) {
+  const result = await pool.query(
+    `SELECT platform, account_id, status, newest_post_id, newest_post_time,
+            next_cursor IS NOT NULL AS resumable, error, started_at, last_synced_at
+     FROM sync_cursors
+     WHERE workspace_id = $1
+     ORDER BY platform, account_id`,
+    [workspaceId]
+  );
+
+  return result.rows;
+}
+
+// =============== SYNC ===============
+
+// Walk an account's content newest-first (the provider's listContent pages),
+// storing every item. An incremental
+// sync stops at the newest item the last completed sync saw; full: true walks
+// everything. The page cursor is saved after each page, so a sync that fails
+// or hits MAX_PAGES resumes where it stopped instead of starting over.
+async function syncAccount(platform, account, { full = false, maxPages = MAX_PAGES } = {}) {
+  const provider = getProvider(platform);
+  const accountId = account[provider.accounts.idColumn];
+  const state = await claimCursor(account.workspace_id, platform, accountId);
+
+  if (!state) {
+    return { platform, accountId, status: 'running', stored: 0, pages: 0 };
+  }
+
+  const knownId = full ? null : state.newest_post_id;
+  const knownTime = full || !state.newest_post_time ? null : new Date(state.newest_post_time);
+  const isKnown = item => item.id === knownId || (knownTime && new Date(provider.contentTime(item)) < knownTime);
+
+  // Resuming keeps the newest item recorded when this walk began
+  let cursor = full ? null : state.next_cursor;
+  let newest = cursor ? { id: state.pending_newest_id, time: state.pending_newest_time } : null;
+  let pages = 0;
+  let stored = 0;
+
+  try {
+    while (pages < maxPages) {
+      const page = await provider.listContent(account, cursor);
+      pages++;
+
+      if (!newest && page.items.length > 0) {
+        newest = { id: page.items[0].id, time: provider.contentTime(page.items[0]) };
+      }
+
+      let reachedKnown = false;
+      for (const item of page.items) {
+        if (isKnown(item)) {
+          reachedKnown = true;
+          break;
+        }
+        await provider.storeContent(account, item);
+        stored++;
+      }
+
+      cursor = reachedKnown ? null : page.nextCursor;
+      if (!cursor) break;
+
+      await pool.query(
+        `UPDATE sync_cursors SET next_cursor = $2, pending_newest_id = $3, pending_newest_time = $4 WHERE id = $1`,
+        [state.id, cursor, newest?.id ?? null, newest?.time ?? null]
+      );
+    }
+
+    if (cursor) {
+      // Page budget used up; the next run carries on from the saved cursor
+      await pool.query(`UPDATE sync_cursors SET status = 'partial', error = NULL WHERE id = $1`, [state.id]);
+    } else {
+      await pool.query(
+        `UPDATE sync_cursors
+         SET status = 'idle', error = NULL, next_cursor = NULL,
+             pending_newest_id = NULL, pending_newest_time = NULL,
+             newest_post_id = COALESCE($2, newest_post_id),
+             newest_post_time = COALESCE($3, newest_post_time),
+             last_synced_at = NOW()
+         WHERE id = $1`,
+        [state.id, newest?.id ?? null, newest?.time ?? null]
+      );
+    }
+  } catch (error) {
+    await pool.query(
+      `UPDATE sync_cursors SET status = 'failed', error = $2 WHERE id = $1`,
+      [state.id, error.message || String(error)]
+    );
+    throw error;
+  }
+
+  await refreshContentMetrics(account.workspace_id, platform, accountId);
+
+  return { platform, accountId, status: cursor ? 'partial' : 'complete', stored, pages };
+}
+
+// Sync every stored account a workspace has on the given platforms
+async function syncWorkspaceContent(workspaceId, { platforms = PROVIDER_NAMES, full = false } = {}) {
+  const results = [];
+
+  for (const platform of platforms) {
+    const { table, idColumn } = getProvider(platform).accounts;
+    const accounts = await pool.query(`SELECT * FROM ${table} WHERE workspace_id = $1`, [workspaceId]);
+
+    for (const account of accounts.rows) {
+      try {
+        results.push(await syncAccount(platform, decryptTokens(account), { full }));
+      } catch (error) {
+        console.error(`Sync failed for ${platform} account ${account[idColumn]}:`, error.response?.data || error.message);
+        results.push({
+          platform,
+          accountId: account[idColumn],
+          status: 'failed',
+          error: error.message,
+          ...(error.retryAfter && { retryAfter: error.retryAfter })
+        });
+      }
+    }
+  }
+
+  return results;
+}
+
+// Incremental sync of every account with a live connection
+async function syncAllContent() {
+  let synced = 0;
+
+  for (const platform of PROVIDER_NAMES) {
+    const { table, idColumn, connectedColumn } = getProvider(platform).accounts;
+    const accounts = await pool.query(
+      `SELECT a.* FROM ${table} a
+       JOIN social_accounts s ON s.workspace_id = a.workspace_id AND s.platform = $1
+       WHERE s.connected = TRUE${connectedColumn ? ` AND a.${connectedColumn} = TRUE` : ''}`,
+      [platform]
+    );
+
+    for (const account of accounts.rows) {
+      try {
+        await syncAccount(platform, decryptTokens(account));
+        synced++;
+      } catch (error) {
+        console.error(`Sync failed for ${platform} account ${account[idColumn]}:`, error.response?.data || error.message);
+      }
+    }
+  }
+
+  return synced;
+}
+
+function startContentSyncer({ intervalMs = SYNC_INTERVAL_MS } = {}) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const synced = await syncAllContent();
+      if (synced > 0) console.log(`Synced content for ${synced} account(s)`);
+    } catch (error) {
+      console.error('Content sync error:', error.message || error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  tick();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  syncAccount,
+  syncWorkspaceContent,
+  syncAllContent,
+  startContentSyncer,
+  listCursors
+};
@@ -0,0 +1,325 @@
+// Per-platform checks for draft post content, shared by POST /api/posts/validate
+// and the scheduler endpoint. Errors block publishing; warnings don't.
+
+const TWEET_MAX_LENGTH = 280;
+const TWEET_URL_LENGTH = 23;
+const INSTAGRAM_CAPTION_MAX_LENGTH = 2200;
+const INSTAGRAM_MAX_HASHTAGS = 30;
+const INSTAGRAM_MAX_MENTIONS = 20;
+const INSTAGRAM_MAX_CAROUSEL_ITEMS = 10;
+const INSTAGRAM_MAX_IMAGE_BYTES = 8 * 1024 * 1024;
+// Shortest and longest video Instagram takes, in seconds, by where it goes
+const INSTAGRAM_VIDEO_SECONDS = {
+  reel: [3, 15 * 60],
+  story: [3, 60],
+  feed: [3, 60]
+};
+const FACEBOOK_MAX_LENGTH = 63206;
+const FACEBOOK_MAX_PHOTOS = 10;
+const LINKEDIN_MAX_LENGTH = 3000;
+const LINKEDIN_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif'];
+
+// Twitter's limits for uploaded media: up to 4 images, or a single GIF or video
+const TWEET_MAX_IMAGES = 4;
+const TWEET_MAX_VIDEO_SECONDS = 140;
+const TWITTER_MAX_BYTES = {
+  image: 5 * 1024 * 1024,
+  gif: 15 * 1024 * 1024,
+  video: 512 * 1024 * 1024
+};
+
+const VIDEO_URL_PATTERN = /\.(mp4|mov)(\?|$)/i;
+const URL_PATTERN = /\bhttps?:\/\/[^\s]+|\bwww\.[^\s]+/gi;
+const HASHTAG_PATTERN = /(^|[^\w&])#([\p{L}\p{N}_]+)/gu;
+const MENTION_PATTERN = /(^|[^\w])@([\w.]+)/g;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/u;
+
+// Code point ranges Twitter counts as a single character; everything else
+// (CJK, emoji, ...) counts as two. Mirrors twitter-text's v3 config.
+const TWEET_LIGHT_RANGES = [
+  [0, 4351],
+  [8192, 8205],
+  [8208, 8223],
+  [8242, 8247]
+];
+
+const graphemes = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+function extractUrls(text) {
+  return text.match(URL_PATTERN) || [];
+}
+
+function extractHashtags(text) {
+  return [...text.matchAll(HASHTAG_PATTERN)].map(m => m[2]);
+}
+
+function extractMentions(text) {
+  return [...text.matchAll(MENTION_PATTERN)].map(m => m[2]);
+}
+
+function isVideo(media) {
+  return media.media_type === 'video';
+}
+
+function megabytes(bytes) {
+  return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+function codePointWeight(codePoint) {
+  return TWEET_LIGHT_RANGES.some(([min, max]) => codePoint >= min && codePoint <= max) ? 1 : 2;
+}
+
+// Length of a tweet as Twitter counts it: every URL is shortened to a
+// t.co link, emoji sequences count as two, and so do most non-Latin characters
+function getTweetLength(text) {
+  const normalized = text.normalize('NFC');
+  const urls = extractUrls(normalized);
+
+  let length = urls.length * TWEET_URL_LENGTH;
+  const rest = normalized.replace(URL_PATTERN, '');
+
+  for (const { segment } of graphemes.segment(rest)) {
+    if (EMOJI_PATTERN.test(segment)) {
+      length += 2;
+      continue;
+    }
+
+    for (const char of segment) {
+      length += codePointWeight(char.codePointAt(0));
+    }
+  }
+
+  return length;
+}
+
+const validators = {
+  twitter: ({ content, mediaUrls, media }) => {
+    const errors = [];
+    const warnings = [];
+    const length = getTweetLength(content);
+
+    if (!content.trim() && media.length === 0) {
+      errors.push('Tweet text or media required');
+    }
+
+    if (length > TWEET_MAX_LENGTH) {
+      errors.push(`Tweet is ${length} characters; the limit is ${TWEET_MAX_LENGTH}`);
+    }
+
+    const single = media.filter(m => isVideo(m) || m.mime_type === 'image/gif');
+
+    if (single.length > 0 && media.length > 1) {
+      errors.push(`Tweets can have one video or GIF, or up to ${TWEET_MAX_IMAGES} images`);
+    } else if (media.length > TWEET_MAX_IMAGES) {
+      errors.push(`Tweets can have up to ${TWEET_MAX_IMAGES} images`);
+    }
+
+    for (const item of media) {
+      const kind = isVideo(item) ? 'video' : (item.mime_type === 'image/gif' ? 'gif' : 'image');
+
+      if (item.size_bytes > TWITTER_MAX_BYTES[kind]) {
+        errors.push(`${item.filename} is ${megabytes(item.size_bytes)}; Twitter allows ${megabytes(TWITTER_MAX_BYTES[kind])}`);
+      }
+
+      if (kind === 'video' && item.duration_ms > TWEET_MAX_VIDEO_SECONDS * 1000) {
+        errors.push(`${item.filename} is longer than Twitter's ${TWEET_MAX_VIDEO_SECONDS} seconds`);
+      }
+    }
+
+    // Only library files are uploaded; a bare URL has nothing to upload
+    if (media.length === 0 && mediaUrls.length > 0) {
+      warnings.push('Tweets only include media from the media library; the media URL will not be attached');
+    }
+
+    return { errors, warnings, length, maxLength: TWEET_MAX_LENGTH };
+  },
+
+  // options.format picks a feed post (one image, or a carousel), a reel or a story
+  instagram: ({ content, mediaUrls, media, options }) => {
+    const errors = [];
+    const warnings = [];
+    const hashtags = extractHashtags(content);
+    const mentions = extractMentions(content);
+    const format = options.format || 'feed';
+
+    // Bare URLs are taken for images unless they name a video file
+    const items = media.length > 0
+      ? media
+      : mediaUrls.map(url => ({ url, media_type: VIDEO_URL_PATTERN.test(url) ? 'video' : 'image' }));
+    const videos = items.filter(isVideo);
+
+    if (format === 'reel') {
+      if (items.length !== 1 || videos.length !== 1) {
+        errors.push('Instagram reels require a single video');
+      }
+    } else if (format === 'story') {
+      if (items.length !== 1) {
+        errors.push('Instagram stories require a single image or video');
+      }
+
+      if (content.trim()) {
+        warnings.push('Instagram stories do not show a caption');
+      }
+    } else if (items.length === 0) {
+      errors.push('Instagram posts require an image');
+    } else if (items.length > INSTAGRAM_MAX_CAROUSEL_ITEMS) {
+      errors.push(`Instagram carousels can have up to ${INSTAGRAM_MAX_CAROUSEL_ITEMS} images and videos`);
+    } else if (items.length === 1 && videos.length === 1) {
+      errors.push('Instagram publishes single videos as reels; set the format to reel');
+    }
+
+    const [minSeconds, maxSeconds] = INSTAGRAM_VIDEO_SECONDS[format];
+
+    for (const item of items) {
+      if (isVideo(item) && item.duration_ms != null) {
+        if (item.duration_ms < minSeconds * 1000 || item.duration_ms > maxSeconds * 1000) {
+          errors.push(`${item.filename} must be between ${minSeconds} and ${maxSeconds} seconds long for Instagram`);
+        }
+      } else if (!isVideo(item) && item.size_bytes > INSTAGRAM_MAX_IMAGE_BYTES) {
+        errors.push(`${item.filename} is ${megabytes(item.size_bytes)}; Instagram allows ${megabytes(INSTAGRAM_MAX_IMAGE_BYTES)}`);
+      }
+    }
+
+    if (content.length > INSTAGRAM_CAPTION_MAX_LENGTH) {
+      errors.push(`Caption is ${content.length} characters; the limit is ${INSTAGRAM_CAPTION_MAX_LENGTH}`);
+    }
+
+    if (hashtags.length > INSTAGRAM_MAX_HASHTAGS) {
+      errors.push(`Caption has ${hashtags.length} hashtags; the limit is ${INSTAGRAM_MAX_HASHTAGS}`);
+    }
+
+    if (mentions.length > INSTAGRAM_MAX_MENTIONS) {
+      errors.push(`Caption mentions ${mentions.length} accounts; the limit is ${INSTAGRAM_MAX_MENTIONS}`);
+    }
+
+    if (extractUrls(content).length > 0) {
+      warnings.push('Links in Instagram captions are not clickable');
+    }
+
+    for (const item of items.filter(i => !isVideo(i))) {
+      if (!/\.jpe?g(\?|$)/i.test(item.url)) {
+        warnings.push(`Instagram only accepts JPEG images; ${item.url} may be rejected`);
+      }
+    }
+
+    return {
+      errors,
+      warnings,
+      length: content.length,
+      maxLength: INSTAGRAM_CAPTION_MAX_LENGTH,
+      hashtags: hashtags.length,
+      format
+    };
+  },
+
+  facebook: ({ content, mediaUrls, media }) => {
+    const errors = [];
+    const warnings = [];
+    const urls = extractUrls(content);
+
+    if (!content.trim() && mediaUrls.length === 0) {
+      errors.push('Facebook posts require a message or a link');
+    }
+
+    if (content.length > FACEBOOK_MAX_LENGTH) {
+      errors.push(`Post is ${content.length} characters; the limit is ${FACEBOOK_MAX_LENGTH}`);
+    }
+
+    // Library media is uploaded as photos or a video; a bare media URL is
+    // attached as the post's link, which wins the preview over URLs in the text
+    if (media.length > 0) {
+      if (media.some(isVideo) && media.length > 1) {
+        errors.push('Facebook posts can have one video, or photos only');
+      } else if (media.length > FACEBOOK_MAX_PHOTOS) {
+        errors.push(`Facebook posts can have up to ${FACEBOOK_MAX_PHOTOS} photos`);
+      }
+    } else if (mediaUrls.length > 0 && urls.length > 0) {
+      warnings.push('The preview will show the attached media; links in the text will appear as plain text');
+    } else if (urls.length > 1) {
+      warnings.push('Facebook builds a link preview from the first URL only');
+    }
+
+    if (media.length === 0 && mediaUrls.length > 1) {
+      warnings.push('Only the first media item will be attached to the Facebook post');
+    }
+
+    return {
+      errors,
+      warnings,
+      length: content.length,
+      maxLength: FACEBOOK_MAX_LENGTH,
+      linkPreview: media.length > 0 ? null : (mediaUrls[0] || urls[0] || null)
+    };
+  },
+
+  linkedin: ({ content, mediaUrls, media }) => {
+    const errors = [];
+    const warnings = [];
+
+    if (!content.trim() && media.length === 0) {
+      errors.push('LinkedIn posts require text or an image');
+    }
+
+    if (content.length > LINKEDIN_MAX_LENGTH) {
+      errors.push(`Post is ${content.length} characters; the limit is ${LINKEDIN_MAX_LENGTH}`);
+    }
+
+    if (media.length > 1) {
+      errors.push('LinkedIn posts support a single image');
+    } else if (media.some(isVideo)) {
+      errors.push('LinkedIn posts support images only');
+    }
+
+    for (const item of media) {
+      if (!isVideo(item) && !LINKEDIN_IMAGE_TYPES.includes(item.mime_type)) {
+        errors.push(`LinkedIn accepts JPEG, PNG and GIF images; ${item.filename} is ${item.mime_type}`);
+      }
+    }
+
+    // Only library files are uploaded; a bare URL has nothing to upload
+    if (media.length === 0 && mediaUrls.length > 0) {
+      warnings.push('LinkedIn posts only include images from the media library; the media URL will not be attached');
+    }
+
+    // Posts made through the API don't unfurl URLs in the text into link cards
+    if (extractUrls(content).length > 0) {
+      warnings.push('Links in LinkedIn posts are shown as plain text without a preview');
+    }
+
+    return { errors, warnings, length: content.length, maxLength: LINKEDIN_MAX_LENGTH };
+  }
+};
+
+// Validate a draft for each target platform. media is the draft's media
+// library rows, if it has any; their URLs then stand in for mediaUrls.
+// platformOptions are the draft's resolved per-platform options (see
+// resolvePlatformOptions). Returns
+// { valid, platforms: { [platform]: { valid, errors, warnings, ... } } }
+function validatePost({ content = '', mediaUrls = [], media = [], platformOptions = {}, platforms = [] }) {
+  const draft = {
+    content: String(content),
+    mediaUrls: media.length > 0 ? media.map(m => m.url) : mediaUrls.filter(Boolean),
+    media
+  };
+  const results = {};
+
+  for (const platform of new Set(platforms)) {
+    const validate = validators[platform];
+    const result = validate
+      ? validate({ ...draft, options: platformOptions[platform] || {} })
+      : { errors: [`Unsupported platform: ${platform}`], warnings: [] };
+
+    results[platform] = { valid: result.errors.length === 0, ...result };
+  }
+
+  return {
+    valid: Object.values(results).every(r => r.valid),
+    platforms: results
+  };
+}
+
+module.exports = {
+  TWEET_MAX_LENGTH,
+  getTweetLength,
+  validatePost
+};
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const pool = require('../db');
+const { writeExport, exportFilename, EXPORT_FORMATS } = require('./exports');
+
+require('dotenv').config();
+
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(__dirname, '../../exports');
+const POLL_INTERVAL_MS = Number(process.env.EXPORT_POLL_INTERVAL_MS) || 5000;
+const RETENTION_HOURS = Number(process.env.EXPORT_RETENTION_HOURS) || 72;
+// A job still "running" after this long belonged to a process that died
+const STALE_JOB_MINUTES = 60;
+
+// Columns safe to return to the user (the file path stays server-side)
+const JOB_COLUMNS = `id, user_id AS requested_by, kind, format, params, status, row_count, error,
+                     created_at, started_at, completed_at, expires_at`;
+
+// =============== JOB RECORDS ===============
+
+// Jobs belong to the workspace; userId records who asked for the export
+async function createExportJob(workspaceId, userId, { kind, format, params }) {
+  const result = await pool.query(
+    `INSERT INTO export_jobs (workspace_id, user_id, kind, format, params)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${JOB_COLUMNS}`,
+    [workspaceId, userId, kind, format, JSON.stringify(params)]
+  );
+
+  return result.rows[0];
+}
+
+async function listExportJobs(workspaceId) {
+  const result = await pool.query(
+    `SELECT ${JOB_COLUMNS} FROM export_jobs
+     WHERE workspace_id = $1
+     ORDER BY created_at DESC
+     LIMIT 50`,
+    [workspaceId]
+  );
+
+  return result.rows;
+}
+
+async function getExportJob(workspaceId, jobId) {
+  const result = await pool.query(
+    `SELECT ${JOB_COLUMNS} FROM export_jobs WHERE id = $1 AND workspace_id = $2`,
+    [jobId, workspaceId]
+  );
+
+  return result.rows[0] || null;
+}
+
+// The finished file for a completed job, or null if there isn't one (yet)
+async function getExportDownload(workspaceId, jobId) {
+  const result = await pool.query(
+    `SELECT kind, format, params, file_path FROM export_jobs
+     WHERE id = $1 AND workspace_id = $2 AND status = 'completed' AND expires_at > NOW()`,
+    [jobId, workspaceId]
+  );
+
+  const job = result.rows[0];
+  if (!job || !fs.existsSync(job.file_path)) return null;
+
+  return {
+    filePath: job.file_path,
+    filename: exportFilename(job.kind, job.params, job.format),
+    contentType: EXPORT_FORMATS[job.format].contentType
+  };
+}
+
+// =============== WORKER ===============
+
+async function claimNextJob() {
+  const result = await pool.query(
+    `UPDATE export_jobs SET status = 'running', started_at = NOW()
+     WHERE id = (
+       SELECT id FROM export_jobs
+       WHERE status = 'pending'
+          OR (status = 'running' AND started_at < NOW() - make_interval(mins => $1))
+       ORDER BY created_at
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`,
+    [STALE_JOB_MINUTES]
+  );
+
+  return result.rows[0] || null;
+}
+
+async function runExportJob(job) {
+  const filePath = path.join(EXPORT_DIR, `${job.id}.${EXPORT_FORMATS[job.format].extension}`);
+  fs.mkdirSync(EXPORT_DIR, { recursive: true });
+
+  const file = fs.createWriteStream(filePath);
+
+  try {
+    const rowCount = await writeExport(job.kind, job.workspace_id, job.params, job.format, file);
+
+    await pool.query(
+      `UPDATE export_jobs
+       SET status = 'completed', file_path = $2, row_count = $3, completed_at = NOW(),
+           expires_at = NOW() + make_interval(hours => $4)
+       WHERE id = $1`,
+      [job.id, filePath, rowCount, RETENTION_HOURS]
+    );
+  } catch (error) {
+    file.destroy();
+    fs.rmSync(filePath, { force: true });
+
+    await pool.query(
+      `UPDATE export_jobs SET status = 'failed', error = $2, completed_at = NOW() WHERE id = $1`,
+      [job.id, error.message || String(error)]
+    );
+    throw error;
+  }
+}
+
+// Remove expired jobs and their files
+async function purgeExpiredExports() {
+  const result = await pool.query(
+    `DELETE FROM export_jobs
+     WHERE expires_at < NOW()
+        OR (status = 'failed' AND completed_at < NOW() - make_interval(hours => $1))
+     RETURNING file_path`,
+    [RETENTION_HOURS]
+  );
+
+  for (const { file_path: filePath } of result.rows) {
+    if (filePath) fs.rmSync(filePath, { force: true });
+  }
+
+  return result.rowCount;
+}
+
+// Work through queued exports one at a time until the returned stop function is called
+function startExportWorker({ intervalMs = POLL_INTERVAL_MS } = {}) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await purgeExpiredExports();
+
+      let job;
+      while ((job = await claimNextJob())) {
+        try {
+          await runExportJob(job);
+          console.log(`Export job ${job.id} (${job.kind}, ${job.format}) completed`);
+        } catch (error) {
+          console.error(`Export job ${job.id} failed:`, error.message || error);
+        }
+      }
+    } catch (error) {
+      console.error('Export worker error:', error.message || error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  tick();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  createExportJob,
+  listExportJobs,
+  getExportJob,
+  getExportDownload,
+  startExportWorker
+};
@@ -0,0 +1,130 @@
+const { pipeline } = require('stream/promises');
+const pool = require('../db');
+const { CONTENT_SOURCES } = require('./reports');
+const { brandFilter } = require('./brands');
+
+const EXPORT_KINDS = ['posts', 'metrics'];
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+const BATCH_SIZE = 1000;
+
+// Each export pages through its rows with a keyset cursor (the last row's
+// sort key), so large ranges never sit in memory at once
+const EXPORTS = {
+  posts: {
+    columns: [
+      'platform', 'account_id', 'post_id', 'created_time', 'media_type', 'text',
+      'likes', 'comments', 'shares', 'replies', 'engagement', 'permalink_url'
+    ],
+    query: (workspaceId, { from, to, platforms, brandId = null }, cursor) => ({
+      text: `SELECT c.*, c.likes + c.comments + c.shares + c.replies AS engagement,
+                    c.created_time::text AS cursor_time
+             FROM (${platforms.map(platform => CONTENT_SOURCES[platform]).join(' UNION ALL ')}) c
+             WHERE c.created_time::date BETWEEN $2 AND $3
+               AND ${brandFilter('c.platform', 'c.account_id', 8)}
+               AND ($4::timestamp IS NULL OR (c.created_time, c.platform, c.post_id) > ($4::timestamp, $5, $6))
+             ORDER BY c.created_time, c.platform, c.post_id
+             LIMIT $7`,
+      values: [workspaceId, from, to, cursor?.cursor_time ?? null, cursor?.platform ?? null, cursor?.post_id ?? null, BATCH_SIZE, brandId]
+    }),
+    count: (workspaceId, { from, to, platforms, brandId = null }) => ({
+      text: `SELECT COUNT(*) FROM (${platforms.map(platform => CONTENT_SOURCES[platform]).join(' UNION ALL ')}) c
+             WHERE c.created_time::date BETWEEN $2 AND $3
+               AND ${brandFilter('c.platform', 'c.account_id', 4)}`,
+      values: [workspaceId, from, to, brandId]
+    })
+  },
+  metrics: {
+    columns: ['metric_date', 'platform', 'account_id', 'followers', 'engagement', 'impressions', 'post_count'],
+    query: (workspaceId, { from, to, platforms, brandId = null }, cursor) => ({
+      text: `SELECT id, to_char(metric_date, 'YYYY-MM-DD') AS metric_date, platform, account_id,
+                    followers, engagement, impressions, post_count
+             FROM account_metrics_daily
+             WHERE workspace_id = $1 AND platform = ANY($4) AND metric_date BETWEEN $2 AND $3
+               AND ${brandFilter('platform', 'account_id', 8)}
+               AND ($5::date IS NULL OR (metric_date, id) > ($5::date, $6))
+             ORDER BY metric_date, id
+             LIMIT $7`,
+      values: [workspaceId, from, to, platforms, cursor?.metric_date ?? null, cursor?.id ?? null, BATCH_SIZE, brandId]
+    }),
+    count: (workspaceId, { from, to, platforms, brandId = null }) => ({
+      text: `SELECT COUNT(*) FROM account_metrics_daily
+             WHERE workspace_id = $1 AND platform = ANY($4) AND metric_date BETWEEN $2 AND $3
+               AND ${brandFilter('platform', 'account_id', 5)}`,
+      values: [workspaceId, from, to, platforms, brandId]
+    })
+  }
+};
+
+// =============== FORMATTING ===============
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'string') return String(value);
+
+  // Keep spreadsheet apps from evaluating post text as a formula
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatHeader(columns, format) {
+  return format === 'csv' ? `${columns.join(',')}\n` : '';
+}
+
+function formatRow(row, columns, format) {
+  if (format === 'csv') {
+    return `${columns.map(column => csvValue(row[column])).join(',')}\n`;
+  }
+
+  return `${JSON.stringify(Object.fromEntries(columns.map(column => [column, row[column] ?? null])))}\n`;
+}
+
+// =============== WRITING ===============
+
+async function countExportRows(kind, workspaceId, params) {
+  const result = await pool.query(EXPORTS[kind].count(workspaceId, params));
+  return Number(result.rows[0].count);
+}
+
+// Write an export to any writable stream (an HTTP response or a file) and
+// end it. The next batch is only fetched once the stream has taken the last
+// one, and a stream that closes early (a client hanging up) rejects and
+// stops the export. Returns the row count.
+async function writeExport(kind, workspaceId, params, format, stream) {
+  const { columns, query } = EXPORTS[kind];
+  let rowCount = 0;
+
+  async function* chunks() {
+    yield formatHeader(columns, format);
+
+    let cursor = null;
+    while (true) {
+      const result = await pool.query(query(workspaceId, params, cursor));
+      if (result.rows.length === 0) break;
+
+      yield result.rows.map(row => formatRow(row, columns, format)).join('');
+
+      rowCount += result.rows.length;
+      cursor = result.rows[result.rows.length - 1];
+      if (result.rows.length < BATCH_SIZE) break;
+    }
+  }
+
+  await pipeline(chunks(), stream);
+  return rowCount;
+}
+
+function exportFilename(kind, { from, to }, format) {
+  return `${kind}-${from}-to-${to}.${EXPORT_FORMATS[format].extension}`;
+}
+
+module.exports = {
+  EXPORT_KINDS,
+  EXPORT_FORMATS,
+  countExportRows,
+  writeExport,
+  exportFilename
+};
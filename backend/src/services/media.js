@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const sharp = require('sharp');
+const pool = require('../db');
+const { getStorage } = require('./mediaStorage');
+const { sniffMimeType, probeVideoFile } = require('../utils/mediaProbe');
+
+// Raised for media requests that can't be carried out; carries the HTTP status
+class MediaError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MediaError';
+    this.status = status;
+  }
+}
+
+// What can be uploaded, by MIME type (as sniffed from the file itself)
+const MEDIA_TYPES = {
+  'image/jpeg': { mediaType: 'image', extension: 'jpg' },
+  'image/png': { mediaType: 'image', extension: 'png' },
+  'image/gif': { mediaType: 'image', extension: 'gif' },
+  'image/webp': { mediaType: 'image', extension: 'webp' },
+  'video/mp4': { mediaType: 'video', extension: 'mp4' },
+  'video/quicktime': { mediaType: 'video', extension: 'mov' }
+};
+
+// Longest side of a thumbnail, in pixels
+const THUMBNAIL_SIZE = 320;
+// Most media one post can carry (platforms may allow fewer)
+const MAX_ATTACHED_MEDIA = 10;
+
+// Columns safe to return to the user (storage keys stay server-side), and
+// how many posts still waiting to go out have the media attached
+const MEDIA_COLUMNS = `
+  m.id, m.user_id AS uploaded_by, m.filename, m.mime_type, m.media_type, m.size_bytes,
+  m.width, m.height, m.duration_ms, m.checksum, m.storage, m.storage_key, m.thumbnail_key, m.created_at,
+  (SELECT COUNT(*)::int FROM scheduled_posts p
+   WHERE m.id = ANY(p.media_ids)
+     AND EXISTS (SELECT 1 FROM scheduled_post_targets t
+                 WHERE t.scheduled_post_id = p.id AND t.status IN ('pending', 'publishing', 'failed'))
+  ) AS pending_post_count`;
+
+// Swap the storage keys for the URLs platforms and the app load the files from
+function withUrls({ storage_key: storageKey, thumbnail_key: thumbnailKey, ...media }) {
+  const storage = getStorage(media.storage);
+
+  return {
+    ...media,
+    url: storage.url(storageKey),
+    thumbnail_url: thumbnailKey ? storage.url(thumbnailKey) : null
+  };
+}
+
+// Dimensions as displayed (EXIF-rotated photos come out the right way up)
+// and a JPEG thumbnail; GIFs are measured and thumbnailed from their first frame
+async function describeImage(filePath) {
+  let metadata;
+
+  try {
+    metadata = await sharp(filePath).metadata();
+  } catch (error) {
+    throw new MediaError('Image could not be read');
+  }
+
+  const rotated = metadata.orientation >= 5;
+  const thumbnail = await sharp(filePath)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+
+  return {
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height,
+    durationMs: null,
+    thumbnail
+  };
+}
+
+// Videos get their size and length from the container headers. They get no
+// thumbnail (thumbnail_url stays null): making one would need a video
+// decoder such as ffmpeg, which isn't a dependency; the app shows a placeholder.
+async function describeVideo(filePath) {
+  return { ...(await probeVideoFile(filePath)), thumbnail: null };
+}
+
+// The leading bytes sniffMimeType looks at
+async function readHead(filePath) {
+  const file = await fs.promises.open(filePath, 'r');
+
+  try {
+    const { buffer, bytesRead } = await file.read(Buffer.alloc(16), 0, 16, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await file.close();
+  }
+}
+
+async function findByChecksum(workspaceId, checksum) {
+  const result = await pool.query(
+    `SELECT ${MEDIA_COLUMNS} FROM media_assets m WHERE m.workspace_id = $1 AND m.checksum = $2`,
+    [workspaceId, checksum]
+  );
+
+  return result.rows[0] ? withUrls(result.rows[0]) : null;
+}
+
+// =============== UPLOADS ===============
+
+// Store an uploaded file in the workspace's library. The upload arrives as a
+// file on disk (path) with its size and SHA-256 checksum worked out while it
+// was received; the caller removes the file afterwards. A file the workspace
+// already has (same checksum) isn't stored twice: the existing media comes
+// back with duplicate: true. Resolves to { media, duplicate }.
+async function createMedia(workspaceId, userId, { path: filePath, size, checksum, filename }) {
+  const mimeType = sniffMimeType(await readHead(filePath));
+  if (!MEDIA_TYPES[mimeType]) {
+    throw new MediaError('Unsupported file type; upload a JPEG, PNG, GIF or WebP image, or an MP4 or MOV video', 415);
+  }
+
+  const existing = await findByChecksum(workspaceId, checksum);
+  if (existing) return { media: existing, duplicate: true };
+
+  const { mediaType, extension } = MEDIA_TYPES[mimeType];
+  const { width, height, durationMs, thumbnail } = mediaType === 'image'
+    ? await describeImage(filePath)
+    : await describeVideo(filePath);
+
+  const storage = getStorage();
+  const name = `${workspaceId}/${crypto.randomBytes(16).toString('hex')}`;
+  const storageKey = `${name}.${extension}`;
+  const thumbnailKey = thumbnail ? `${name}.thumb.jpg` : null;
+
+  await storage.putFile(storageKey, filePath, mimeType);
+  if (thumbnail) await storage.put(thumbnailKey, thumbnail, 'image/jpeg');
+
+  const removeFiles = () => Promise.all([storageKey, thumbnailKey].filter(Boolean).map(key => storage.remove(key)));
+
+  try {
+    // Two uploads of the same file at once: the second finds the first's row
+    const result = await pool.query(
+      `INSERT INTO media_assets
+         (workspace_id, user_id, filename, mime_type, media_type, size_bytes, width, height, duration_ms,
+          checksum, storage, storage_key, thumbnail_key)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       ON CONFLICT (workspace_id, checksum) DO NOTHING
+       RETURNING id`,
+      [
+        workspaceId, userId, filename || `upload.${extension}`, mimeType, mediaType, size,
+        width, height, durationMs, checksum, storage.name, storageKey, thumbnailKey
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      await removeFiles();
+      return { media: await findByChecksum(workspaceId, checksum), duplicate: true };
+    }
+
+    return { media: await getMedia(workspaceId, result.rows[0].id), duplicate: false };
+  } catch (error) {
+    await removeFiles();
+    throw error;
+  }
+}
+
+// =============== LIBRARY ===============
+
+// Newest first; mediaType ('image' or 'video') narrows the list
+async function listMedia(workspaceId, { mediaType = null, limit = 50, offset = 0 } = {}) {
+  const result = await pool.query(
+    `SELECT ${MEDIA_COLUMNS} FROM media_assets m
+     WHERE m.workspace_id = $1 AND ($2::varchar IS NULL OR m.media_type = $2)
+     ORDER BY m.created_at DESC, m.id DESC
+     LIMIT $3 OFFSET $4`,
+    [workspaceId, mediaType, limit, offset]
+  );
+
+  return result.rows.map(withUrls);
+}
+
+// null if the media isn't in the workspace
+async function getMedia(workspaceId, mediaId) {
+  if (!/^\d+$/.test(String(mediaId))) return null;
+
+  const result = await pool.query(
+    `SELECT ${MEDIA_COLUMNS} FROM media_assets m WHERE m.id = $1 AND m.workspace_id = $2`,
+    [mediaId, workspaceId]
+  );
+
+  return result.rows[0] ? withUrls(result.rows[0]) : null;
+}
+
+// Library media by ID, in the order given, leaving out any no longer in the workspace
+async function getMediaList(workspaceId, mediaIds) {
+  if (!mediaIds || mediaIds.length === 0) return [];
+
+  const result = await pool.query(
+    `SELECT ${MEDIA_COLUMNS} FROM media_assets m WHERE m.workspace_id = $1 AND m.id = ANY($2::int[])`,
+    [workspaceId, mediaIds]
+  );
+
+  const byId = new Map(result.rows.map(row => [row.id, withUrls(row)]));
+  return mediaIds.map(id => byId.get(Number(id))).filter(Boolean);
+}
+
+// What a request attaches to a post: library media by mediaIds (or a single
+// mediaId), checked to be the workspace's, or a bare mediaUrl. Resolves to
+// { mediaUrl, mediaIds, media }: mediaUrl is the first file's URL and media
+// the library rows, for validation. An empty mediaIds (or mediaId: null)
+// detaches; giving none of the three leaves mediaUrl and mediaIds undefined,
+// for edits that keep the post's media.
+async function resolveAttachedMedia(workspaceId, { mediaIds, mediaId, mediaUrl }) {
+  const ids = mediaIds !== undefined
+    ? mediaIds
+    : (mediaId === undefined ? undefined : (mediaId === null ? [] : [mediaId]));
+
+  if (ids === undefined) {
+    return { mediaUrl, mediaIds: mediaUrl === undefined ? undefined : [], media: [] };
+  }
+
+  if (!Array.isArray(ids)) {
+    throw new MediaError('mediaIds must be a list of media IDs');
+  }
+
+  if (ids.length === 0) {
+    return { mediaUrl: mediaUrl ?? null, mediaIds: [], media: [] };
+  }
+
+  if (mediaUrl) {
+    throw new MediaError('Pass mediaIds or mediaUrl, not both');
+  }
+
+  if (ids.length > MAX_ATTACHED_MEDIA) {
+    throw new MediaError(`A post can have at most ${MAX_ATTACHED_MEDIA} media`);
+  }
+
+  if (new Set(ids.map(String)).size < ids.length) {
+    throw new MediaError('mediaIds lists the same media more than once');
+  }
+
+  const invalid = ids.find(id => !/^\d+$/.test(String(id)));
+  const media = invalid === undefined ? await getMediaList(workspaceId, ids) : [];
+  const missing = invalid ?? ids.find(id => !media.some(m => m.id === Number(id)));
+
+  if (missing !== undefined) {
+    throw new MediaError(`Media ${missing} not found`);
+  }
+
+  return { mediaUrl: media[0].url, mediaIds: media.map(m => m.id), media };
+}
+
+// The files behind a post's library media, for providers that upload them
+// natively: each media row with read(), which resolves to the file's bytes,
+// and readRange(start, end) for a piece of them (videos are too big to hold)
+async function loadMediaFiles(workspaceId, mediaIds) {
+  if (!mediaIds || mediaIds.length === 0) return [];
+
+  const result = await pool.query(
+    `SELECT m.id, m.filename, m.mime_type, m.media_type, m.size_bytes, m.width, m.height, m.duration_ms,
+            m.storage, m.storage_key, m.thumbnail_key
+     FROM media_assets m
+     WHERE m.workspace_id = $1 AND m.id = ANY($2::int[])`,
+    [workspaceId, mediaIds]
+  );
+
+  const byId = new Map(result.rows.map(row => [row.id, row]));
+  if (byId.size < new Set(mediaIds).size) {
+    throw new Error("Some of the post's media has been deleted from the media library");
+  }
+
+  return mediaIds.map((id) => {
+    const row = byId.get(Number(id));
+    const storage = getStorage(row.storage);
+
+    return {
+      ...withUrls(row),
+      read: () => storage.read(row.storage_key),
+      readRange: (start, end) => storage.readRange(row.storage_key, start, end)
+    };
+  });
+}
+
+// Delete the media and its files. Media attached to posts that haven't gone
+// out yet, or to an active recurring post, is refused; published posts keep
+// their URL. Resolves to false if the media isn't in the workspace.
+async function deleteMedia(workspaceId, mediaId) {
+  const media = await getMedia(workspaceId, mediaId);
+  if (!media) return false;
+
+  const series = await pool.query(
+    `SELECT COUNT(*)::int AS count FROM scheduled_post_series WHERE $1 = ANY(media_ids) AND status = 'active'`,
+    [media.id]
+  );
+
+  if (media.pending_post_count > 0 || series.rows[0].count > 0) {
+    throw new MediaError('Media is attached to posts that have not been published; detach it first', 409);
+  }
+
+  const result = await pool.query(
+    'DELETE FROM media_assets WHERE id = $1 AND workspace_id = $2 RETURNING storage, storage_key, thumbnail_key',
+    [media.id, workspaceId]
+  );
+  if (result.rows.length === 0) return false;
+
+  const { storage, storage_key: storageKey, thumbnail_key: thumbnailKey } = result.rows[0];
+
+  for (const key of [storageKey, thumbnailKey].filter(Boolean)) {
+    try {
+      await getStorage(storage).remove(key);
+    } catch (error) {
+      console.error(`Remove media file ${key} error:`, error.message || error);
+    }
+  }
+
+  return true;
+}
+
+module.exports = {
+  MediaError,
+  MEDIA_TYPES,
+  createMedia,
+  listMedia,
+  getMedia,
+  getMediaList,
+  resolveAttachedMedia,
+  loadMediaFiles,
+  deleteMedia
+};
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+
+require('dotenv').config();
+
+// Where uploaded media is kept: 'local' (files under MEDIA_DIR, served by
+// GET /api/media/files/...) or 's3' (any S3-compatible store)
+const MEDIA_STORAGE = process.env.MEDIA_STORAGE || 'local';
+const MEDIA_DIR = process.env.MEDIA_DIR || path.join(__dirname, '../../media');
+// Platforms fetch media from these URLs, so in production they must be public
+const MEDIA_PUBLIC_URL = process.env.MEDIA_PUBLIC_URL || 'http://localhost:5000/api/media/files';
+
+// Keys look like "12/3f9c...e1.jpg": the workspace, then a random name
+const KEY_PATTERN = /^\d+\/[a-f0-9]{32}(\.thumb)?\.[a-z0-9]+$/;
+
+// =============== LOCAL DISK ===============
+
+function createLocalStorage() {
+  const filePath = (key) => path.join(MEDIA_DIR, key);
+
+  return {
+    name: 'local',
+
+    put: async (key, buffer) => {
+      await fs.promises.mkdir(path.dirname(filePath(key)), { recursive: true });
+      await fs.promises.writeFile(filePath(key), buffer);
+    },
+
+    putFile: async (key, sourcePath) => {
+      await fs.promises.mkdir(path.dirname(filePath(key)), { recursive: true });
+      await fs.promises.copyFile(sourcePath, filePath(key));
+    },
+
+    read: (key) => fs.promises.readFile(filePath(key)),
+
+    // Bytes [start, end) of the file, for uploading it in pieces
+    readRange: async (key, start, end) => {
+      const file = await fs.promises.open(filePath(key), 'r');
+
+      try {
+        const { buffer, bytesRead } = await file.read(Buffer.alloc(end - start), 0, end - start, start);
+        return buffer.subarray(0, bytesRead);
+      } finally {
+        await file.close();
+      }
+    },
+
+    remove: (key) => fs.promises.rm(filePath(key), { force: true }),
+
+    url: (key) => `${MEDIA_PUBLIC_URL.replace(/\/$/, '')}/${key}`,
+
+    // For the file route; null unless the key is one we could have written
+    localPath: (key) => (KEY_PATTERN.test(key) ? filePath(key) : null)
+  };
+}
+
+// =============== S3 ===============
+
+// S3_ENDPOINT and S3_FORCE_PATH_STYLE=true point it at MinIO, R2 and the
+// like; credentials come from the usual AWS_* variables. S3_PUBLIC_URL is the
+// bucket's public (or CDN) address, default the AWS virtual-hosted one.
+function createS3Storage() {
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  const bucket = process.env.S3_BUCKET;
+  const region = process.env.S3_REGION || 'us-east-1';
+  if (!bucket) throw new Error('S3_BUCKET is required when MEDIA_STORAGE=s3');
+
+  const client = new S3Client({
+    region,
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+  });
+  const publicUrl = (process.env.S3_PUBLIC_URL || `https://${bucket}.s3.${region}.amazonaws.com`).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+
+    put: async (key, buffer, contentType) => {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+    },
+
+    // Streamed from disk; S3 needs the length up front for a stream body
+    putFile: async (key, sourcePath, contentType) => {
+      const { size } = await fs.promises.stat(sourcePath);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: fs.createReadStream(sourcePath),
+        ContentLength: size,
+        ContentType: contentType
+      }));
+    },
+
+    read: async (key) => {
+      const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await object.Body.transformToByteArray());
+    },
+
+    readRange: async (key, start, end) => {
+      const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key, Range: `bytes=${start}-${end - 1}` }));
+      return Buffer.from(await object.Body.transformToByteArray());
+    },
+
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    url: (key) => `${publicUrl}/${key}`,
+
+    localPath: () => null
+  };
+}
+
+const STORAGE_FACTORIES = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+const storages = {};
+
+// The named storage backend. Media records keep the backend they were
+// written to, so switching MEDIA_STORAGE leaves earlier uploads readable.
+function getStorage(name = MEDIA_STORAGE) {
+  if (!STORAGE_FACTORIES[name]) throw new Error(`Unknown media storage: ${name}`);
+
+  if (!storages[name]) storages[name] = STORAGE_FACTORIES[name]();
+  return storages[name];
+}
+
+module.exports = {
+  MEDIA_STORAGE,
+  getStorage
+};
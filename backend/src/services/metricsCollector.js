@@ -0,0 +1,138 @@
+const pool = require('../db');
+const { decryptTokens } = require('../utils/tokenCrypto');
+const { recordAccountSnapshot, refreshContentMetrics } = require('./metricsSnapshots');
+const { providers } = require('../providers');
+
+require('dotenv').config();
+
+// The collector wakes up this often and snapshots every account that hasn't
+// been collected yet today, so a restart or a failed account catches up
+const CHECK_INTERVAL_MS = Number(process.env.METRICS_COLLECTION_INTERVAL_MS) || 60 * 60 * 1000;
+
+// =============== HISTORY WRITES ===============
+
+// One row per post per day; re-running the same day overwrites that day's row
+async function recordPostSnapshot({ workspaceId, platform, accountId, postId, likes = 0, comments = 0, shares = 0, replies = 0 }) {
+  await pool.query(
+    `INSERT INTO post_metrics_daily
+       (workspace_id, platform, account_id, post_id, metric_date, likes_count, comments_count, shares_count, replies_count)
+     VALUES ($1, $2, $3, $4, CURRENT_DATE, $5, $6, $7, $8)
+     ON CONFLICT (workspace_id, platform, post_id, metric_date)
+     DO UPDATE SET likes_count = $5, comments_count = $6, shares_count = $7, replies_count = $8, collected_at = NOW()`,
+    [workspaceId, platform, accountId, postId, likes, comments, shares, replies]
+  );
+}
+
+// =============== COLLECTION ===============
+
+// Snapshot an account's followers and the engagement on its latest page of posts
+async function collectAccount(provider, account) {
+  const { name, accounts } = provider;
+  const accountId = account[accounts.idColumn];
+  const profile = await provider.fetchProfile(account);
+
+  await recordAccountSnapshot({
+    workspaceId: account.workspace_id,
+    platform: name,
+    accountId,
+    followers: profile.followers
+  });
+
+  await pool.query(
+    `UPDATE ${accounts.table} SET followers_count = $3 WHERE workspace_id = $1 AND ${accounts.idColumn} = $2`,
+    [account.workspace_id, accountId, profile.followers]
+  );
+
+  const { items } = await provider.listContent(account, null);
+
+  for (const item of items) {
+    await recordPostSnapshot({
+      workspaceId: account.workspace_id,
+      platform: name,
+      accountId,
+      ...provider.contentMetrics(item)
+    });
+
+    await provider.storeContent(account, item);
+  }
+
+  await refreshContentMetrics(account.workspace_id, name, accountId);
+}
+
+// =============== DAILY RUN ===============
+
+// Claim an account for today. The unique key makes this the per-day
+// idempotency check and keeps two backend instances from collecting the same
+// account; a failed collection releases its claim so a later run retries it.
+async function claimAccountForToday(workspaceId, platform, accountId) {
+  const result = await pool.query(
+    `INSERT INTO metrics_collection_log (workspace_id, platform, account_id, collected_on)
+     VALUES ($1, $2, $3, CURRENT_DATE)
+     ON CONFLICT (workspace_id, platform, account_id, collected_on) DO NOTHING
+     RETURNING id`,
+    [workspaceId, platform, accountId]
+  );
+
+  return result.rows[0]?.id || null;
+}
+
+async function collectDailyMetrics() {
+  let collected = 0;
+
+  // Accounts with a live connection only
+  for (const provider of Object.values(providers)) {
+    const { name: platform, accounts: { table, idColumn, connectedColumn } } = provider;
+    const accounts = await pool.query(
+      `SELECT a.* FROM ${table} a
+       JOIN social_accounts s ON s.workspace_id = a.workspace_id AND s.platform = $1
+       WHERE s.connected = TRUE${connectedColumn ? ` AND a.${connectedColumn} = TRUE` : ''}`,
+      [platform]
+    );
+
+    for (const account of accounts.rows) {
+      const claimId = await claimAccountForToday(account.workspace_id, platform, account[idColumn]);
+      if (!claimId) continue;
+
+      try {
+        await collectAccount(provider, decryptTokens(account));
+        collected++;
+      } catch (error) {
+        await pool.query('DELETE FROM metrics_collection_log WHERE id = $1', [claimId]);
+        console.error(
+          `Metrics collection failed for ${platform} account ${account[idColumn]}:`,
+          error.response?.data || error.message
+        );
+      }
+    }
+  }
+
+  return collected;
+}
+
+function startMetricsCollector({ intervalMs = CHECK_INTERVAL_MS } = {}) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const collected = await collectDailyMetrics();
+      if (collected > 0) console.log(`Collected daily metrics for ${collected} account(s)`);
+    } catch (error) {
+      console.error('Metrics collection error:', error.message || error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  tick();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  collectDailyMetrics,
+  startMetricsCollector
+};
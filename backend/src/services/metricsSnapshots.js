@@ -0,0 +1,103 @@
+const pool = require('../db');
+
+// Stored content per platform, for rolling post engagement up into daily rows.
+// Engagement is counted on the day a post was created.
+const CONTENT_TABLES = {
+  instagram: {
+    table: 'instagram_media',
+    accountColumn: 'instagram_id',
+    engagement: 'likes_count + comments_count'
+  },
+  twitter: {
+    table: 'twitter_tweets',
+    accountColumn: 'twitter_id',
+    engagement: 'likes_count + retweets_count + replies_count'
+  },
+  linkedin: {
+    table: 'linkedin_posts',
+    accountColumn: 'organization_id',
+    engagement: 'likes_count + comments_count'
+  }
+};
+
+// Upsert one account's metrics for a day (today by default). Metrics left
+// undefined/null keep whatever was already recorded for that day, so each
+// source (profile fetch, insights, stored posts) can fill in its own columns.
+async function recordAccountSnapshot({
+  workspaceId,
+  platform,
+  accountId,
+  date = null,
+  followers = null,
+  engagement = null,
+  impressions = null,
+  postCount = null
+}) {
+  await pool.query(
+    `INSERT INTO account_metrics_daily
+       (workspace_id, platform, account_id, metric_date, followers, engagement, impressions, post_count)
+     VALUES ($1, $2, $3, COALESCE($4::date, CURRENT_DATE), $5, $6, $7, $8)
+     ON CONFLICT (workspace_id, platform, account_id, metric_date)
+     DO UPDATE SET followers = COALESCE(EXCLUDED.followers, account_metrics_daily.followers),
+                   engagement = COALESCE(EXCLUDED.engagement, account_metrics_daily.engagement),
+                   impressions = COALESCE(EXCLUDED.impressions, account_metrics_daily.impressions),
+                   post_count = COALESCE(EXCLUDED.post_count, account_metrics_daily.post_count),
+                   updated_at = NOW()`,
+    [workspaceId, platform, accountId, date, followers, engagement, impressions, postCount]
+  );
+}
+
+// Insight values carry an end_time as an ISO string or a unix timestamp
+function insightDate(endTime) {
+  const date = typeof endTime === 'number' ? new Date(endTime * 1000) : new Date(endTime);
+  return date.toISOString().split('T')[0];
+}
+
+// Record daily snapshot columns from a Graph API insights response, using
+// metricMap to say which insight feeds which column ({ page_fans: 'followers' })
+async function recordInsightSnapshots(workspaceId, platform, accountId, insights, metricMap) {
+  const days = new Map();
+
+  for (const metric of insights) {
+    const column = metricMap[metric.name];
+    if (!column) continue;
+
+    for (const value of metric.values || []) {
+      if (typeof value.value !== 'number') continue;
+
+      const date = insightDate(value.end_time);
+      days.set(date, { ...days.get(date), [column]: value.value });
+    }
+  }
+
+  for (const [date, metrics] of days) {
+    await recordAccountSnapshot({ workspaceId, platform, accountId, date, ...metrics });
+  }
+}
+
+// Recompute daily engagement and post counts from an account's stored posts
+async function refreshContentMetrics(workspaceId, platform, accountId) {
+  const content = CONTENT_TABLES[platform];
+  if (!content) return;
+
+  await pool.query(
+    `INSERT INTO account_metrics_daily (workspace_id, platform, account_id, metric_date, engagement, post_count)
+     SELECT $1, $2::varchar, $3::varchar, created_time::date, SUM(${content.engagement}), COUNT(*)
+     FROM ${content.table}
+     WHERE workspace_id = $1 AND ${content.accountColumn} = $3::varchar AND created_time IS NOT NULL
+     GROUP BY created_time::date
+     ON CONFLICT (workspace_id, platform, account_id, metric_date)
+     DO UPDATE SET engagement = EXCLUDED.engagement,
+                   post_count = EXCLUDED.post_count,
+                   updated_at = NOW()`,
+    [workspaceId, platform, accountId]
+  );
+}
+
+module.exports = {
+  CONTENT_TABLES,
+  insightDate,
+  recordAccountSnapshot,
+  recordInsightSnapshots,
+  refreshContentMetrics
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const pool = require('../db');
+
+// How long a user has to finish the platform's consent screen
+const SESSION_TTL_MINUTES = 10;
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// PKCE S256: the challenge is the base64url SHA-256 of the verifier
+function codeChallengeFor(verifier) {
+  return crypto.createHash('sha256').update(verifier).digest('base64url');
+}
+
+// Start an OAuth flow: store a random state nonce bound to the user and the
+// workspace the account is being connected to, plus a per-flow PKCE verifier.
+// Only the nonce and the challenge leave the server.
+async function createOAuthSession(userId, workspaceId, platform) {
+  const state = randomToken();
+  const codeVerifier = randomToken();
+
+  // Housekeeping: drop flows that were abandoned on the consent screen
+  await pool.query('DELETE FROM oauth_sessions WHERE expires_at < NOW()');
+
+  await pool.query(
+    `INSERT INTO oauth_sessions (state, user_id, workspace_id, platform, code_verifier, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + ($6::int * INTERVAL '1 minute'))`,
+    [state, userId, workspaceId, platform, codeVerifier, SESSION_TTL_MINUTES]
+  );
+
+  return { state, codeChallenge: codeChallengeFor(codeVerifier) };
+}
+
+// Look up and delete the session for a callback's state in one statement, so
+// a state can only ever be redeemed once. Returns null for unknown, expired
+// or wrong-platform states.
+async function consumeOAuthSession(state, platform) {
+  const result = await pool.query(
+    `DELETE FROM oauth_sessions
+     WHERE state = $1 AND platform = $2
+     RETURNING user_id, workspace_id, code_verifier, expires_at > NOW() AS is_valid`,
+    [state, platform]
+  );
+
+  const session = result.rows[0];
+  if (!session || !session.is_valid) return null;
+
+  return { userId: session.user_id, workspaceId: session.workspace_id, codeVerifier: session.code_verifier };
+}
+
+module.exports = {
+  SESSION_TTL_MINUTES,
+  createOAuthSession,
+  consumeOAuthSession
+};
@@ -0,0 +1,249 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+require('dotenv').config();
+
+// Longest we'll hold a request back for a budget before giving up with a 429
+const MAX_WAIT_MS = Number(process.env.RATE_LIMIT_MAX_WAIT_MS) || 10000;
+// Graph API usage (percent of budget) at which we start spacing requests out
+const USAGE_THRESHOLD = Number(process.env.RATE_LIMIT_USAGE_THRESHOLD) || 90;
+// Spacing between requests once a Graph budget is nearly used up
+const SLOWDOWN_SPACING_MS = 2000;
+// Graph usage headers don't say when the budget frees up; it's a rolling hour
+const EXHAUSTED_BLOCK_MS = 5 * 60 * 1000;
+// Twitter: start spacing requests when this share of the window is left
+const TWITTER_RESERVE_RATIO = 0.1;
+
+const PLATFORM_HOSTS = {
+  'graph.facebook.com': 'facebook',
+  'graph-video.facebook.com': 'facebook',
+  'graph.instagram.com': 'instagram',
+  'api.twitter.com': 'twitter',
+  'api.linkedin.com': 'linkedin'
+};
+
+// Graph error codes that mean "throttled", sent with a 400/403 rather than a 429
+const GRAPH_THROTTLE_CODES = [4, 17, 32, 613, 80001, 80002, 80004, 80005, 80006, 80008, 80014];
+
+class RateLimitError extends Error {
+  constructor(platform, retryAfterMs, cause = null) {
+    super(`${platform} rate limit reached; retry in ${Math.ceil(retryAfterMs / 1000)}s`);
+    this.name = 'RateLimitError';
+    this.status = 429;
+    this.platform = platform;
+    this.retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    this.response = cause?.response;
+  }
+}
+
+// =============== BUDGETS ===============
+
+// key -> { blockedUntil, spacingMs, nextSlotAt, expiresAt }. Kept in memory per
+// process: each backend instance throttles its own share of the traffic.
+const budgets = new Map();
+
+function getBudget(key) {
+  if (!budgets.has(key)) {
+    budgets.set(key, { blockedUntil: 0, spacingMs: 0, nextSlotAt: 0, expiresAt: 0 });
+  }
+  return budgets.get(key);
+}
+
+function pruneBudgets(now) {
+  if (budgets.size < 1000) return;
+
+  for (const [key, budget] of budgets) {
+    if (budget.expiresAt < now && budget.blockedUntil < now && budget.nextSlotAt < now) {
+      budgets.delete(key);
+    }
+  }
+}
+
+function tokenHash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex').slice(0, 16);
+}
+
+// Budgets a request counts against: the whole app (Graph app usage), the
+// token, and for Twitter the token on that endpoint
+function budgetKeys(config) {
+  const url = new URL(axios.getUri(config));
+  const platform = PLATFORM_HOSTS[url.hostname];
+  if (!platform) return null;
+
+  const auth = config.headers?.Authorization || config.headers?.authorization;
+  const token = config.params?.access_token || (auth ? String(auth).replace('Bearer ', '') : null);
+  const tokenKey = `${platform}:token:${token ? tokenHash(token) : 'app'}`;
+
+  // Numeric path segments are object IDs; the limit applies to the endpoint
+  const endpoint = `${(config.method || 'get').toUpperCase()} ${url.pathname.replace(/\/\d+(?=\/|$)/g, '/:id')}`;
+
+  return {
+    platform,
+    app: `${platform}:app`,
+    token: tokenKey,
+    endpoint: `${tokenKey}:${endpoint}`
+  };
+}
+
+// =============== HEADERS ===============
+
+function parseJsonHeader(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Graph usage headers report percentages of the budget used so far
+function applyGraphUsage(budget, usage, now, regainMinutes = 0) {
+  if (regainMinutes > 0) {
+    budget.blockedUntil = Math.max(budget.blockedUntil, now + regainMinutes * 60 * 1000);
+  } else if (usage >= 100) {
+    budget.blockedUntil = Math.max(budget.blockedUntil, now + EXHAUSTED_BLOCK_MS);
+  }
+
+  budget.spacingMs = usage >= USAGE_THRESHOLD ? SLOWDOWN_SPACING_MS : 0;
+  budget.expiresAt = now + EXHAUSTED_BLOCK_MS;
+}
+
+function recordRateLimitHeaders(keys, headers = {}, now = Date.now()) {
+  if (keys.platform === 'twitter') {
+    const limit = Number(headers['x-rate-limit-limit']);
+    const remaining = Number(headers['x-rate-limit-remaining']);
+    const resetAt = Number(headers['x-rate-limit-reset']) * 1000;
+    if (isNaN(remaining) || isNaN(resetAt)) return;
+
+    const budget = getBudget(keys.endpoint);
+    const windowLeftMs = Math.max(0, resetAt - now);
+
+    if (remaining <= 0) {
+      budget.blockedUntil = resetAt;
+    }
+    // Near the end of the budget, spread what's left over the rest of the window
+    budget.spacingMs = remaining > 0 && remaining <= limit * TWITTER_RESERVE_RATIO
+      ? Math.ceil(windowLeftMs / remaining)
+      : 0;
+    budget.expiresAt = resetAt;
+    return;
+  }
+
+  const appUsage = parseJsonHeader(headers['x-app-usage']);
+  if (appUsage) {
+    applyGraphUsage(
+      getBudget(keys.app),
+      Math.max(appUsage.call_count || 0, appUsage.total_cputime || 0, appUsage.total_time || 0),
+      now
+    );
+  }
+
+  // { "<business id>": [{ type, call_count, total_cputime, total_time, estimated_time_to_regain_access }] }
+  const businessUsage = parseJsonHeader(headers['x-business-use-case-usage']);
+  if (businessUsage) {
+    const entries = Object.values(businessUsage).flat();
+    applyGraphUsage(
+      getBudget(keys.token),
+      Math.max(0, ...entries.map(entry => Math.max(entry.call_count || 0, entry.total_cputime || 0, entry.total_time || 0))),
+      now,
+      Math.max(0, ...entries.map(entry => entry.estimated_time_to_regain_access || 0))
+    );
+  }
+}
+
+function isThrottled(error) {
+  if (error.response?.status === 429) return true;
+  return GRAPH_THROTTLE_CODES.includes(error.response?.data?.error?.code);
+}
+
+// When a throttled response doesn't say how long to wait, hold off this long
+function throttledDelay(keys, headers, now) {
+  if (headers['retry-after'] && !isNaN(headers['retry-after'])) {
+    return Number(headers['retry-after']) * 1000;
+  }
+  if (headers['x-rate-limit-reset']) {
+    return Math.max(1000, Number(headers['x-rate-limit-reset']) * 1000 - now);
+  }
+
+  const budget = getBudget(keys.platform === 'twitter' ? keys.endpoint : keys.token);
+  return Math.max(EXHAUSTED_BLOCK_MS, budget.blockedUntil - now);
+}
+
+// =============== CLIENT ===============
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Wait for a slot in every budget this request counts against, or throw a
+// RateLimitError when that would take longer than MAX_WAIT_MS
+async function reserveSlot(keys) {
+  const now = Date.now();
+  pruneBudgets(now);
+
+  const relevant = [keys.app, keys.token, keys.endpoint].filter(key => budgets.has(key)).map(getBudget);
+  const readyAt = Math.max(now, ...relevant.map(budget => Math.max(budget.blockedUntil, budget.nextSlotAt)));
+
+  if (readyAt - now > MAX_WAIT_MS) {
+    throw new RateLimitError(keys.platform, readyAt - now);
+  }
+
+  for (const budget of relevant) {
+    if (budget.spacingMs > 0) budget.nextSlotAt = readyAt + budget.spacingMs;
+  }
+
+  if (readyAt > now) await sleep(readyAt - now);
+}
+
+// Shared client for every Facebook, Instagram, Twitter and LinkedIn API call
+const platformClient = axios.create();
+
+platformClient.interceptors.request.use(async (config) => {
+  const keys = budgetKeys(config);
+  if (keys) {
+    await reserveSlot(keys);
+    config.rateLimitKeys = keys;
+  }
+  return config;
+});
+
+platformClient.interceptors.response.use(
+  (response) => {
+    if (response.config.rateLimitKeys) {
+      recordRateLimitHeaders(response.config.rateLimitKeys, response.headers);
+    }
+    return response;
+  },
+  (error) => {
+    const keys = error.config?.rateLimitKeys;
+    if (!keys || !error.response) return Promise.reject(error);
+
+    const now = Date.now();
+    recordRateLimitHeaders(keys, error.response.headers, now);
+
+    if (!isThrottled(error)) return Promise.reject(error);
+
+    const delayMs = throttledDelay(keys, error.response.headers, now);
+    const budget = getBudget(keys.platform === 'twitter' ? keys.endpoint : keys.token);
+    budget.blockedUntil = Math.max(budget.blockedUntil, now + delayMs);
+
+    return Promise.reject(new RateLimitError(keys.platform, delayMs, error));
+  }
+);
+
+// Reply 429 with retryAfter for a RateLimitError; returns false for anything else
+function sendRateLimitError(res, error) {
+  if (!(error instanceof RateLimitError)) return false;
+
+  res.set('Retry-After', String(error.retryAfter));
+  res.status(429).json({
+    error: `${error.platform} rate limit reached, try again later`,
+    platform: error.platform,
+    retryAfter: error.retryAfter
+  });
+  return true;
+}
+
+module.exports = {
+  RateLimitError,
+  platformClient,
+  sendRateLimitError
+};
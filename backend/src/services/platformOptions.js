@@ -0,0 +1,32 @@
+const { getProvider } = require('../providers');
+const { MediaError } = require('./media');
+
+// Turn a request's platformOptions ({ instagram: { format: 'reel', ... } })
+// into what's stored on the post, each platform's options checked by its
+// provider (see resolveOptions in src/providers). null clears the options;
+// undefined stays undefined, for edits that keep the post's options.
+async function resolvePlatformOptions(workspaceId, platformOptions) {
+  if (platformOptions === undefined) return undefined;
+  if (platformOptions === null) return {};
+
+  if (typeof platformOptions !== 'object' || Array.isArray(platformOptions)) {
+    throw new MediaError('platformOptions must be an object keyed by platform');
+  }
+
+  const resolved = {};
+
+  for (const [platform, options] of Object.entries(platformOptions)) {
+    const provider = getProvider(platform);
+    if (!provider) throw new MediaError(`Unsupported platform: ${platform}`);
+    if (options === undefined || options === null) continue;
+
+    if (!provider.resolveOptions) throw new MediaError(`${provider.label} posts have no publishing options`);
+    resolved[platform] = await provider.resolveOptions(workspaceId, options);
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  resolvePlatformOptions
+};
@@ -0,0 +1,243 @@
+const pool = require('../db');
+const { hasRole } = require('../middleware/auth');
+const {
+  ScheduleError,
+  inTransaction,
+  createScheduledPost,
+  refreshPostStatus,
+  listPosts
+} = require('./scheduledPosts');
+const { parseRecurrence, formatRecurrence, expandRecurrence } = require('./recurrence');
+const { zonedParts } = require('../utils/timeZones');
+
+require('dotenv').config();
+
+// How far ahead occurrences of a recurring post are created as scheduled posts
+const HORIZON_DAYS = Number(process.env.RECURRENCE_HORIZON_DAYS) || 30;
+// Most occurrences created for one series in one go
+const MAX_OCCURRENCES_PER_RUN = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Create the series' occurrences that fall between what was created before
+// (or now) and the horizon, marking the series completed once its rule has
+// no more. Occurrences already in the past are never created. Returns how
+// many were created.
+async function expandSeries(client, series) {
+  const rule = parseRecurrence(series.recurrence_rule);
+  const start = zonedParts(new Date(series.starts_at).getTime(), series.time_zone);
+  const until = new Date(Date.now() + HORIZON_DAYS * DAY_MS);
+  const after = new Date(Math.max(Date.now(), series.expanded_until ? new Date(series.expanded_until).getTime() : 0));
+
+  const { occurrences, done } = expandRecurrence(rule, start, series.time_zone, {
+    after,
+    until,
+    limit: MAX_OCCURRENCES_PER_RUN
+  });
+
+  for (const occurrenceTime of occurrences) {
+    await createScheduledPost(series.workspace_id, series.user_id, {
+      content: series.content,
+      scheduledTime: occurrenceTime,
+      timeZone: series.time_zone,
+      mediaUrl: series.media_url,
+      mediaIds: series.media_ids,
+      platformOptions: series.platform_options,
+      targets: series.targets,
+      seriesId: series.id,
+      occurrenceTime
+    }, client);
+  }
+
+  // A capped run picks up after its last occurrence next time
+  const expandedUntil = occurrences.length === MAX_OCCURRENCES_PER_RUN ? occurrences[occurrences.length - 1] : until;
+
+  await client.query(
+    `UPDATE scheduled_post_series
+     SET expanded_until = $2, status = CASE WHEN $3 THEN 'completed' ELSE status END
+     WHERE id = $1`,
+    [series.id, expandedUntil, done]
+  );
+
+  return occurrences.length;
+}
+
+// =============== SERIES ===============
+
+// Start a recurring post. `recurrence` is an RRULE string or object (see
+// parseRecurrence); startsAt is the first occurrence as a UTC instant and
+// timeZone the zone whose local time of day every occurrence keeps. Targets
+// are resolved, as from resolveTargets; mediaIds and platformOptions are as
+// for createScheduledPost.
+async function createPostSeries(workspaceId, userId, {
+  content,
+  mediaUrl,
+  mediaIds = [],
+  platformOptions = {},
+  targets,
+  recurrence,
+  timeZone,
+  startsAt
+}) {
+  const rule = parseRecurrence(recurrence);
+
+  const seriesId = await inTransaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO scheduled_post_series
+         (workspace_id, user_id, content, media_url, media_ids, platform_options, targets, recurrence_rule,
+          time_zone, starts_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        workspaceId, userId, content, mediaUrl, mediaIds, JSON.stringify(platformOptions), JSON.stringify(targets),
+        formatRecurrence(rule), timeZone, startsAt
+      ]
+    );
+    const series = result.rows[0];
+
+    const created = await expandSeries(client, series);
+    const status = await client.query('SELECT status FROM scheduled_post_series WHERE id = $1', [series.id]);
+
+    if (created === 0 && status.rows[0].status === 'completed') {
+      throw new ScheduleError('Recurrence has no occurrences in the future');
+    }
+
+    return series.id;
+  });
+
+  return getSeries(seriesId, workspaceId);
+}
+
+const SERIES_WITH_SUMMARY = `
+  SELECT s.*,
+         (SELECT COUNT(*)::int FROM scheduled_posts p WHERE p.series_id = s.id) AS occurrence_count,
+         (SELECT MIN(p.scheduled_time) FROM scheduled_posts p
+          WHERE p.series_id = s.id AND p.status = 'pending' AND p.scheduled_time > NOW()) AS next_occurrence_time
+  FROM scheduled_post_series s`;
+
+async function listSeries(workspaceId) {
+  const result = await pool.query(
+    `${SERIES_WITH_SUMMARY}
+     WHERE s.workspace_id = $1
+     ORDER BY s.created_at DESC, s.id DESC`,
+    [workspaceId]
+  );
+
+  return result.rows;
+}
+
+// The series with every occurrence created so far; null if it isn't in the workspace
+async function getSeries(seriesId, workspaceId) {
+  const result = await pool.query(
+    `${SERIES_WITH_SUMMARY}
+     WHERE s.id = $1 AND s.workspace_id = $2`,
+    [seriesId, workspaceId]
+  );
+
+  const series = result.rows[0];
+  if (!series) return null;
+
+  series.posts = await listPosts(workspaceId, { seriesId: series.id });
+  return series;
+}
+
+// Stop a series: no more occurrences are created, and upcoming ones that
+// haven't started publishing are cancelled. Only the author or an admin may
+// stop it. Resolves to null if the series isn't in the workspace.
+async function stopSeries(seriesId, workspaceId, { userId, role }) {
+  const cancelled = await inTransaction(async (client) => {
+    const result = await client.query(
+      'SELECT * FROM scheduled_post_series WHERE id = $1 AND workspace_id = $2 FOR UPDATE',
+      [seriesId, workspaceId]
+    );
+
+    const series = result.rows[0];
+    if (!series) return null;
+
+    if (Number(series.user_id) !== Number(userId) && !hasRole(role, 'admin')) {
+      throw new ScheduleError("Only the series' author or an admin can stop it", 403);
+    }
+
+    if (series.status === 'stopped') {
+      throw new ScheduleError('Series was already stopped', 409);
+    }
+
+    await client.query(
+      `UPDATE scheduled_post_series SET status = 'stopped', stopped_at = NOW() WHERE id = $1`,
+      [seriesId]
+    );
+
+    const targets = await client.query(
+      `UPDATE scheduled_post_targets t
+       SET status = 'cancelled', next_retry_at = NULL
+       FROM scheduled_posts p
+       WHERE p.id = t.scheduled_post_id AND p.series_id = $1 AND t.status IN ('pending', 'failed')
+         AND NOT EXISTS (
+           SELECT 1 FROM scheduled_post_targets o
+           WHERE o.scheduled_post_id = p.id AND o.status IN ('publishing', 'published')
+         )
+       RETURNING t.scheduled_post_id`,
+      [seriesId]
+    );
+
+    const postIds = [...new Set(targets.rows.map(row => row.scheduled_post_id))];
+    for (const postId of postIds) {
+      await client.query(
+        `INSERT INTO scheduled_post_events (scheduled_post_id, user_id, action, comment)
+         VALUES ($1, $2, 'cancelled', 'Series stopped')`,
+        [postId, userId]
+      );
+    }
+
+    return postIds;
+  });
+
+  if (!cancelled) return null;
+
+  for (const postId of cancelled) {
+    await refreshPostStatus(postId);
+  }
+
+  return getSeries(seriesId, workspaceId);
+}
+
+// =============== EXTENDING ===============
+
+// Create the next occurrences of every active series whose created ones run
+// out within a day of the horizon. Run periodically by the scheduler.
+async function extendSeries() {
+  const due = await pool.query(
+    `SELECT id FROM scheduled_post_series
+     WHERE status = 'active'
+       AND (expanded_until IS NULL OR expanded_until < NOW() + (($1::int - 1) * INTERVAL '1 day'))`,
+    [HORIZON_DAYS]
+  );
+
+  let created = 0;
+
+  for (const { id } of due.rows) {
+    try {
+      created += await inTransaction(async (client) => {
+        // Lock the series so two workers can't create the same occurrences
+        const result = await client.query(
+          `SELECT * FROM scheduled_post_series WHERE id = $1 AND status = 'active' FOR UPDATE SKIP LOCKED`,
+          [id]
+        );
+
+        return result.rows[0] ? expandSeries(client, result.rows[0]) : 0;
+      });
+    } catch (error) {
+      console.error(`Extend series ${id} error:`, error.message || error);
+    }
+  }
+
+  return created;
+}
+
+module.exports = {
+  createPostSeries,
+  listSeries,
+  getSeries,
+  stopSeries,
+  extendSeries
+};
@@ -0,0 +1,459 @@
+const pool = require('../db');
+const {
+  ScheduleError,
+  inTransaction,
+  requiresApproval,
+  recordEvent,
+  resolveTargets,
+  createScheduledPost,
+  listPosts
+} = require('./scheduledPosts');
+const { WEEKDAYS } = require('./recurrence');
+const { normalizeTimeZone, zonedParts, zonedTimeToUtc } = require('../utils/timeZones');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SLOT_TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// A queue with its weekly slots as [{ day: 'MO', time: '09:00' }] and how many posts wait in it
+const QUEUE_WITH_SLOTS = `
+  SELECT q.*,
+         COALESCE(
+           (SELECT json_agg(json_build_object(
+                      'day', (ARRAY['${WEEKDAYS.join("','")}'])[s.weekday + 1],
+                      'time', to_char(s.slot_time, 'HH24:MI'))
+                    ORDER BY s.weekday, s.slot_time)
+            FROM posting_slots s WHERE s.queue_id = q.id),
+           '[]'
+         ) AS slots,
+         (SELECT COUNT(*)::int FROM scheduled_posts p
+          WHERE p.queue_id = q.id AND p.queue_position IS NOT NULL AND p.status = 'pending') AS queued_count
+  FROM posting_queues q`;
+
+// Check requested slots ({ day, time }), dropping duplicates
+function parseSlots(slots) {
+  if (!Array.isArray(slots)) {
+    throw new ScheduleError('slots must be a list of { day, time }');
+  }
+
+  const parsed = [];
+
+  for (const slot of slots) {
+    const weekday = WEEKDAYS.indexOf(String(slot?.day || '').toUpperCase());
+    if (weekday === -1) {
+      throw new ScheduleError(`Slot day must be one of: ${WEEKDAYS.join(', ')}`);
+    }
+
+    if (!SLOT_TIME_PATTERN.test(String(slot.time || ''))) {
+      throw new ScheduleError('Slot time must be HH:MM (24-hour)');
+    }
+
+    if (!parsed.some(s => s.weekday === weekday && s.time === slot.time)) {
+      parsed.push({ weekday, time: slot.time });
+    }
+  }
+
+  return parsed;
+}
+
+function parseTimeZone(timeZone) {
+  const zone = normalizeTimeZone(timeZone);
+  if (!zone) {
+    throw new ScheduleError('timeZone must be an IANA time zone, e.g. Europe/Berlin');
+  }
+
+  return zone;
+}
+
+async function replaceSlots(client, queueId, slots) {
+  await client.query('DELETE FROM posting_slots WHERE queue_id = $1', [queueId]);
+
+  for (const { weekday, time } of slots) {
+    await client.query(
+      'INSERT INTO posting_slots (queue_id, weekday, slot_time) VALUES ($1, $2, $3)',
+      [queueId, weekday, time]
+    );
+  }
+}
+
+// The next `count` slot times after `after`, as UTC Dates. Slots keep their
+// local time across DST changes; two slots that land on the same instant
+// (one in a skipped hour) count once.
+function upcomingSlotTimes(slots, timeZone, count, after) {
+  if (count > 0 && slots.length === 0) {
+    throw new ScheduleError('The queue has no posting slots', 409);
+  }
+
+  const times = [];
+  const today = zonedParts(after.getTime(), timeZone);
+  let last = after.getTime();
+
+  for (let day = Date.UTC(today.year, today.month - 1, today.day); times.length < count; day += DAY_MS) {
+    const date = new Date(day);
+    const weekday = (date.getUTCDay() + 6) % 7;
+
+    for (const slot of slots.filter(s => s.weekday === weekday)) {
+      const [hour, minute] = slot.time.split(':').map(Number);
+      const at = zonedTimeToUtc({
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour,
+        minute
+      }, timeZone);
+
+      if (at > last) {
+        times.push(new Date(at));
+        last = at;
+        if (times.length === count) break;
+      }
+    }
+  }
+
+  return times;
+}
+
+// Lock the queue against concurrent re-flows; null if it isn't in the workspace
+async function lockQueue(client, workspaceId, queueId) {
+  if (!/^\d+$/.test(String(queueId))) return null;
+
+  const result = await client.query(
+    'SELECT * FROM posting_queues WHERE id = $1 AND workspace_id = $2 FOR UPDATE',
+    [queueId, workspaceId]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Whether a waiting post may be published (see PUBLISHABLE in scheduledPosts)
+function isApproved(post, needsReview) {
+  return post.approval_status === 'approved' || (post.approval_status === 'scheduled' && !needsReview);
+}
+
+// Posts waiting in the queue, in order: nothing attempted yet, and (unless
+// the queue is paused) not already due, since a due post is going out now
+async function waitingPosts(client, queue) {
+  const result = await client.query(
+    `SELECT p.id, p.scheduled_time, p.approval_status
+     FROM scheduled_posts p
+     WHERE p.queue_id = $1 AND p.queue_position IS NOT NULL
+       AND NOT EXISTS (
+         SELECT 1 FROM scheduled_post_targets t
+         WHERE t.scheduled_post_id = p.id AND (t.status <> 'pending' OR t.attempt_count > 0)
+       )
+       AND ($2 OR p.scheduled_time > NOW())
+     ORDER BY p.queue_position, p.id
+     FOR UPDATE OF p`,
+    [queue.id, queue.paused]
+  );
+
+  return result.rows;
+}
+
+// Give the waiting posts the queue's next free slots, in queue order. Only
+// posts that may be published take a slot; drafts and posts in review keep
+// their place in line, parked at 'infinity' until they are approved.
+async function reflow(client, queue) {
+  const slots = await client.query(
+    `SELECT weekday, to_char(slot_time, 'HH24:MI') AS time FROM posting_slots
+     WHERE queue_id = $1
+     ORDER BY weekday, slot_time`,
+    [queue.id]
+  );
+
+  const needsReview = await requiresApproval(queue.workspace_id);
+  const posts = await waitingPosts(client, queue);
+  const slotted = posts.filter(post => isApproved(post, needsReview));
+  const times = upcomingSlotTimes(slots.rows, queue.time_zone, slotted.length, new Date());
+
+  for (const [index, post] of posts.entries()) {
+    const slot = slotted.indexOf(post);
+
+    await client.query(
+      'UPDATE scheduled_posts SET scheduled_time = $2, time_zone = $3, queue_position = $4 WHERE id = $1',
+      [post.id, slot === -1 ? 'infinity' : times[slot], queue.time_zone, index + 1]
+    );
+  }
+}
+
+// =============== QUEUES ===============
+
+async function listQueues(workspaceId) {
+  const result = await pool.query(
+    `${QUEUE_WITH_SLOTS}
+     WHERE q.workspace_id = $1
+     ORDER BY q.platform, q.account_id`,
+    [workspaceId]
+  );
+
+  return result.rows;
+}
+
+// The queue with its waiting posts in publishing order; null if it isn't in the workspace
+async function getQueue(workspaceId, queueId) {
+  if (!/^\d+$/.test(String(queueId))) return null;
+
+  const result = await pool.query(
+    `${QUEUE_WITH_SLOTS}
+     WHERE q.workspace_id = $1 AND q.id = $2`,
+    [workspaceId, queueId]
+  );
+
+  const queue = result.rows[0];
+  if (!queue) return null;
+
+  const posts = await listPosts(workspaceId, { queueId: queue.id });
+  queue.posts = posts.filter(post => post.queue_position !== null && post.status === 'pending');
+  return queue;
+}
+
+// { platform, accountId, timeZone, slots: [{ day, time }] } — without an
+// accountId the queue is for the platform's selected account
+async function createQueue(workspaceId, { platform, accountId = null, timeZone = 'UTC', slots = [] } = {}) {
+  const zone = parseTimeZone(timeZone);
+  const parsed = parseSlots(slots);
+  const [target] = await resolveTargets(workspaceId, [{ platform, accountId }]);
+
+  const queueId = await inTransaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO posting_queues (workspace_id, platform, account_id, time_zone)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (workspace_id, platform, account_id) DO NOTHING
+       RETURNING id`,
+      [workspaceId, target.platform, target.accountId, zone]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ScheduleError(`${platform} account ${target.accountId} already has a queue`, 409);
+    }
+
+    await replaceSlots(client, result.rows[0].id, parsed);
+    return result.rows[0].id;
+  });
+
+  return getQueue(workspaceId, queueId);
+}
+
+// Change the queue's time zone and/or replace its slots; waiting posts move
+// to the new slots. Omitted fields are left alone.
+async function updateQueue(workspaceId, queueId, { timeZone, slots } = {}) {
+  const zone = timeZone === undefined ? null : parseTimeZone(timeZone);
+  const parsed = slots === undefined ? null : parseSlots(slots);
+
+  const found = await inTransaction(async (client) => {
+    const queue = await lockQueue(client, workspaceId, queueId);
+    if (!queue) return false;
+
+    if (zone) {
+      queue.time_zone = zone;
+      await client.query('UPDATE posting_queues SET time_zone = $2, updated_at = NOW() WHERE id = $1', [queueId, zone]);
+    }
+
+    if (parsed) {
+      await replaceSlots(client, queueId, parsed);
+      await client.query('UPDATE posting_queues SET updated_at = NOW() WHERE id = $1', [queueId]);
+    }
+
+    await reflow(client, queue);
+    return true;
+  });
+
+  return found ? getQueue(workspaceId, queueId) : null;
+}
+
+// Delete the queue. Waiting posts with a slot stay scheduled at it; drafts
+// and posts in review, parked without one, go back to being plain drafts
+// (timed for now) to be given a time and submitted again.
+async function deleteQueue(workspaceId, userId, queueId) {
+  return inTransaction(async (client) => {
+    const queue = await lockQueue(client, workspaceId, queueId);
+    if (!queue) return false;
+
+    const parked = await client.query(
+      `SELECT id, approval_status FROM scheduled_posts
+       WHERE queue_id = $1 AND queue_position IS NOT NULL AND scheduled_time = 'infinity'
+       FOR UPDATE`,
+      [queueId]
+    );
+
+    for (const post of parked.rows) {
+      await client.query(
+        `UPDATE scheduled_posts SET approval_status = 'draft', scheduled_time = NOW() WHERE id = $1`,
+        [post.id]
+      );
+      await recordEvent(client, post.id, userId, 'unqueued', {
+        from: post.approval_status,
+        to: 'draft',
+        comment: 'Queue deleted'
+      });
+    }
+
+    await client.query('UPDATE scheduled_posts SET queue_position = NULL WHERE queue_id = $1', [queueId]);
+    await client.query('DELETE FROM posting_queues WHERE id = $1', [queueId]);
+    return true;
+  });
+}
+
+// Pausing holds every waiting post, including ones already due. Resuming
+// re-flows them into slots from now on, so they don't all go out at once.
+async function setQueuePaused(workspaceId, queueId, paused) {
+  const found = await inTransaction(async (client) => {
+    const queue = await lockQueue(client, workspaceId, queueId);
+    if (!queue) return false;
+
+    if (queue.paused === paused) {
+      throw new ScheduleError(`Queue is already ${paused ? 'paused' : 'running'}`, 409);
+    }
+
+    if (!paused) {
+      await reflow(client, queue);
+    }
+
+    await client.query(
+      `UPDATE posting_queues SET paused = $2, paused_at = CASE WHEN $2 THEN NOW() END, updated_at = NOW()
+       WHERE id = $1`,
+      [queueId, paused]
+    );
+    return true;
+  });
+
+  return found ? getQueue(workspaceId, queueId) : null;
+}
+
+// Re-flow the queue after a waiting post was edited, reviewed, cancelled or removed
+async function refreshQueue(workspaceId, queueId) {
+  await inTransaction(async (client) => {
+    const queue = await lockQueue(client, workspaceId, queueId);
+    if (queue) await reflow(client, queue);
+  });
+}
+
+// Re-flow all of the workspace's queues, after required approval was turned
+// on or off changed which of their posts may take a slot
+async function refreshWorkspaceQueues(workspaceId) {
+  const queues = await pool.query('SELECT id FROM posting_queues WHERE workspace_id = $1', [workspaceId]);
+
+  for (const queue of queues.rows) {
+    await refreshQueue(workspaceId, queue.id);
+  }
+}
+
+// =============== QUEUED POSTS ===============
+
+// Add a post to the end of the queue, in its next free slot. Resolves to
+// null if the queue isn't in the workspace.
+async function addToQueue(workspaceId, userId, queueId, {
+  content,
+  mediaUrl = null,
+  mediaIds = [],
+  platformOptions = {},
+  draft = false
+}) {
+  const postId = await inTransaction(async (client) => {
+    const queue = await lockQueue(client, workspaceId, queueId);
+    if (!queue) return null;
+
+    const last = await client.query(
+      'SELECT COALESCE(MAX(queue_position), 0) AS position FROM scheduled_posts WHERE queue_id = $1',
+      [queueId]
+    );
+
+    // Parked at 'infinity' until the re-flow below gives it a slot
+    const post = await createScheduledPost(workspaceId, userId, {
+      content,
+      scheduledTime: 'infinity',
+      timeZone: queue.time_zone,
+      mediaUrl,
+      mediaIds,
+      platformOptions,
+      targets: [{ platform: queue.platform, accountId: queue.account_id }],
+      draft,
+      queueId,
+      queuePosition: last.rows[0].position + 1
+    }, client);
+
+    await reflow(client, queue);
+    return post.id;
+  });
+
+  return postId ? getQueue(workspaceId, queueId) : null;
+}
+
+// Reorder the queue: postIds lists every waiting post in its new order, and
+// the slots are handed out again in that order
+async function reorderQueue(workspaceId, queueId, postIds) {
+  if (!Array.isArray(postIds)) {
+    throw new ScheduleError('postIds must be a list of post IDs');
+  }
+
+  const found = await inTransaction(async (client) => {
+    const queue = await lockQueue(client, workspaceId, queueId);
+    if (!queue) return false;
+
+    const waiting = (await waitingPosts(client, queue)).map(post => post.id);
+    const requested = postIds.map(Number);
+
+    if (requested.length !== waiting.length || new Set(requested).size !== requested.length ||
+        requested.some(id => !waiting.includes(id))) {
+      throw new ScheduleError('postIds must list every post waiting in the queue, once each');
+    }
+
+    for (const [index, postId] of requested.entries()) {
+      await client.query('UPDATE scheduled_posts SET queue_position = $2 WHERE id = $1', [postId, index + 1]);
+    }
+
+    await reflow(client, queue);
+    return true;
+  });
+
+  return found ? getQueue(workspaceId, queueId) : null;
+}
+
+// Take a waiting post out of the queue and publish it now; the posts behind
+// it move up a slot. The post still needs approval where the workspace
+// requires it. Resolves to null if the queue or post isn't found.
+async function postNow(workspaceId, userId, queueId, postId) {
+  const needsReview = await requiresApproval(workspaceId);
+
+  const found = await inTransaction(async (client) => {
+    const queue = await lockQueue(client, workspaceId, queueId);
+    if (!queue) return false;
+
+    const post = (await waitingPosts(client, { ...queue, paused: true })).find(p => p.id === Number(postId));
+    if (!post) return false;
+
+    if (!isApproved(post, needsReview)) {
+      throw new ScheduleError('Post has not been approved for publishing', 409);
+    }
+
+    await client.query(
+      `UPDATE scheduled_posts
+       SET scheduled_time = NOW(), queue_id = NULL, queue_position = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [post.id]
+    );
+    await client.query(
+      `INSERT INTO scheduled_post_events (scheduled_post_id, user_id, action, comment)
+       VALUES ($1, $2, 'posted_now', 'Taken out of the queue to publish now')`,
+      [post.id, userId]
+    );
+
+    await reflow(client, queue);
+    return true;
+  });
+
+  return found ? getQueue(workspaceId, queueId) : null;
+}
+
+module.exports = {
+  listQueues,
+  getQueue,
+  createQueue,
+  updateQueue,
+  deleteQueue,
+  setQueuePaused,
+  refreshQueue,
+  refreshWorkspaceQueues,
+  addToQueue,
+  reorderQueue,
+  postNow
+};
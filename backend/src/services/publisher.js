@@ -0,0 +1,37 @@
+const pool = require('../db');
+const { decryptTokens } = require('../utils/tokenCrypto');
+const { getProvider } = require('../providers');
+const { loadMediaFiles } = require('./media');
+
+// =============== SCHEDULED POST DISPATCH ===============
+
+// Publish one claimed scheduled_post_targets row (joined with its post's
+// content and media) through its platform's provider; resolves to the
+// external post ID. Posts still waiting on approval are refused even if claimed.
+// Providers that publish in steps get back the state they last saved on the
+// target (see PublishPendingError).
+async function publishTarget(target) {
+  if (target.publishable === false) throw new Error('Post has not been approved for publishing');
+
+  const provider = getProvider(target.platform);
+  if (!provider) throw new Error(`Unsupported platform: ${target.platform}`);
+
+  const { table, idColumn, noun } = provider.accounts;
+  const result = await pool.query(
+    `SELECT * FROM ${table} WHERE workspace_id = $1 AND ${idColumn} = $2`,
+    [target.workspace_id, target.account_id]
+  );
+  if (result.rows.length === 0) throw new Error(`${provider.label} ${noun} not found`);
+
+  return provider.publish(decryptTokens(result.rows[0]), {
+    content: target.content,
+    mediaUrl: target.media_url,
+    media: await loadMediaFiles(target.workspace_id, target.media_ids),
+    options: target.platform_options?.[target.platform] || {},
+    state: target.publish_state
+  });
+}
+
+module.exports = {
+  publishTarget
+};
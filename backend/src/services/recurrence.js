@@ -0,0 +1,238 @@
+const { ScheduleError } = require('./scheduledPosts');
+const { zonedParts, zonedTimeToUtc } = require('../utils/timeZones');
+
+// The supported subset of RFC 5545 recurrence rules:
+//   FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (weekly, plain weekdays),
+//   BYMONTHDAY (monthly, -1 for the last day), and COUNT or UNTIL
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const MAX_INTERVAL = 99;
+const MAX_COUNT = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNTIL_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/;
+
+function ruleError(message) {
+  return new ScheduleError(`Invalid recurrence: ${message}`);
+}
+
+function parseInteger(value, name, min, max) {
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw ruleError(`${name} must be a whole number from ${min} to ${max}`);
+  }
+
+  return number;
+}
+
+function listOf(value) {
+  if (Array.isArray(value)) return value;
+  return String(value).split(',');
+}
+
+// UNTIL as given in an RRULE (20261231 or 20261231T170000Z) or in a
+// recurrence object (2026-12-31 or an ISO time in UTC)
+function parseUntil(value) {
+  const compact = String(value).trim().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const match = UNTIL_PATTERN.exec(compact);
+  if (!match) {
+    throw ruleError('UNTIL must be a date (YYYY-MM-DD) or a UTC time');
+  }
+
+  const [year, month, day] = match.slice(1, 4).map(Number);
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    throw ruleError('UNTIL is not a valid date');
+  }
+
+  return compact;
+}
+
+// Read a rule given as an RRULE string ("FREQ=WEEKLY;BYDAY=MO,WE") or as
+// { frequency, interval, byDay, byMonthDay, count, until }. Throws a
+// ScheduleError for anything outside the supported subset.
+function parseRecurrence(input) {
+  let parts;
+
+  if (typeof input === 'string') {
+    parts = {};
+    for (const part of input.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+      const [key, value] = part.split('=');
+      if (!key || value === undefined) throw ruleError(`can't read "${part}"`);
+      parts[key.trim().toUpperCase()] = value.trim();
+    }
+  } else if (input && typeof input === 'object') {
+    const keys = { frequency: 'FREQ', interval: 'INTERVAL', byDay: 'BYDAY', byMonthDay: 'BYMONTHDAY', count: 'COUNT', until: 'UNTIL' };
+    parts = {};
+    for (const [key, value] of Object.entries(input)) {
+      if (value === undefined || value === null) continue;
+      parts[keys[key] || key] = value;
+    }
+  } else {
+    throw ruleError('give an RRULE string or a { frequency } object');
+  }
+
+  const unsupported = Object.keys(parts).filter(key => !['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'COUNT', 'UNTIL'].includes(key));
+  if (unsupported.length > 0) {
+    throw ruleError(`${unsupported.join(', ')} is not supported`);
+  }
+
+  const frequency = String(parts.FREQ || '').toUpperCase();
+  if (!FREQUENCIES.includes(frequency)) {
+    throw ruleError(`FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  const rule = {
+    frequency,
+    interval: parts.INTERVAL === undefined ? 1 : parseInteger(parts.INTERVAL, 'INTERVAL', 1, MAX_INTERVAL),
+    byDay: [],
+    byMonthDay: [],
+    count: parts.COUNT === undefined ? null : parseInteger(parts.COUNT, 'COUNT', 1, MAX_COUNT),
+    until: parts.UNTIL === undefined ? null : parseUntil(parts.UNTIL)
+  };
+
+  if (rule.count && rule.until) {
+    throw ruleError('give COUNT or UNTIL, not both');
+  }
+
+  if (parts.BYDAY !== undefined) {
+    if (frequency !== 'WEEKLY') throw ruleError('BYDAY is only supported with FREQ=WEEKLY');
+
+    rule.byDay = [...new Set(listOf(parts.BYDAY).map(day => String(day).trim().toUpperCase()))];
+    if (rule.byDay.length === 0 || rule.byDay.some(day => !WEEKDAYS.includes(day))) {
+      throw ruleError(`BYDAY must list days from: ${WEEKDAYS.join(', ')}`);
+    }
+    rule.byDay.sort((a, b) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b));
+  }
+
+  if (parts.BYMONTHDAY !== undefined) {
+    if (frequency !== 'MONTHLY') throw ruleError('BYMONTHDAY is only supported with FREQ=MONTHLY');
+
+    rule.byMonthDay = [...new Set(listOf(parts.BYMONTHDAY).map(day => parseInteger(day, 'BYMONTHDAY', -31, 31)))];
+    if (rule.byMonthDay.includes(0)) throw ruleError('BYMONTHDAY can\'t be 0');
+  }
+
+  return rule;
+}
+
+// The rule as a canonical RRULE string, for storing
+function formatRecurrence(rule) {
+  const parts = [`FREQ=${rule.frequency}`];
+
+  if (rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until}`);
+
+  return parts.join(';');
+}
+
+function dayFields(dayMs) {
+  const date = new Date(dayMs);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+// Calendar days the rule falls on, from the start day up to lastDay, in
+// order. As with RFC 5545's DTSTART, the start day is always the first one,
+// even when the rule wouldn't pick it (a Tuesday start for BYDAY=MO,WE).
+// Days are handled as UTC midnights so that no zone can shift them.
+function* ruleDays(rule, start, lastDay) {
+  const startDay = Date.UTC(start.year, start.month - 1, start.day);
+  if (startDay > lastDay) return;
+
+  yield dayFields(startDay);
+
+  if (rule.frequency === 'DAILY') {
+    for (let day = startDay + rule.interval * DAY_MS; day <= lastDay; day += rule.interval * DAY_MS) {
+      yield dayFields(day);
+    }
+    return;
+  }
+
+  if (rule.frequency === 'WEEKLY') {
+    // Weeks start on Monday; with no BYDAY the post repeats on the start's weekday
+    const startWeekday = (new Date(startDay).getUTCDay() + 6) % 7;
+    const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => WEEKDAYS.indexOf(day)) : [startWeekday];
+
+    for (let week = startDay - startWeekday * DAY_MS; week <= lastDay; week += rule.interval * 7 * DAY_MS) {
+      for (const weekday of weekdays) {
+        const day = week + weekday * DAY_MS;
+        if (day > startDay && day <= lastDay) yield dayFields(day);
+      }
+    }
+    return;
+  }
+
+  // Monthly: months without the day (e.g. the 31st) are skipped
+  const monthDays = rule.byMonthDay.length > 0 ? rule.byMonthDay : [start.day];
+
+  for (let offset = 0; ; offset += rule.interval) {
+    const monthStart = Date.UTC(start.year, start.month - 1 + offset, 1);
+    if (monthStart > lastDay) return;
+
+    const { year, month } = dayFields(monthStart);
+    const length = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const days = [...new Set(monthDays.map(day => (day > 0 ? day : length + 1 + day)))]
+      .filter(day => day >= 1 && day <= length)
+      .sort((a, b) => a - b);
+
+    for (const dayOfMonth of days) {
+      const day = Date.UTC(year, month - 1, dayOfMonth);
+      if (day > startDay && day <= lastDay) yield dayFields(day);
+    }
+  }
+}
+
+// The last local day and (for a UTC UNTIL) the last instant the rule allows
+function ruleEnd(rule, timeZone) {
+  if (!rule.until) return { lastDay: Infinity, lastTime: Infinity };
+
+  const [year, month, day, hour, minute, second] = UNTIL_PATTERN.exec(rule.until).slice(1).map(Number);
+
+  // A date: every occurrence on that day (in the zone) is included
+  if (rule.until.length === 8) return { lastDay: Date.UTC(year, month - 1, day), lastTime: Infinity };
+
+  const lastTime = Date.UTC(year, month - 1, day, hour, minute, second);
+  const local = zonedParts(lastTime, timeZone);
+  return { lastDay: Date.UTC(local.year, local.month - 1, local.day), lastTime };
+}
+
+// Occurrences of the rule starting at a wall-clock time in the zone: each one
+// keeps that local time of day, whatever the UTC offset is on the day. The
+// start is the first occurrence and COUNT includes it; only occurrences after `after` and up to `until`
+// (Dates) are returned, at most `limit` of them. `done` is true once the rule
+// has nothing left after the returned occurrences.
+function expandRecurrence(rule, start, timeZone, { after, until, limit }) {
+  const windowEnd = zonedParts(until.getTime(), timeZone);
+  const windowDay = Date.UTC(windowEnd.year, windowEnd.month - 1, windowEnd.day);
+  const { lastDay, lastTime } = ruleEnd(rule, timeZone);
+
+  const occurrences = [];
+  let index = 0;
+
+  for (const day of ruleDays(rule, start, Math.min(windowDay, lastDay))) {
+    if (rule.count && index >= rule.count) break;
+
+    const at = zonedTimeToUtc({ ...day, hour: start.hour, minute: start.minute, second: start.second }, timeZone);
+    if (at > lastTime) return { occurrences, done: true };
+    if (at > until.getTime()) return { occurrences, done: false };
+
+    index++;
+    if (at <= after.getTime()) continue;
+
+    if (occurrences.length === limit) return { occurrences, done: false };
+    occurrences.push(new Date(at));
+  }
+
+  // Out of days: finished if COUNT was reached or the rule's UNTIL was, not just the window
+  return { occurrences, done: Boolean(rule.count && index >= rule.count) || lastDay <= windowDay };
+}
+
+module.exports = {
+  WEEKDAYS,
+  parseRecurrence,
+  formatRecurrence,
+  expandRecurrence
+};
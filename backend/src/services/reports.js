@@ -0,0 +1,108 @@
+const pool = require('../db');
+const { brandFilter } = require('./brands');
+
+const REPORT_PLATFORMS = ['facebook', 'instagram', 'twitter', 'linkedin'];
+
+// Stored content per platform, mapped onto one row shape for ranking
+const CONTENT_SOURCES = {
+  facebook: `
+    SELECT 'facebook' AS platform, page_id AS account_id, post_id, message AS text,
+           COALESCE(media_type, 'TEXT') AS media_type, permalink_url,
+           likes_count AS likes, comments_count AS comments, shares_count AS shares, 0 AS replies,
+           created_time
+    FROM facebook_posts WHERE workspace_id = $1`,
+  instagram: `
+    SELECT 'instagram' AS platform, instagram_id AS account_id, media_id AS post_id, caption AS text,
+           COALESCE(media_type, 'IMAGE') AS media_type, NULL AS permalink_url,
+           likes_count AS likes, comments_count AS comments, 0 AS shares, 0 AS replies,
+           created_time
+    FROM instagram_media WHERE workspace_id = $1`,
+  twitter: `
+    SELECT 'twitter' AS platform, twitter_id AS account_id, tweet_id AS post_id, text,
+           'TEXT' AS media_type, 'https://twitter.com/i/web/status/' || tweet_id AS permalink_url,
+           likes_count AS likes, 0 AS comments, retweets_count AS shares, replies_count AS replies,
+           created_time
+    FROM twitter_tweets WHERE workspace_id = $1`,
+  linkedin: `
+    SELECT 'linkedin' AS platform, organization_id AS account_id, post_id, text,
+           COALESCE(media_type, 'TEXT') AS media_type, 'https://www.linkedin.com/feed/update/' || post_id AS permalink_url,
+           likes_count AS likes, comments_count AS comments, 0 AS shares, 0 AS replies,
+           created_time
+    FROM linkedin_posts WHERE workspace_id = $1`
+};
+
+// Rank stored posts by engagement rate: engagement as a percentage of the
+// account's followers when the post went out. Followers come from the daily
+// snapshot closest to the posting date, preferring the last one on or before
+// it; posts with no follower history rank after everything else.
+async function getTopContent(workspaceId, { platforms, from, to, mediaType = null, hashtag = null, brandId = null, limit }) {
+  const params = [workspaceId, from, to];
+  const filters = ['c.created_time::date BETWEEN $2 AND $3'];
+
+  if (brandId) {
+    params.push(brandId);
+    filters.push(brandFilter('c.platform', 'c.account_id', params.length));
+  }
+
+  if (mediaType) {
+    params.push(mediaType);
+    filters.push(`UPPER(c.media_type) = UPPER($${params.length})`);
+  }
+
+  if (hashtag) {
+    params.push(`#${hashtag}\\M`);
+    filters.push(`c.text ~* $${params.length}`);
+  }
+
+  params.push(limit);
+
+  const result = await pool.query(
+    `WITH content AS (
+       ${platforms.map(platform => CONTENT_SOURCES[platform]).join('\n       UNION ALL\n')}
+     ),
+     scored AS (
+       SELECT c.*, c.likes + c.comments + c.shares + c.replies AS engagement, f.followers
+       FROM content c
+       LEFT JOIN LATERAL (
+         SELECT m.followers
+         FROM account_metrics_daily m
+         WHERE m.workspace_id = $1 AND m.platform = c.platform AND m.account_id = c.account_id
+           AND m.followers IS NOT NULL
+         ORDER BY m.metric_date > c.created_time::date, ABS(m.metric_date - c.created_time::date)
+         LIMIT 1
+       ) f ON TRUE
+       WHERE ${filters.join(' AND ')}
+     )
+     SELECT *, ROUND(engagement * 100.0 / NULLIF(followers, 0), 4) AS engagement_rate
+     FROM scored
+     ORDER BY engagement_rate DESC NULLS LAST, engagement DESC, created_time DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  return result.rows.map((row, index) => ({
+    rank: index + 1,
+    platform: row.platform,
+    accountId: row.account_id,
+    postId: row.post_id,
+    text: row.text,
+    mediaType: row.media_type,
+    permalinkUrl: row.permalink_url,
+    createdTime: row.created_time,
+    followersAtPosting: row.followers,
+    engagement: row.engagement,
+    engagementRate: row.engagement_rate === null ? null : Number(row.engagement_rate),
+    breakdown: {
+      likes: row.likes,
+      comments: row.comments,
+      shares: row.shares,
+      replies: row.replies
+    }
+  }));
+}
+
+module.exports = {
+  CONTENT_SOURCES,
+  REPORT_PLATFORMS,
+  getTopContent
+};
@@ -0,0 +1,66 @@
+const { RateLimitError } = require('./platformClient');
+
+require('dotenv').config();
+
+const MAX_ATTEMPTS = Number(process.env.PUBLISH_MAX_ATTEMPTS) || 5;
+const BASE_DELAY_MS = Number(process.env.PUBLISH_RETRY_BASE_MS) || 60 * 1000;
+const MAX_DELAY_MS = Number(process.env.PUBLISH_RETRY_MAX_MS) || 60 * 60 * 1000;
+
+// Thrown by a provider's publish when the post is under way but can't be
+// finished yet (a video Instagram or Twitter is still processing). state is
+// saved on the target and handed back to publish once retryAfterMs has passed.
+class PublishPendingError extends Error {
+  constructor(state, retryAfterMs) {
+    super('Publishing is waiting on the platform');
+    this.name = 'PublishPendingError';
+    this.state = state;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Network failures, rate limiting and platform 5xx are worth retrying;
+// anything else (bad token, invalid content, missing account) will fail again
+function isTransientError(error) {
+  if (error instanceof RateLimitError) return true;
+  if (!error.isAxiosError) return false;
+  if (!error.response) return true;
+
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+}
+
+// Exponential backoff with up to 20% jitter so retries from a burst of
+// failures don't all land at the same moment. Honors Retry-After and
+// Twitter's x-rate-limit-reset when the platform tells us how long to wait,
+// and our own client's estimate when it held the request back.
+function getRetryDelay(attempt, error) {
+  if (error instanceof RateLimitError) {
+    return error.retryAfter * 1000;
+  }
+
+  const headers = error?.response?.headers || {};
+
+  if (headers['retry-after'] && !isNaN(headers['retry-after'])) {
+    return Number(headers['retry-after']) * 1000;
+  }
+
+  if (headers['x-rate-limit-reset']) {
+    const resetMs = Number(headers['x-rate-limit-reset']) * 1000 - Date.now();
+    if (resetMs > 0) return resetMs;
+  }
+
+  const delay = Math.min(BASE_DELAY_MS * 2 ** (attempt - 1), MAX_DELAY_MS);
+  return Math.round(delay * (1 + Math.random() * 0.2));
+}
+
+function shouldRetry(attempt, error) {
+  return attempt < MAX_ATTEMPTS && isTransientError(error);
+}
+
+module.exports = {
+  PublishPendingError,
+  MAX_ATTEMPTS,
+  isTransientError,
+  getRetryDelay,
+  shouldRetry
+};
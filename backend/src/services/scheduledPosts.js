@@ -0,0 +1,805 @@
+const { isDeepStrictEqual } = require('util');
+const pool = require('../db');
+const { shouldRetry, getRetryDelay } = require('./retryPolicy');
+const { getProvider } = require('../providers');
+const { hasRole } = require('../middleware/auth');
+
+// Raised for requests that can't be scheduled as asked; carries the HTTP status
+class ScheduleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.status = status;
+  }
+}
+
+// Review states. A post goes draft -> in_review -> approved (or rejected, and
+// back to in_review when resubmitted). Where the workspace doesn't require
+// approval, submitting skips review and the post is 'scheduled' straight away.
+const APPROVAL_STATES = ['draft', 'in_review', 'approved', 'rejected', 'scheduled'];
+
+// SQL condition (on scheduled_posts p) for posts the publisher may send:
+// approved (or needing no approval) and not waiting in a paused queue
+const PUBLISHABLE = `((p.approval_status = 'approved' OR (p.approval_status = 'scheduled'
+  AND NOT (SELECT require_approval FROM workspaces w WHERE w.id = p.workspace_id)))
+  AND NOT EXISTS (SELECT 1 FROM posting_queues q WHERE q.id = p.queue_id AND q.paused))`;
+
+// A claim older than this belongs to a worker that died mid-publish (media
+// processing isn't waited on inside a publish, see PublishPendingError)
+const STALE_CLAIM_MINUTES = Number(process.env.SCHEDULER_STALE_CLAIM_MINUTES) || 15;
+
+// Columns a worker needs to publish a target, joined from its parent post
+const TARGET_WITH_POST = `
+  t.*, p.workspace_id, p.content, p.media_url, p.media_ids, p.platform_options, ${PUBLISHABLE} AS publishable`;
+
+async function inTransaction(fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function requiresApproval(workspaceId) {
+  const result = await pool.query('SELECT require_approval FROM workspaces WHERE id = $1', [workspaceId]);
+  return result.rows[0]?.require_approval === true;
+}
+
+async function recordEvent(db, postId, userId, action, { from = null, to = null, comment = null } = {}) {
+  await db.query(
+    `INSERT INTO scheduled_post_events (scheduled_post_id, user_id, action, from_status, to_status, comment)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [postId, userId, action, from, to, comment]
+  );
+}
+
+// Snapshot the post as it is now as its next revision
+async function recordRevision(db, postId, userId, changedFields) {
+  await db.query(
+    `INSERT INTO scheduled_post_revisions
+       (scheduled_post_id, revision, user_id, content, scheduled_time, time_zone, media_url, media_ids,
+        platform_options, targets, changed_fields)
+     SELECT p.id,
+            COALESCE((SELECT MAX(revision) FROM scheduled_post_revisions r WHERE r.scheduled_post_id = p.id), 0) + 1,
+            $2, p.content, p.scheduled_time, p.time_zone, p.media_url, p.media_ids, p.platform_options,
+            COALESCE(
+              (SELECT json_agg(json_build_object('platform', t.platform, 'accountId', t.account_id) ORDER BY t.id)
+               FROM scheduled_post_targets t WHERE t.scheduled_post_id = p.id),
+              '[]'
+            ),
+            $3
+     FROM scheduled_posts p
+     WHERE p.id = $1`,
+    [postId, userId, changedFields]
+  );
+}
+
+// =============== CREATING POSTS ===============
+
+// Turn requested targets ({ platform, accountId }) into stored account IDs.
+// A target without an accountId goes to that platform's selected account.
+async function resolveTargets(workspaceId, requested) {
+  const targets = [];
+
+  for (const { platform, accountId = null } of requested) {
+    const accounts = getProvider(platform)?.accounts;
+    if (!accounts) {
+      throw new ScheduleError(`Unsupported platform: ${platform}`);
+    }
+
+    const result = accountId
+      ? await pool.query(
+          `SELECT ${accounts.idColumn} AS id FROM ${accounts.table} WHERE workspace_id = $1 AND ${accounts.idColumn} = $2`,
+          [workspaceId, accountId]
+        )
+      : await pool.query(
+          `SELECT ${accounts.idColumn} AS id FROM ${accounts.table} WHERE workspace_id = $1 AND is_selected = TRUE LIMIT 1`,
+          [workspaceId]
+        );
+
+    if (result.rows.length === 0) {
+      throw new ScheduleError(`No ${platform} account selected`);
+    }
+
+    if (!targets.some(t => t.platform === platform && t.accountId === result.rows[0].id)) {
+      targets.push({ platform, accountId: result.rows[0].id });
+    }
+  }
+
+  return targets;
+}
+
+// Insert a post and one target row per platform account in a single transaction.
+// The post belongs to the workspace; userId records who wrote it. Drafts wait
+// for a submit; other posts go to review if the workspace requires approval.
+// scheduledTime is the UTC instant and timeZone the author's IANA zone; series
+// occurrences also pass their seriesId and occurrenceTime, and queued posts
+// their queueId and queuePosition. mediaIds lists attached media library
+// files, mediaUrl being the first one's URL, and platformOptions the
+// per-platform publishing options (see resolvePlatformOptions). Posts an
+// admin is already publishing pass preapproved to skip review. Pass a
+// client to join an open transaction.
+async function createScheduledPost(workspaceId, userId, {
+  content,
+  scheduledTime,
+  timeZone = 'UTC',
+  mediaUrl,
+  mediaIds = [],
+  platformOptions = {},
+  targets,
+  draft = false,
+  seriesId = null,
+  occurrenceTime = null,
+  queueId = null,
+  queuePosition = null,
+  preapproved = false
+}, client = null) {
+  const approvalStatus = draft
+    ? 'draft'
+    : (preapproved ? 'approved' : (await requiresApproval(workspaceId) ? 'in_review' : 'scheduled'));
+
+  const create = async (db) => {
+    const postResult = await db.query(
+      `INSERT INTO scheduled_posts
+         (workspace_id, user_id, content, scheduled_time, time_zone, media_url, media_ids, platform_options,
+          status, approval_status, series_id, occurrence_time, queue_id, queue_position)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending', $9, $10, $11, $12, $13) RETURNING *`,
+      [
+        workspaceId, userId, content, scheduledTime, timeZone, mediaUrl, mediaIds, JSON.stringify(platformOptions),
+        approvalStatus, seriesId, occurrenceTime, queueId, queuePosition
+      ]
+    );
+    const post = postResult.rows[0];
+
+    await recordEvent(db, post.id, userId, 'created', { to: approvalStatus });
+
+    post.targets = [];
+    for (const target of targets) {
+      const targetResult = await db.query(
+        `INSERT INTO scheduled_post_targets (scheduled_post_id, platform, account_id)
+         VALUES ($1, $2, $3) RETURNING *`,
+        [post.id, target.platform, target.accountId]
+      );
+      post.targets.push(targetResult.rows[0]);
+    }
+
+    await recordRevision(db, post.id, userId, []);
+    return post;
+  };
+
+  return client ? create(client) : inTransaction(create);
+}
+
+// =============== CLAIMING TARGETS ===============
+
+// Claim due pending targets for publishing. FOR UPDATE SKIP LOCKED lets several
+// backend instances poll at once without two of them claiming the same row.
+// Targets waiting out a retry backoff are skipped until next_retry_at.
+async function claimDueTargets(limit) {
+  const result = await pool.query(
+    `WITH claimed AS (
+       UPDATE scheduled_post_targets
+       SET status = 'publishing', publishing_at = NOW(), attempt_count = attempt_count + 1
+       WHERE id IN (
+         SELECT t.id FROM scheduled_post_targets t
+         JOIN scheduled_posts p ON p.id = t.scheduled_post_id
+         WHERE t.status = 'pending' AND p.scheduled_time <= NOW()
+           AND (t.next_retry_at IS NULL OR t.next_retry_at <= NOW())
+           AND ${PUBLISHABLE}
+         ORDER BY p.scheduled_time ASC
+         LIMIT $1
+         FOR UPDATE OF t SKIP LOCKED
+       )
+       RETURNING *
+     )
+     SELECT ${TARGET_WITH_POST}
+     FROM claimed t
+     JOIN scheduled_posts p ON p.id = t.scheduled_post_id`,
+    [limit]
+  );
+
+  for (const postId of new Set(result.rows.map(t => t.scheduled_post_id))) {
+    await refreshPostStatus(postId);
+  }
+
+  return result.rows;
+}
+
+// Fail targets whose claim went stale. The platform may or may not have
+// taken the post before the worker died, so rather than risk posting twice
+// they wait in 'failed' for someone to check and re-queue them.
+async function failStaleClaims() {
+  const result = await pool.query(
+    `UPDATE scheduled_post_targets
+     SET status = 'failed', failed_at = NOW(), next_retry_at = NULL, last_error = $1
+     WHERE status = 'publishing' AND publishing_at < NOW() - ($2::int * INTERVAL '1 minute')
+     RETURNING scheduled_post_id`,
+    [
+      {
+        message: 'Publishing was interrupted before it finished; check the platform before re-queueing',
+        status: null,
+        data: null
+      },
+      STALE_CLAIM_MINUTES
+    ]
+  );
+
+  for (const postId of new Set(result.rows.map(t => t.scheduled_post_id))) {
+    await refreshPostStatus(postId);
+  }
+
+  return result.rows.length;
+}
+
+// Hand back a claimed target that was never attempted (the worker is
+// shutting down), as if it had not been claimed
+async function releaseClaim(target) {
+  await pool.query(
+    `UPDATE scheduled_post_targets
+     SET status = 'pending', publishing_at = NULL, attempt_count = attempt_count - 1
+     WHERE id = $1 AND status = 'publishing'`,
+    [target.id]
+  );
+
+  await refreshPostStatus(target.scheduled_post_id);
+}
+
+// Claim a post's target on one platform for a manual publish; returns null if
+// the post is missing, not in the workspace, or has nothing left to publish there
+async function claimTarget(postId, workspaceId, platform) {
+  const approval = await pool.query(
+    `SELECT ${PUBLISHABLE} AS publishable, q.paused AS queue_paused
+     FROM scheduled_posts p
+     LEFT JOIN posting_queues q ON q.id = p.queue_id
+     WHERE p.id = $1 AND p.workspace_id = $2`,
+    [postId, workspaceId]
+  );
+
+  if (approval.rows[0] && !approval.rows[0].publishable) {
+    throw new ScheduleError(
+      approval.rows[0].queue_paused ? 'Post is waiting in a paused queue' : 'Post has not been approved for publishing',
+      409
+    );
+  }
+
+  const result = await pool.query(
+    `WITH claimed AS (
+       UPDATE scheduled_post_targets
+       SET status = 'publishing', publishing_at = NOW(), attempt_count = attempt_count + 1
+       WHERE id IN (
+         SELECT t.id FROM scheduled_post_targets t
+         JOIN scheduled_posts p ON p.id = t.scheduled_post_id
+         WHERE t.scheduled_post_id = $1 AND p.workspace_id = $2 AND t.platform = $3
+           AND t.status IN ('pending', 'failed') AND ${PUBLISHABLE}
+         LIMIT 1
+         FOR UPDATE OF t SKIP LOCKED
+       )
+       RETURNING *
+     )
+     SELECT ${TARGET_WITH_POST}
+     FROM claimed t
+     JOIN scheduled_posts p ON p.id = t.scheduled_post_id`,
+    [postId, workspaceId, platform]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  await refreshPostStatus(postId);
+  return result.rows[0];
+}
+
+// =============== RECORDING OUTCOMES ===============
+
+async function markPublished(target, externalPostId) {
+  await pool.query(
+    `UPDATE scheduled_post_targets
+     SET status = 'published', external_post_id = $2, published_at = NOW(), next_retry_at = NULL
+     WHERE id = $1`,
+    [target.id, externalPostId]
+  );
+
+  await refreshPostStatus(target.scheduled_post_id);
+}
+
+// Put a claimed target back to wait while the platform finishes its part
+// (see PublishPendingError). Waiting isn't a failed attempt, so it doesn't
+// use up the target's retries.
+async function deferTarget(target, pending) {
+  await pool.query(
+    `UPDATE scheduled_post_targets
+     SET status = 'pending', publish_state = $2, publishing_at = NULL,
+         attempt_count = GREATEST(attempt_count - 1, 0),
+         next_retry_at = NOW() + ($3::int * INTERVAL '1 millisecond')
+     WHERE id = $1`,
+    [target.id, pending.state, pending.retryAfterMs]
+  );
+
+  await refreshPostStatus(target.scheduled_post_id);
+}
+
+// Record a failed attempt on a claimed target. Transient failures go back to
+// 'pending' with a backoff; permanent ones (or too many attempts) land in the
+// 'failed' dead-letter state until someone re-queues them. Returns the new status.
+async function recordFailure(target, error) {
+  let status = 'failed';
+
+  if (shouldRetry(target.attempt_count, error)) {
+    const delayMs = getRetryDelay(target.attempt_count, error);
+    status = 'pending';
+
+    await pool.query(
+      `UPDATE scheduled_post_targets
+       SET status = 'pending', last_error = $2,
+           next_retry_at = NOW() + ($3::int * INTERVAL '1 millisecond')
+       WHERE id = $1`,
+      [target.id, serializeError(error), delayMs]
+    );
+  } else {
+    await pool.query(
+      `UPDATE scheduled_post_targets
+       SET status = 'failed', failed_at = NOW(), last_error = $2, next_retry_at = NULL, publish_state = NULL
+       WHERE id = $1`,
+      [target.id, serializeError(error)]
+    );
+  }
+
+  await refreshPostStatus(target.scheduled_post_id);
+  return status;
+}
+
+// Roll target statuses up into the parent post. A post whose targets ended
+// up both published and failed is 'partially_published', so one failed
+// network never hides the ones that went out.
+async function refreshPostStatus(postId) {
+  await pool.query(
+    `UPDATE scheduled_posts p
+     SET status = agg.status,
+         published_at = agg.published_at,
+         failed_at = agg.failed_at
+     FROM (
+       SELECT scheduled_post_id,
+              CASE
+                WHEN bool_and(status = 'cancelled') THEN 'cancelled'
+                WHEN bool_and(status = 'published') THEN 'published'
+                WHEN bool_and(status = 'failed') THEN 'failed'
+                WHEN bool_or(status = 'publishing') THEN 'publishing'
+                WHEN bool_or(status = 'pending') THEN 'pending'
+                ELSE 'partially_published'
+              END AS status,
+              MAX(published_at) AS published_at,
+              MAX(failed_at) AS failed_at
+       FROM scheduled_post_targets
+       WHERE scheduled_post_id = $1
+       GROUP BY scheduled_post_id
+     ) agg
+     WHERE p.id = agg.scheduled_post_id`,
+    [postId]
+  );
+}
+
+// =============== LISTING & RE-QUEUEING ===============
+
+const POST_WITH_TARGETS = `
+  SELECT p.*,
+         COALESCE(
+           (SELECT json_agg(t ORDER BY t.id) FROM scheduled_post_targets t WHERE t.scheduled_post_id = p.id),
+           '[]'
+         ) AS targets
+  FROM scheduled_posts p`;
+
+// All the workspace's posts, or only those in one review state (e.g. the
+// in_review queue), one recurring series and/or one posting queue
+async function listPosts(workspaceId, { approvalStatus = null, seriesId = null, queueId = null } = {}) {
+  if (approvalStatus && !APPROVAL_STATES.includes(approvalStatus)) {
+    throw new ScheduleError(`approvalStatus must be one of: ${APPROVAL_STATES.join(', ')}`);
+  }
+
+  const result = await pool.query(
+    `${POST_WITH_TARGETS}
+     WHERE p.workspace_id = $1 AND ($2::varchar IS NULL OR p.approval_status = $2)
+       AND ($3::int IS NULL OR p.series_id = $3)
+       AND ($4::int IS NULL OR p.queue_id = $4)
+     ORDER BY p.scheduled_time ASC`,
+    [workspaceId, approvalStatus, seriesId, queueId]
+  );
+
+  return result.rows;
+}
+
+// Posts with at least one target that exhausted its retries or failed permanently
+async function listFailedPosts(workspaceId) {
+  const result = await pool.query(
+    `${POST_WITH_TARGETS}
+     WHERE p.workspace_id = $1
+       AND EXISTS (
+         SELECT 1 FROM scheduled_post_targets t
+         WHERE t.scheduled_post_id = p.id AND t.status = 'failed'
+       )
+     ORDER BY p.failed_at DESC NULLS LAST`,
+    [workspaceId]
+  );
+
+  return result.rows;
+}
+
+async function getPost(postId, workspaceId) {
+  const result = await pool.query(
+    `${POST_WITH_TARGETS}
+     WHERE p.id = $1 AND p.workspace_id = $2`,
+    [postId, workspaceId]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Move a post's dead-lettered targets back into the queue with a fresh attempt budget
+async function requeuePost(postId, workspaceId, userId = null) {
+  const result = await pool.query(
+    `UPDATE scheduled_post_targets t
+     SET status = 'pending', attempt_count = 0, next_retry_at = NULL, failed_at = NULL, publish_state = NULL
+     FROM scheduled_posts p
+     WHERE p.id = t.scheduled_post_id
+       AND t.scheduled_post_id = $1 AND p.workspace_id = $2 AND t.status = 'failed'
+     RETURNING t.id`,
+    [postId, workspaceId]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  await recordEvent(pool, postId, userId, 'requeued');
+  await refreshPostStatus(postId);
+  return getPost(postId, workspaceId);
+}
+
+// =============== EDITING & CANCELLING ===============
+
+// Lock a post and its targets for a change, so the scheduler can't claim a
+// target mid-edit. Only the author or an admin may change a post, and only
+// while nothing has gone out. Resolves to null if the post isn't in the workspace.
+async function lockEditablePost(client, postId, workspaceId, { userId, role }) {
+  const result = await client.query(
+    'SELECT * FROM scheduled_posts WHERE id = $1 AND workspace_id = $2 FOR UPDATE',
+    [postId, workspaceId]
+  );
+
+  const post = result.rows[0];
+  if (!post) return null;
+
+  if (Number(post.user_id) !== Number(userId) && !hasRole(role, 'admin')) {
+    throw new ScheduleError("Only the post's author or an admin can change it", 403);
+  }
+
+  const targets = await client.query(
+    'SELECT platform, account_id, status FROM scheduled_post_targets WHERE scheduled_post_id = $1 ORDER BY id FOR UPDATE',
+    [postId]
+  );
+
+  if (targets.rows.some(t => t.status === 'publishing' || t.status === 'published')) {
+    throw new ScheduleError('Post is already publishing or published', 409);
+  }
+
+  if (targets.rows.length > 0 && targets.rows.every(t => t.status === 'cancelled')) {
+    throw new ScheduleError('Post was cancelled', 409);
+  }
+
+  post.targets = targets.rows;
+  return post;
+}
+
+function sameTargets(a, b) {
+  const key = t => `${t.platform}:${t.accountId ?? t.account_id}`;
+  return a.map(key).sort().join(',') === b.map(key).sort().join(',');
+}
+
+// Edit a post's content, time (a UTC instant, with the zone it was written
+// in), media (a mediaUrl, with the mediaIds of library media), platform
+// options or targets (resolved, as from resolveTargets); omitted fields are
+// left alone. Each edit is kept as a revision and puts the targets back in
+// the queue with a fresh attempt budget. A post that had been approved (or
+// scheduled without review) goes back to review where the workspace requires
+// approval, and a queued post given a time of its own leaves its queue.
+// Resolves to null if the post isn't in the workspace.
+async function updateScheduledPost(postId, workspaceId, actor, {
+  content,
+  scheduledTime,
+  timeZone,
+  mediaUrl,
+  mediaIds = [],
+  platformOptions,
+  targets
+}) {
+  const needsReview = await requiresApproval(workspaceId);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const post = await lockEditablePost(client, postId, workspaceId, actor);
+    if (!post) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const changed = [];
+    if (content !== undefined && content !== post.content) changed.push('content');
+    if (scheduledTime !== undefined && new Date(scheduledTime).getTime() !== new Date(post.scheduled_time).getTime()) {
+      changed.push('scheduled_time');
+    }
+    if (timeZone !== undefined && timeZone !== post.time_zone) changed.push('time_zone');
+    if (mediaUrl !== undefined && (mediaUrl || null) !== post.media_url) changed.push('media_url');
+    if (mediaUrl !== undefined && mediaIds.join() !== post.media_ids.join()) changed.push('media_ids');
+    if (platformOptions !== undefined && !isDeepStrictEqual(platformOptions, post.platform_options)) {
+      changed.push('platform_options');
+    }
+    if (targets !== undefined && !sameTargets(targets, post.targets)) changed.push('targets');
+
+    if (changed.length === 0) {
+      await client.query('COMMIT');
+      return getPost(postId, workspaceId);
+    }
+
+    // Posts created before revisions were kept get their original version first
+    const revisions = await client.query(
+      'SELECT 1 FROM scheduled_post_revisions WHERE scheduled_post_id = $1 LIMIT 1',
+      [postId]
+    );
+    if (revisions.rows.length === 0) {
+      await recordRevision(client, postId, post.user_id, []);
+    }
+
+    const approvalStatus = ['approved', 'scheduled', 'in_review'].includes(post.approval_status)
+      ? (needsReview ? 'in_review' : 'scheduled')
+      : post.approval_status;
+
+    await client.query(
+      `UPDATE scheduled_posts
+       SET content = $2, scheduled_time = $3, time_zone = $4, media_url = $5, media_ids = $8, approval_status = $6,
+           platform_options = $9, updated_at = NOW(),
+           queue_id = CASE WHEN $7 THEN NULL ELSE queue_id END,
+           queue_position = CASE WHEN $7 THEN NULL ELSE queue_position END
+       WHERE id = $1`,
+      [
+        postId,
+        content ?? post.content,
+        scheduledTime ?? post.scheduled_time,
+        timeZone ?? post.time_zone,
+        mediaUrl === undefined ? post.media_url : (mediaUrl || null),
+        approvalStatus,
+        changed.includes('scheduled_time'),
+        mediaUrl === undefined ? post.media_ids : mediaIds,
+        JSON.stringify(platformOptions ?? post.platform_options)
+      ]
+    );
+
+    if (targets !== undefined) {
+      await client.query(
+        `DELETE FROM scheduled_post_targets
+         WHERE scheduled_post_id = $1
+           AND (platform, account_id) NOT IN (SELECT * FROM UNNEST($2::varchar[], $3::varchar[]))`,
+        [postId, targets.map(t => t.platform), targets.map(t => t.accountId)]
+      );
+
+      for (const target of targets) {
+        await client.query(
+          `INSERT INTO scheduled_post_targets (scheduled_post_id, platform, account_id)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (scheduled_post_id, platform, account_id) DO NOTHING`,
+          [postId, target.platform, target.accountId]
+        );
+      }
+    }
+
+    await client.query(
+      `UPDATE scheduled_post_targets
+       SET status = 'pending', attempt_count = 0, next_retry_at = NULL, failed_at = NULL, last_error = NULL,
+           publish_state = NULL
+       WHERE scheduled_post_id = $1`,
+      [postId]
+    );
+
+    await recordRevision(client, postId, actor.userId, changed);
+    await recordEvent(client, postId, actor.userId, 'edited', { from: post.approval_status, to: approvalStatus });
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await refreshPostStatus(postId);
+  return getPost(postId, workspaceId);
+}
+
+// Cancel a post before it goes out. The post and its history are kept, with
+// every target 'cancelled'. Skipping one occurrence of a series is recorded
+// as action 'skipped'. Resolves to null if the post isn't in the workspace.
+async function cancelScheduledPost(postId, workspaceId, actor, { action = 'cancelled' } = {}) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const post = await lockEditablePost(client, postId, workspaceId, actor);
+    if (!post) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    await client.query(
+      `UPDATE scheduled_post_targets SET status = 'cancelled', next_retry_at = NULL
+       WHERE scheduled_post_id = $1`,
+      [postId]
+    );
+    await client.query('UPDATE scheduled_posts SET updated_at = NOW() WHERE id = $1', [postId]);
+    await recordEvent(client, postId, actor.userId, action);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await refreshPostStatus(postId);
+  return getPost(postId, workspaceId);
+}
+
+// Every saved version of the post, oldest first; null if the post isn't in the workspace
+async function listPostRevisions(postId, workspaceId) {
+  const post = await getPost(postId, workspaceId);
+  if (!post) return null;
+
+  const result = await pool.query(
+    `SELECT r.revision, r.content, r.scheduled_time, r.time_zone, r.media_url, r.media_ids, r.platform_options,
+            r.targets, r.changed_fields, r.created_at, r.user_id, u.name AS user_name
+     FROM scheduled_post_revisions r
+     LEFT JOIN users u ON u.id = r.user_id
+     WHERE r.scheduled_post_id = $1
+     ORDER BY r.revision`,
+    [postId]
+  );
+
+  return result.rows;
+}
+
+// =============== REVIEW ===============
+
+// Move a post between review states, recording who did it. Returns null if
+// the post isn't in the workspace.
+async function transitionPost(postId, workspaceId, userId, { action, from, to, comment = null }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'SELECT approval_status FROM scheduled_posts WHERE id = $1 AND workspace_id = $2 FOR UPDATE',
+      [postId, workspaceId]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const current = result.rows[0].approval_status;
+    if (!from.includes(current) || current === to) {
+      throw new ScheduleError(`A post that is ${current} can't be ${action}`, 409);
+    }
+
+    await client.query('UPDATE scheduled_posts SET approval_status = $2 WHERE id = $1', [postId, to]);
+    await recordEvent(client, postId, userId, action, { from: current, to, comment });
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getPost(postId, workspaceId);
+}
+
+// Send a draft (or a rejected or previously unreviewed post) for review, or
+// straight to 'scheduled' when the workspace doesn't require approval
+async function submitPost(postId, workspaceId, userId, comment = null) {
+  const to = await requiresApproval(workspaceId) ? 'in_review' : 'scheduled';
+
+  return transitionPost(postId, workspaceId, userId, {
+    action: 'submitted',
+    from: ['draft', 'rejected', 'scheduled'],
+    to,
+    comment
+  });
+}
+
+async function approvePost(postId, workspaceId, userId, comment = null) {
+  return transitionPost(postId, workspaceId, userId, { action: 'approved', from: ['in_review'], to: 'approved', comment });
+}
+
+async function rejectPost(postId, workspaceId, userId, comment = null) {
+  return transitionPost(postId, workspaceId, userId, { action: 'rejected', from: ['in_review'], to: 'rejected', comment });
+}
+
+// Add a review comment; returns null if the post isn't in the workspace
+async function commentOnPost(postId, workspaceId, userId, comment) {
+  if (!comment || !String(comment).trim()) {
+    throw new ScheduleError('Comment required');
+  }
+
+  const post = await getPost(postId, workspaceId);
+  if (!post) return null;
+
+  await recordEvent(pool, postId, userId, 'commented', { comment: String(comment).trim() });
+  return listPostEvents(postId, workspaceId);
+}
+
+// The post's audit trail, oldest first; null if the post isn't in the workspace
+async function listPostEvents(postId, workspaceId) {
+  const post = await getPost(postId, workspaceId);
+  if (!post) return null;
+
+  const result = await pool.query(
+    `SELECT e.id, e.action, e.from_status, e.to_status, e.comment, e.created_at,
+            e.user_id, u.name AS user_name
+     FROM scheduled_post_events e
+     LEFT JOIN users u ON u.id = e.user_id
+     WHERE e.scheduled_post_id = $1
+     ORDER BY e.created_at, e.id`,
+    [postId]
+  );
+
+  return result.rows;
+}
+
+// Keep what the platform API told us (or the details a provider attached),
+// not just the axios message
+function serializeError(error) {
+  return {
+    message: error.message,
+    status: error.response?.status || null,
+    data: error.response?.data || error.details || null
+  };
+}
+
+module.exports = {
+  ScheduleError,
+  APPROVAL_STATES,
+  inTransaction,
+  requiresApproval,
+  recordEvent,
+  resolveTargets,
+  createScheduledPost,
+  claimDueTargets,
+  failStaleClaims,
+  releaseClaim,
+  claimTarget,
+  markPublished,
+  deferTarget,
+  recordFailure,
+  refreshPostStatus,
+  listPosts,
+  listFailedPosts,
+  getPost,
+  requeuePost,
+  updateScheduledPost,
+  cancelScheduledPost,
+  listPostRevisions,
+  submitPost,
+  approvePost,
+  rejectPost,
+  commentOnPost,
+  listPostEvents
+};
@@ -0,0 +1,95 @@
+const { claimDueTargets, failStaleClaims, releaseClaim, markPublished, deferTarget, recordFailure } = require('./scheduledPosts');
+const { publishTarget } = require('./publisher');
+const { PublishPendingError } = require('./retryPolicy');
+const { extendSeries } = require('./postSeries');
+
+require('dotenv').config();
+
+const POLL_INTERVAL_MS = Number(process.env.SCHEDULER_POLL_INTERVAL_MS) || 30000;
+const BATCH_SIZE = Number(process.env.SCHEDULER_BATCH_SIZE) || 10;
+
+// Publish every post target that is due right now. Once stopping() is true,
+// targets not yet started are handed back for the next worker.
+async function runSchedulerTick({ stopping = () => false } = {}) {
+  const targets = await claimDueTargets(BATCH_SIZE);
+
+  for (const target of targets) {
+    if (stopping()) {
+      await releaseClaim(target);
+      continue;
+    }
+
+    try {
+      const externalPostId = await publishTarget(target);
+      await markPublished(target, externalPostId);
+      console.log(`Scheduler published post ${target.scheduled_post_id} to ${target.platform}`);
+    } catch (error) {
+      if (error instanceof PublishPendingError) {
+        await deferTarget(target, error);
+        console.log(`Scheduler is waiting on ${target.platform} to publish post ${target.scheduled_post_id}`);
+        continue;
+      }
+
+      const status = await recordFailure(target, error);
+      console.error(
+        `Scheduler failed to publish post ${target.scheduled_post_id} to ${target.platform} (attempt ${target.attempt_count}, now ${status}):`,
+        error.response?.data || error.message
+      );
+    }
+  }
+
+  return targets.length;
+}
+
+// Poll for due posts until the returned stop function is called. Stopping
+// lets the post being published finish; the promise it returns settles once
+// it has.
+function startScheduler({ intervalMs = POLL_INTERVAL_MS } = {}) {
+  let running = null;
+  let stopped = false;
+  const stopping = () => stopped;
+
+  const tick = async () => {
+    // Skip this tick if the previous one is still publishing
+    if (running || stopped) return;
+
+    running = (async () => {
+      // Fail claims left behind by a worker that died mid-publish
+      const stale = await failStaleClaims();
+      if (stale > 0) console.warn(`Scheduler failed ${stale} interrupted post target(s)`);
+
+      // Create upcoming occurrences of recurring posts before looking for due ones
+      await extendSeries();
+
+      // Keep draining while full batches come back
+      let claimed;
+      do {
+        claimed = await runSchedulerTick({ stopping });
+      } while (claimed === BATCH_SIZE && !stopped);
+    })();
+
+    try {
+      await running;
+    } catch (error) {
+      console.error('Scheduler tick error:', error.message || error);
+    } finally {
+      running = null;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  tick();
+
+  console.log(`Scheduler started (polling every ${intervalMs}ms)`);
+
+  return async () => {
+    stopped = true;
+    clearInterval(timer);
+    await running?.catch(() => {});
+  };
+}
+
+module.exports = {
+  runSchedulerTick,
+  startScheduler
+};
@@ -0,0 +1,136 @@
+const pool = require('../db');
+const { syncWorkspaceContent } = require('./contentSync');
+
+require('dotenv').config();
+
+const POLL_INTERVAL_MS = Number(process.env.SYNC_JOB_POLL_INTERVAL_MS) || 5000;
+// Finished jobs are kept this long for their results
+const RETENTION_HOURS = 72;
+// A job still "running" after this long belonged to a process that died
+const STALE_JOB_MINUTES = 60;
+
+const JOB_COLUMNS = `id, user_id AS requested_by, platforms, status, results, error,
+                     created_at, started_at, completed_at`;
+
+// =============== JOB RECORDS ===============
+
+// A full sync of the workspace's accounts on the given platforms. A job
+// already waiting for the workspace is returned instead of queueing another.
+async function createSyncJob(workspaceId, userId, platforms) {
+  platforms = [...new Set(platforms)].sort();
+
+  const existing = await pool.query(
+    `SELECT ${JOB_COLUMNS} FROM sync_jobs
+     WHERE workspace_id = $1 AND status = 'pending' AND platforms = $2::text[]`,
+    [workspaceId, platforms]
+  );
+  if (existing.rows[0]) return existing.rows[0];
+
+  const result = await pool.query(
+    `INSERT INTO sync_jobs (workspace_id, user_id, platforms)
+     VALUES ($1, $2, $3)
+     RETURNING ${JOB_COLUMNS}`,
+    [workspaceId, userId, platforms]
+  );
+
+  return result.rows[0];
+}
+
+async function getSyncJob(workspaceId, jobId) {
+  if (!/^\d+$/.test(String(jobId))) return null;
+
+  const result = await pool.query(
+    `SELECT ${JOB_COLUMNS} FROM sync_jobs WHERE id = $1 AND workspace_id = $2`,
+    [jobId, workspaceId]
+  );
+
+  return result.rows[0] || null;
+}
+
+// =============== WORKER ===============
+
+async function claimNextJob() {
+  const result = await pool.query(
+    `UPDATE sync_jobs SET status = 'running', started_at = NOW()
+     WHERE id = (
+       SELECT id FROM sync_jobs
+       WHERE status = 'pending'
+          OR (status = 'running' AND started_at < NOW() - make_interval(mins => $1))
+       ORDER BY created_at
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`,
+    [STALE_JOB_MINUTES]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Accounts that fail are reported in the results; the job itself only fails
+// if the sync couldn't run at all
+async function runSyncJob(job) {
+  try {
+    const results = await syncWorkspaceContent(job.workspace_id, { platforms: job.platforms, full: true });
+
+    await pool.query(
+      `UPDATE sync_jobs SET status = 'completed', results = $2, completed_at = NOW() WHERE id = $1`,
+      [job.id, JSON.stringify(results)]
+    );
+  } catch (error) {
+    await pool.query(
+      `UPDATE sync_jobs SET status = 'failed', error = $2, completed_at = NOW() WHERE id = $1`,
+      [job.id, error.message || String(error)]
+    );
+    throw error;
+  }
+}
+
+async function purgeOldSyncJobs() {
+  const result = await pool.query(
+    `DELETE FROM sync_jobs
+     WHERE status IN ('completed', 'failed') AND completed_at < NOW() - make_interval(hours => $1)`,
+    [RETENTION_HOURS]
+  );
+
+  return result.rowCount;
+}
+
+// Work through queued full syncs one at a time until the returned stop function is called
+function startSyncJobWorker({ intervalMs = POLL_INTERVAL_MS } = {}) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await purgeOldSyncJobs();
+
+      let job;
+      while ((job = await claimNextJob())) {
+        try {
+          await runSyncJob(job);
+          console.log(`Sync job ${job.id} (${job.platforms.join(', ')}) completed`);
+        } catch (error) {
+          console.error(`Sync job ${job.id} failed:`, error.message || error);
+        }
+      }
+    } catch (error) {
+      console.error('Sync job worker error:', error.message || error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  tick();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  createSyncJob,
+  getSyncJob,
+  startSyncJobWorker
+};
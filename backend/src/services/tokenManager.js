@@ -0,0 +1,422 @@
+const { platformClient, RateLimitError } = require('./platformClient');
+const querystring = require('querystring');
+const pool = require('../db');
+const { encryptToken, decryptToken, decryptTokens } = require('../utils/tokenCrypto');
+
+require('dotenv').config();
+
+// Long-lived Facebook/Instagram/LinkedIn tokens last ~60 days; refresh them well before that
+const LONG_LIVED_REFRESH_WINDOW = '7 days';
+const LONG_LIVED_DEFAULT_SECONDS = 60 * 24 * 60 * 60;
+// Twitter access tokens last two hours; refresh just before they run out
+const TWITTER_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const REFRESH_INTERVAL_MS = Number(process.env.TOKEN_REFRESH_INTERVAL_MS) || 60 * 60 * 1000;
+
+function expiresAt(expiresIn) {
+  return expiresIn ? new Date(Date.now() + expiresIn * 1000) : null;
+}
+
+// =============== TOKEN EXCHANGE ===============
+
+// Swap a short-lived Facebook user token (or a long-lived one nearing expiry)
+// for a fresh long-lived token
+async function exchangeFacebookToken(accessToken) {
+  const response = await platformClient.get(
+    `https://graph.facebook.com/v18.0/oauth/access_token`,
+    {
+      params: {
+        grant_type: 'fb_exchange_token',
+        client_id: process.env.FB_APP_ID,
+        client_secret: process.env.FB_APP_SECRET,
+        fb_exchange_token: accessToken
+      }
+    }
+  );
+
+  return {
+    accessToken: response.data.access_token,
+    expiresAt: expiresAt(response.data.expires_in || LONG_LIVED_DEFAULT_SECONDS)
+  };
+}
+
+// Swap a short-lived Instagram token for a long-lived one
+async function exchangeInstagramToken(accessToken) {
+  const response = await platformClient.get(
+    `https://graph.instagram.com/access_token`,
+    {
+      params: {
+        grant_type: 'ig_exchange_token',
+        client_secret: process.env.INSTAGRAM_APP_SECRET,
+        access_token: accessToken
+      }
+    }
+  );
+
+  return {
+    accessToken: response.data.access_token,
+    expiresAt: expiresAt(response.data.expires_in || LONG_LIVED_DEFAULT_SECONDS)
+  };
+}
+
+// =============== TOKEN REFRESH ===============
+
+const refreshers = {
+  facebook: async (account) => exchangeFacebookToken(account.access_token),
+
+  instagram: async (account) => {
+    const response = await platformClient.get(
+      `https://graph.instagram.com/refresh_access_token`,
+      {
+        params: {
+          grant_type: 'ig_refresh_token',
+          access_token: account.access_token
+        }
+      }
+    );
+
+    return {
+      accessToken: response.data.access_token,
+      expiresAt: expiresAt(response.data.expires_in || LONG_LIVED_DEFAULT_SECONDS)
+    };
+  },
+
+  twitter: async (account) => {
+    if (!account.refresh_token) {
+      throw new Error('No refresh token stored; reconnect Twitter');
+    }
+
+    const response = await platformClient.post(
+      `https://api.twitter.com/2/oauth2/token`,
+      querystring.stringify({
+        grant_type: 'refresh_token',
+        refresh_token: account.refresh_token,
+        client_id: process.env.TWITTER_CLIENT_ID
+      }),
+      {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Authorization': `Basic ${Buffer.from(
+            `${process.env.TWITTER_CLIENT_ID}:${process.env.TWITTER_CLIENT_SECRET}`
+          ).toString('base64')}`
+        }
+      }
+    );
+
+    return {
+      accessToken: response.data.access_token,
+      // Twitter rotates refresh tokens; the old one stops working
+      refreshToken: response.data.refresh_token || account.refresh_token,
+      expiresAt: expiresAt(response.data.expires_in)
+    };
+  },
+
+  // LinkedIn only issues refresh tokens to approved apps; without one the
+  // member has to sign in again when the 60-day token runs out
+  linkedin: async (account) => {
+    if (!account.refresh_token) {
+      throw new Error('No refresh token stored; reconnect LinkedIn');
+    }
+
+    const response = await platformClient.post(
+      `https://www.linkedin.com/oauth/v2/accessToken`,
+      querystring.stringify({
+        grant_type: 'refresh_token',
+        refresh_token: account.refresh_token,
+        client_id: process.env.LINKEDIN_CLIENT_ID,
+        client_secret: process.env.LINKEDIN_CLIENT_SECRET
+      }),
+      { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+    );
+
+    return {
+      accessToken: response.data.access_token,
+      refreshToken: response.data.refresh_token || account.refresh_token,
+      expiresAt: expiresAt(response.data.expires_in)
+    };
+  }
+};
+
+// Save tokens (encrypted) for a platform connection and mark it connected again.
+// Instagram accounts keep their own copy of the token, so update those too;
+// Twitter accounts hold their own grants (see storeTwitterAccountTokens).
+async function storeTokens(workspaceId, platform, { accessToken, refreshToken = null, expiresAt = null }, db = pool) {
+  accessToken = encryptToken(accessToken);
+  refreshToken = encryptToken(refreshToken);
+
+  await db.query(
+    `INSERT INTO social_accounts (workspace_id, platform, access_token, refresh_token, token_expires_at, token_refreshed_at, connected, disconnected_reason)
+     VALUES ($1, $2, $3, $4, $5, NOW(), TRUE, NULL)
+     ON CONFLICT (workspace_id, platform)
+     DO UPDATE SET access_token = $3, refresh_token = COALESCE($4, social_accounts.refresh_token),
+                   token_expires_at = $5, token_refreshed_at = NOW(), connected = TRUE, disconnected_reason = NULL`,
+    [workspaceId, platform, accessToken, refreshToken, expiresAt]
+  );
+
+  if (platform === 'instagram') {
+    await db.query(
+      'UPDATE instagram_accounts SET access_token = $2 WHERE workspace_id = $1',
+      [workspaceId, accessToken]
+    );
+  }
+}
+
+async function markDisconnected(workspaceId, platform, reason) {
+  await pool.query(
+    `UPDATE social_accounts SET connected = FALSE, disconnected_reason = $3
+     WHERE workspace_id = $1 AND platform = $2`,
+    [workspaceId, platform, reason]
+  );
+}
+
+// A rejected refresh (4xx) means the grant is gone; network or platform
+// outages and rate limiting shouldn't disconnect anyone
+function isRefreshRejected(error) {
+  const rejected = !error.isAxiosError || (error.response && error.response.status < 500);
+  return rejected && !(error instanceof RateLimitError);
+}
+
+function refreshFailureReason(error) {
+  const reason = error.response?.data?.error_description
+    || error.response?.data?.error?.message
+    || error.message;
+  return `Token refresh failed: ${reason}`;
+}
+
+// Refresh a connection's token. The row lock keeps two requests (or two
+// backend instances) from spending the same refresh token; whoever
+// waits on the lock just picks up the token the other one stored.
+async function refreshAccountToken(workspaceId, platform, staleToken = null) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'SELECT * FROM social_accounts WHERE workspace_id = $1 AND platform = $2 FOR UPDATE',
+      [workspaceId, platform]
+    );
+    const account = decryptTokens(result.rows[0]);
+
+    if (!account) {
+      throw new Error(`${platform} account not connected`);
+    }
+
+    if (staleToken && account.access_token !== staleToken) {
+      await client.query('COMMIT');
+      return account.access_token;
+    }
+
+    let tokens;
+    try {
+      tokens = await refreshers[platform](account);
+    } catch (error) {
+      await client.query('ROLLBACK');
+
+      if (isRefreshRejected(error)) {
+        await markDisconnected(workspaceId, platform, refreshFailureReason(error));
+      }
+      throw error;
+    }
+
+    await storeTokens(workspaceId, platform, tokens, client);
+    await client.query('COMMIT');
+
+    return tokens.accessToken;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// =============== TOKEN ACCESS ===============
+
+// Current access token for a connection (long-lived ones are kept fresh by
+// the periodic refresh)
+async function getValidAccessToken(workspaceId, platform) {
+  const result = await pool.query(
+    'SELECT access_token, connected FROM social_accounts WHERE workspace_id = $1 AND platform = $2',
+    [workspaceId, platform]
+  );
+  const account = result.rows[0];
+
+  if (!account || !account.connected) {
+    throw new Error(`${platform} account not connected`);
+  }
+
+  return decryptToken(account.access_token);
+}
+
+// Run an API call with the workspace's token for a platform, refreshing and
+// retrying once on 401
+async function withAccessToken(workspaceId, platform, request) {
+  const token = await getValidAccessToken(workspaceId, platform);
+
+  try {
+    return await request(token);
+  } catch (error) {
+    if (error.response?.status !== 401) throw error;
+
+    const refreshedToken = await refreshAccountToken(workspaceId, platform, token);
+    return request(refreshedToken);
+  }
+}
+
+// =============== TWITTER ACCOUNT TOKENS ===============
+// Each Twitter account keeps the grant it was connected with on its
+// twitter_accounts row, so a workspace with several accounts posts as the one
+// a target names. Twitter rotates refresh tokens, so each grant is only ever
+// refreshed from its own row. An account whose grant is refused is marked
+// disconnected until it's connected again.
+
+async function storeTwitterAccountTokens(workspaceId, twitterId, { accessToken, refreshToken = null, expiresAt = null }, db = pool) {
+  await db.query(
+    `UPDATE twitter_accounts
+     SET access_token = $3, refresh_token = COALESCE($4, refresh_token), token_expires_at = $5,
+         connected = TRUE, disconnected_reason = NULL
+     WHERE workspace_id = $1 AND twitter_id = $2`,
+    [workspaceId, twitterId, encryptToken(accessToken), encryptToken(refreshToken), expiresAt]
+  );
+}
+
+// Mark one account's grant as gone; the workspace's Twitter connection goes
+// with its last connected account
+async function markTwitterAccountDisconnected(workspaceId, twitterId, reason) {
+  await pool.query(
+    `UPDATE twitter_accounts SET connected = FALSE, disconnected_reason = $3
+     WHERE workspace_id = $1 AND twitter_id = $2`,
+    [workspaceId, twitterId, reason]
+  );
+
+  const remaining = await pool.query(
+    'SELECT 1 FROM twitter_accounts WHERE workspace_id = $1 AND connected = TRUE LIMIT 1',
+    [workspaceId]
+  );
+  if (remaining.rows.length === 0) await markDisconnected(workspaceId, 'twitter', reason);
+}
+
+// Refresh one account's grant, under a row lock like refreshAccountToken
+async function refreshTwitterAccountToken(workspaceId, twitterId, staleToken = null) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'SELECT * FROM twitter_accounts WHERE workspace_id = $1 AND twitter_id = $2 FOR UPDATE',
+      [workspaceId, twitterId]
+    );
+    const account = decryptTokens(result.rows[0]);
+
+    if (!account || !account.connected) {
+      throw new Error('Twitter account not connected');
+    }
+
+    if (staleToken && account.access_token !== staleToken) {
+      await client.query('COMMIT');
+      return account.access_token;
+    }
+
+    let tokens;
+    try {
+      tokens = await refreshers.twitter(account);
+    } catch (error) {
+      await client.query('ROLLBACK');
+
+      if (isRefreshRejected(error)) {
+        await markTwitterAccountDisconnected(workspaceId, twitterId, refreshFailureReason(error));
+      }
+      throw error;
+    }
+
+    await storeTwitterAccountTokens(workspaceId, twitterId, tokens, client);
+    await client.query('COMMIT');
+
+    return tokens.accessToken;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Run an API call with a Twitter account's token, refreshing it first when it
+// is about to expire and retrying once on 401
+async function withTwitterToken(workspaceId, twitterId, request) {
+  const result = await pool.query(
+    'SELECT access_token, token_expires_at, connected FROM twitter_accounts WHERE workspace_id = $1 AND twitter_id = $2',
+    [workspaceId, twitterId]
+  );
+
+  if (result.rows.length === 0 || !result.rows[0].connected) {
+    throw new Error('Twitter account not connected');
+  }
+
+  let token = decryptToken(result.rows[0].access_token);
+  const expiry = result.rows[0].token_expires_at && new Date(result.rows[0].token_expires_at).getTime();
+  if (expiry && expiry - Date.now() < TWITTER_REFRESH_MARGIN_MS) {
+    token = await refreshTwitterAccountToken(workspaceId, twitterId, token);
+  }
+
+  try {
+    return await request(token);
+  } catch (error) {
+    if (error.response?.status !== 401) throw error;
+
+    const refreshedToken = await refreshTwitterAccountToken(workspaceId, twitterId, token);
+    return request(refreshedToken);
+  }
+}
+
+// =============== PERIODIC REFRESH ===============
+
+// Refresh long-lived Facebook/Instagram/LinkedIn tokens that expire within the
+// window, plus ones stored before expiry times were tracked
+async function refreshExpiringTokens() {
+  const result = await pool.query(
+    `SELECT workspace_id, platform, access_token FROM social_accounts
+     WHERE connected = TRUE
+       AND (platform IN ('facebook', 'instagram') OR (platform = 'linkedin' AND refresh_token IS NOT NULL))
+       AND (token_expires_at IS NULL OR token_expires_at < NOW() + INTERVAL '${LONG_LIVED_REFRESH_WINDOW}')`
+  );
+
+  for (const account of result.rows) {
+    try {
+      await refreshAccountToken(account.workspace_id, account.platform, decryptToken(account.access_token));
+      console.log(`Refreshed ${account.platform} token for workspace ${account.workspace_id}`);
+    } catch (error) {
+      console.error(
+        `Failed to refresh ${account.platform} token for workspace ${account.workspace_id}:`,
+        error.response?.data || error.message
+      );
+    }
+  }
+
+  return result.rows.length;
+}
+
+function startTokenRefresher({ intervalMs = REFRESH_INTERVAL_MS } = {}) {
+  const tick = () => refreshExpiringTokens().catch(error => {
+    console.error('Token refresh error:', error.message || error);
+  });
+
+  const timer = setInterval(tick, intervalMs);
+  tick();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  exchangeFacebookToken,
+  exchangeInstagramToken,
+  storeTokens,
+  markDisconnected,
+  refreshAccountToken,
+  getValidAccessToken,
+  withAccessToken,
+  withTwitterToken,
+  refreshExpiringTokens,
+  startTokenRefresher
+};
@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+const pool = require('../db');
+const { ROLES, hasRole } = require('../middleware/auth');
+const { refreshWorkspaceQueues } = require('./postingQueues');
+
+// How long an invitation can be accepted for
+const INVITATION_TTL_DAYS = 7;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+// Raised for workspace requests that can't be carried out; carries the HTTP status
+class WorkspaceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WorkspaceError';
+    this.status = status;
+  }
+}
+
+// Invitation tokens are only stored hashed, so a leaked table can't be redeemed
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new WorkspaceError(`role must be one of: ${ROLES.join(', ')}`);
+  }
+}
+
+async function inTransaction(fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Lock the workspace and read a member's role, so concurrent role changes
+// can't both remove the last owner
+async function lockMember(client, workspaceId, userId) {
+  await client.query('SELECT id FROM workspaces WHERE id = $1 FOR UPDATE', [workspaceId]);
+
+  const result = await client.query(
+    'SELECT role FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+    [workspaceId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new WorkspaceError('Member not found', 404);
+  }
+
+  return result.rows[0].role;
+}
+
+async function ensureAnotherOwner(client, workspaceId, userId) {
+  const result = await client.query(
+    `SELECT 1 FROM workspace_members
+     WHERE workspace_id = $1 AND role = 'owner' AND user_id <> $2`,
+    [workspaceId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new WorkspaceError('A workspace needs at least one owner', 409);
+  }
+}
+
+// =============== WORKSPACES ===============
+
+// Create a workspace owned by the user; pass a client to join an open transaction
+async function createWorkspace(userId, { name } = {}, client = null) {
+  if (!name || !String(name).trim()) {
+    throw new WorkspaceError('Workspace name required');
+  }
+
+  const create = async (db) => {
+    const result = await db.query(
+      'INSERT INTO workspaces (name, created_by) VALUES ($1, $2) RETURNING *',
+      [String(name).trim(), userId]
+    );
+
+    await db.query(
+      `INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, 'owner')`,
+      [result.rows[0].id, userId]
+    );
+
+    return { ...result.rows[0], role: 'owner' };
+  };
+
+  return client ? create(client) : inTransaction(create);
+}
+
+async function listWorkspaces(userId) {
+  const result = await pool.query(
+    `SELECT w.id, w.name, w.require_approval, w.created_at, m.role,
+            (SELECT COUNT(*)::int FROM workspace_members c WHERE c.workspace_id = w.id) AS member_count
+     FROM workspace_members m
+     JOIN workspaces w ON w.id = m.workspace_id
+     WHERE m.user_id = $1
+     ORDER BY m.created_at, m.id`,
+    [userId]
+  );
+
+  return result.rows;
+}
+
+async function getWorkspace(workspaceId) {
+  const result = await pool.query(
+    `SELECT w.id, w.name, w.require_approval, w.created_by, w.created_at,
+            (SELECT COUNT(*)::int FROM workspace_members c WHERE c.workspace_id = w.id) AS member_count
+     FROM workspaces w
+     WHERE w.id = $1`,
+    [workspaceId]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Rename the workspace and/or turn required post approval on or off;
+// omitted fields are left alone. Changing required approval re-flows the
+// queues, as it changes which queued posts may take a slot.
+async function updateWorkspace(workspaceId, { name, requireApproval } = {}) {
+  if (name !== undefined && !String(name).trim()) {
+    throw new WorkspaceError('Workspace name required');
+  }
+
+  if (requireApproval !== undefined && typeof requireApproval !== 'boolean') {
+    throw new WorkspaceError('requireApproval must be true or false');
+  }
+
+  const before = await getWorkspace(workspaceId);
+
+  await pool.query(
+    `UPDATE workspaces SET name = COALESCE($2, name), require_approval = COALESCE($3, require_approval)
+     WHERE id = $1`,
+    [workspaceId, name === undefined ? null : String(name).trim(), requireApproval ?? null]
+  );
+
+  if (requireApproval !== undefined && requireApproval !== before?.require_approval) {
+    await refreshWorkspaceQueues(workspaceId);
+  }
+
+  return getWorkspace(workspaceId);
+}
+
+// Deleting a workspace deletes its accounts, content, metrics and schedules with it
+async function deleteWorkspace(workspaceId) {
+  await pool.query('DELETE FROM workspaces WHERE id = $1', [workspaceId]);
+}
+
+// =============== MEMBERS ===============
+
+async function listMembers(workspaceId) {
+  const result = await pool.query(
+    `SELECT u.id AS user_id, u.name, u.email, m.role, m.created_at AS joined_at
+     FROM workspace_members m
+     JOIN users u ON u.id = m.user_id
+     WHERE m.workspace_id = $1
+     ORDER BY m.created_at, m.id`,
+    [workspaceId]
+  );
+
+  return result.rows;
+}
+
+// Change a member's role. Members can't grant more than their own role or
+// change someone who outranks them, and the last owner can't be demoted.
+async function updateMemberRole(workspaceId, actor, memberUserId, role) {
+  checkRole(role);
+
+  if (!hasRole(actor.role, role)) {
+    throw new WorkspaceError(`You can't grant the ${role} role`, 403);
+  }
+
+  await inTransaction(async (client) => {
+    const current = await lockMember(client, workspaceId, memberUserId);
+
+    if (!hasRole(actor.role, current)) {
+      throw new WorkspaceError(`You can't change the role of a member with the ${current} role`, 403);
+    }
+
+    if (current === 'owner' && role !== 'owner') {
+      await ensureAnotherOwner(client, workspaceId, memberUserId);
+    }
+
+    await client.query(
+      'UPDATE workspace_members SET role = $3 WHERE workspace_id = $1 AND user_id = $2',
+      [workspaceId, memberUserId, role]
+    );
+  });
+
+  return listMembers(workspaceId);
+}
+
+// Remove a member (or leave, when actor and member are the same user)
+async function removeMember(workspaceId, actor, memberUserId) {
+  const leaving = Number(actor.userId) === Number(memberUserId);
+
+  await inTransaction(async (client) => {
+    const current = await lockMember(client, workspaceId, memberUserId);
+
+    if (!leaving && !(hasRole(actor.role, 'admin') && hasRole(actor.role, current))) {
+      throw new WorkspaceError(`You can't remove a member with the ${current} role`, 403);
+    }
+
+    if (current === 'owner') {
+      await ensureAnotherOwner(client, workspaceId, memberUserId);
+    }
+
+    await client.query(
+      'DELETE FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+      [workspaceId, memberUserId]
+    );
+  });
+}
+
+// =============== INVITATIONS ===============
+
+const INVITATION_COLUMNS = 'id, email, role, invited_by, expires_at, created_at';
+
+async function listInvitations(workspaceId) {
+  const result = await pool.query(
+    `SELECT ${INVITATION_COLUMNS} FROM workspace_invitations
+     WHERE workspace_id = $1 AND accepted_at IS NULL AND expires_at > NOW()
+     ORDER BY created_at DESC`,
+    [workspaceId]
+  );
+
+  return result.rows;
+}
+
+// Invite an email address; returns the invitation and the one-time token to
+// pass on to the invitee (nothing is sent from here). Re-inviting an address
+// replaces its pending invitation.
+async function createInvitation(workspaceId, actor, { email, role = 'viewer' } = {}) {
+  const address = String(email || '').trim().toLowerCase();
+
+  if (!EMAIL_PATTERN.test(address)) {
+    throw new WorkspaceError('A valid email is required');
+  }
+
+  checkRole(role);
+
+  if (!hasRole(actor.role, role)) {
+    throw new WorkspaceError(`You can't invite someone as ${role}`, 403);
+  }
+
+  const member = await pool.query(
+    `SELECT 1 FROM workspace_members m
+     JOIN users u ON u.id = m.user_id
+     WHERE m.workspace_id = $1 AND LOWER(u.email) = $2`,
+    [workspaceId, address]
+  );
+
+  if (member.rows.length > 0) {
+    throw new WorkspaceError(`${address} is already a member`, 409);
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const invitation = await inTransaction(async (client) => {
+    await client.query(
+      'DELETE FROM workspace_invitations WHERE workspace_id = $1 AND email = $2 AND accepted_at IS NULL',
+      [workspaceId, address]
+    );
+
+    const result = await client.query(
+      `INSERT INTO workspace_invitations (workspace_id, email, role, token_hash, invited_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, NOW() + ($6::int * INTERVAL '1 day'))
+       RETURNING ${INVITATION_COLUMNS}`,
+      [workspaceId, address, role, hashToken(token), actor.userId, INVITATION_TTL_DAYS]
+    );
+
+    return result.rows[0];
+  });
+
+  return { invitation, token };
+}
+
+async function revokeInvitation(workspaceId, invitationId) {
+  const result = await pool.query(
+    'DELETE FROM workspace_invitations WHERE workspace_id = $1 AND id = $2 AND accepted_at IS NULL',
+    [workspaceId, invitationId]
+  );
+
+  return result.rowCount > 0;
+}
+
+// Join a workspace with an invitation token. The invitation only works for
+// the account whose email it was sent to.
+async function acceptInvitation(userId, token) {
+  if (!token) {
+    throw new WorkspaceError('Invitation token required');
+  }
+
+  return inTransaction(async (client) => {
+    const result = await client.query(
+      `SELECT i.id, i.workspace_id, i.email, i.role
+       FROM workspace_invitations i
+       WHERE i.token_hash = $1 AND i.accepted_at IS NULL AND i.expires_at > NOW()
+       FOR UPDATE`,
+      [hashToken(String(token))]
+    );
+
+    const invitation = result.rows[0];
+    if (!invitation) {
+      throw new WorkspaceError('Invitation not found or expired', 404);
+    }
+
+    const user = await client.query('SELECT email FROM users WHERE id = $1', [userId]);
+    if (String(user.rows[0]?.email || '').toLowerCase() !== invitation.email) {
+      throw new WorkspaceError('This invitation was sent to a different email address', 403);
+    }
+
+    const joined = await client.query(
+      `INSERT INTO workspace_members (workspace_id, user_id, role)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (workspace_id, user_id) DO NOTHING`,
+      [invitation.workspace_id, userId, invitation.role]
+    );
+
+    if (joined.rowCount === 0) {
+      throw new WorkspaceError('You are already a member of this workspace', 409);
+    }
+
+    await client.query('UPDATE workspace_invitations SET accepted_at = NOW() WHERE id = $1', [invitation.id]);
+
+    return { workspaceId: invitation.workspace_id, role: invitation.role };
+  });
+}
+
+module.exports = {
+  WorkspaceError,
+  createWorkspace,
+  listWorkspaces,
+  getWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  listMembers,
+  updateMemberRole,
+  removeMember,
+  listInvitations,
+  createInvitation,
+  revokeInvitation,
+  acceptInvitation
+};
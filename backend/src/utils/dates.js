@@ -0,0 +1,26 @@
+// Calendar dates (YYYY-MM-DD) as the analytics, report and export routes take them
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Whether value is a YYYY-MM-DD date that exists: 2026-02-31 isn't one,
+// though new Date() would roll it over to March 3
+function isValidDate(value) {
+  const match = DATE_PATTERN.exec(String(value));
+  if (!match) return false;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// The UTC date `days` days before today, as YYYY-MM-DD
+function daysAgo(days) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() - days);
+  return date.toISOString().split('T')[0];
+}
+
+module.exports = {
+  isValidDate,
+  daysAgo
+};
@@ -0,0 +1,141 @@
+// Identify uploaded files from their content rather than the name or the
+// Content-Type the client sent, and read a video's size and length from its
+// MP4/QuickTime headers (images are measured with sharp by the media service)
+
+const fs = require('fs');
+
+// Largest moov box probeVideoFile will read into memory; a longer one
+// (hours of video) leaves the size and length unknown
+const MAX_MOOV_BYTES = 64 * 1024 * 1024;
+
+// MIME type from the file's leading bytes; null for anything we don't accept
+function sniffMimeType(buffer) {
+  if (buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+    return buffer.toString('ascii', 8, 12) === 'qt  ' ? 'video/quicktime' : 'video/mp4';
+  }
+
+  return null;
+}
+
+// The boxes directly inside buffer[start, end) as [{ type, start, end }],
+// where start is the first byte after the box header
+function readBoxes(buffer, start = 0, end = buffer.length) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    let header = 8;
+
+    if (size === 1) {
+      if (offset + 16 > end) break;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+
+    if (size < header || offset + size > end) break;
+
+    boxes.push({ type, start: offset + header, end: offset + size });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+function findBox(buffer, parent, type) {
+  return readBoxes(buffer, parent.start, parent.end).find(box => box.type === type) || null;
+}
+
+// { width, height, durationMs } of an MP4/QuickTime file, any of them null
+// when the headers don't say. Width and height are as displayed, so a
+// portrait phone video recorded sideways comes out portrait.
+function probeVideo(buffer) {
+  const result = { width: null, height: null, durationMs: null };
+  const moov = readBoxes(buffer).find(box => box.type === 'moov');
+  if (!moov) return result;
+
+  const mvhd = findBox(buffer, moov, 'mvhd');
+  if (mvhd) {
+    const version = buffer[mvhd.start];
+    const timescale = buffer.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+    const duration = version === 1
+      ? Number(buffer.readBigUInt64BE(mvhd.start + 24))
+      : buffer.readUInt32BE(mvhd.start + 16);
+
+    if (timescale > 0) result.durationMs = Math.round(duration / timescale * 1000);
+  }
+
+  // The first track with a picture is the video track; audio tracks are 0x0
+  for (const trak of readBoxes(buffer, moov.start, moov.end).filter(box => box.type === 'trak')) {
+    const tkhd = findBox(buffer, trak, 'tkhd');
+    if (!tkhd) continue;
+
+    const version = buffer[tkhd.start];
+    const matrix = tkhd.start + (version === 1 ? 52 : 40);
+    const width = buffer.readUInt32BE(matrix + 36) / 65536;
+    const height = buffer.readUInt32BE(matrix + 40) / 65536;
+    if (!width || !height) continue;
+
+    // A rotation of 90 or 270 degrees leaves the matrix's first entry at 0
+    const rotated = buffer.readInt32BE(matrix) === 0;
+
+    result.width = Math.round(rotated ? height : width);
+    result.height = Math.round(rotated ? width : height);
+    break;
+  }
+
+  return result;
+}
+
+// probeVideo for a file on disk, reading only the top-level box headers and
+// the moov box rather than the whole video (moov may sit at either end)
+async function probeVideoFile(filePath) {
+  const file = await fs.promises.open(filePath, 'r');
+
+  try {
+    const { size: fileSize } = await file.stat();
+    const header = Buffer.alloc(16);
+    let offset = 0;
+
+    while (offset + 8 <= fileSize) {
+      await file.read(header, 0, 16, offset);
+      let size = header.readUInt32BE(0);
+      const type = header.toString('ascii', 4, 8);
+
+      if (size === 1) size = Number(header.readBigUInt64BE(8));
+      else if (size === 0) size = fileSize - offset;
+
+      if (size < 8 || offset + size > fileSize) break;
+
+      if (type === 'moov') {
+        if (size > MAX_MOOV_BYTES) break;
+
+        const moov = Buffer.alloc(size);
+        await file.read(moov, 0, size, offset);
+        return probeVideo(moov);
+      }
+
+      offset += size;
+    }
+
+    return { width: null, height: null, durationMs: null };
+  } finally {
+    await file.close();
+  }
+}
+
+module.exports = {
+  sniffMimeType,
+  probeVideo,
+  probeVideoFile
+};
@@ -0,0 +1,26 @@
+const { TOKEN_COLUMNS } = require('./tokenCrypto');
+
+// Columns that must never reach API clients, encrypted or not
+const SECRET_COLUMNS = new Set([...TOKEN_COLUMNS, 'password']);
+
+// Copy of a database row without secret columns
+function serializeRow(row) {
+  if (!row) return row;
+
+  const safe = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (!SECRET_COLUMNS.has(column)) {
+      safe[column] = value;
+    }
+  }
+  return safe;
+}
+
+function serializeRows(rows) {
+  return rows.map(serializeRow);
+}
+
+module.exports = {
+  serializeRow,
+  serializeRows
+};
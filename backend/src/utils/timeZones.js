@@ -0,0 +1,115 @@
+// Convert between UTC instants and wall-clock times in IANA time zones, using
+// the zone rules built into Intl, so daylight saving changes are applied
+// the way the zone's clocks actually change
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A date and time without an offset, e.g. "2026-03-29T09:00" (seconds optional)
+const LOCAL_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+// An ISO date-time with Z or a numeric offset, e.g. "2026-03-29T07:00:00Z"
+const OFFSET_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i;
+
+// One formatter per canonical zone name; building them is slow
+const formatters = new Map();
+
+function formatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  return formatters.get(timeZone);
+}
+
+// The canonical name of an IANA time zone ("europe/berlin" -> "Europe/Berlin"),
+// or null if it isn't one
+function normalizeTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !/^[A-Za-z][A-Za-z0-9_+\-/]*$/.test(timeZone)) return null;
+
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+// Calendar fields of an instant as the zone's clocks show it
+function zonedParts(instant, timeZone) {
+  const parts = {};
+
+  for (const { type, value } of formatter(timeZone).formatToParts(new Date(instant))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+
+  const { year, month, day, hour, minute, second } = parts;
+  return { year, month, day, hour, minute, second };
+}
+
+// How far the zone is ahead of UTC at the instant, in milliseconds
+function zoneOffset(instant, timeZone) {
+  const { year, month, day, hour, minute, second } = zonedParts(instant, timeZone);
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wall - Math.floor(instant / 1000) * 1000;
+}
+
+// The UTC instant (in ms) of a wall-clock time in the zone. A time the clocks
+// skip when DST starts is moved forward by the gap (02:30 becomes 03:30); a
+// time they pass twice when DST ends resolves to the first of the two.
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Offsets either side of any change near this time; one of them applies
+  const before = wall - zoneOffset(wall - DAY_MS, timeZone);
+  const after = wall - zoneOffset(wall + DAY_MS, timeZone);
+
+  const matches = [before, after].filter(instant => instant + zoneOffset(instant, timeZone) === wall);
+  return matches.length > 0 ? Math.min(...matches) : before;
+}
+
+// "YYYY-MM-DDTHH:MM:SS" for an instant in the zone
+function formatZonedTime(instant, timeZone) {
+  const { year, month, day, hour, minute, second } = zonedParts(instant, timeZone);
+  const pad = value => String(value).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}`;
+}
+
+// Read a requested date-time. One with Z or an offset is an exact instant;
+// one without is a wall-clock time in the zone. Returns a Date, or null if
+// the value isn't a date-time (or names a day that doesn't exist).
+function parseDateTime(value, timeZone) {
+  const text = String(value ?? '').trim();
+  const local = LOCAL_TIME_PATTERN.exec(text);
+
+  if (local) {
+    const [year, month, day, hour, minute, second] = local.slice(1).map(part => Number(part ?? 0));
+    const check = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+      return null;
+    }
+
+    return new Date(zonedTimeToUtc({ year, month, day, hour, minute, second }, timeZone));
+  }
+
+  if (!OFFSET_TIME_PATTERN.test(text)) return null;
+
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = {
+  normalizeTimeZone,
+  zonedParts,
+  zonedTimeToUtc,
+  formatZonedTime,
+  parseDateTime
+};
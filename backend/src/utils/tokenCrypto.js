@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+
+require('dotenv').config();
+
+// Envelope encryption for platform tokens stored in the database.
+//
+// Every value gets its own random data key (AES-256-GCM); the data key is
+// then wrapped with a master key from the environment. Stored values look like
+//   enc:<keyVersion>:<wrappedDataKey>:<iv>:<authTag>:<ciphertext>
+// so a master key can be rotated by adding a new version, switching
+// TOKEN_ENCRYPTION_KEY_VERSION to it and running `npm run encrypt-tokens`.
+//
+//   TOKEN_ENCRYPTION_KEYS="v1:<base64 32-byte key>,v2:<base64 32-byte key>"
+//   TOKEN_ENCRYPTION_KEY_VERSION=v2   (defaults to the last key listed)
+
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+
+// Columns holding platform tokens, in any table
+const TOKEN_COLUMNS = ['access_token', 'refresh_token', 'page_access_token'];
+
+function loadKeys() {
+  const keys = new Map();
+
+  for (const entry of (process.env.TOKEN_ENCRYPTION_KEYS || '').split(',')) {
+    const [version, encoded] = entry.trim().split(':');
+    if (!version || !encoded) continue;
+
+    const key = Buffer.from(encoded, 'base64');
+    if (key.length !== 32) {
+      throw new Error(`Token encryption key ${version} must be 32 bytes`);
+    }
+    keys.set(version, key);
+  }
+
+  return keys;
+}
+
+const keys = loadKeys();
+const activeVersion = process.env.TOKEN_ENCRYPTION_KEY_VERSION || [...keys.keys()].pop();
+
+function getKey(version) {
+  const key = keys.get(version);
+  if (!key) {
+    throw new Error(`Token encryption key ${version || '(none)'} is not configured; set TOKEN_ENCRYPTION_KEYS`);
+  }
+  return key;
+}
+
+// AES-256-GCM output packed as iv | authTag | ciphertext
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function open(key, { iv, tag, ciphertext }) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+function encryptToken(plaintext) {
+  if (plaintext === null || plaintext === undefined) return plaintext;
+
+  const dataKey = crypto.randomBytes(32);
+  const wrapped = seal(getKey(activeVersion), dataKey);
+  const sealed = seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+
+  return [
+    PREFIX,
+    activeVersion,
+    Buffer.concat([wrapped.iv, wrapped.tag, wrapped.ciphertext]).toString('base64url'),
+    sealed.iv.toString('base64url'),
+    sealed.tag.toString('base64url'),
+    sealed.ciphertext.toString('base64url')
+  ].join(':');
+}
+
+// Plaintext values written before encryption was enabled are returned as-is
+// until the migration script encrypts them
+function decryptToken(value) {
+  if (!isEncrypted(value)) return value;
+
+  const [, version, wrappedKey, iv, tag, ciphertext] = value.split(':');
+  const wrapped = Buffer.from(wrappedKey, 'base64url');
+
+  const dataKey = open(getKey(version), {
+    iv: wrapped.subarray(0, 12),
+    tag: wrapped.subarray(12, 28),
+    ciphertext: wrapped.subarray(28)
+  });
+
+  return open(dataKey, {
+    iv: Buffer.from(iv, 'base64url'),
+    tag: Buffer.from(tag, 'base64url'),
+    ciphertext: Buffer.from(ciphertext, 'base64url')
+  }).toString('utf8');
+}
+
+// True for plaintext values and values sealed with a retired key version
+function needsReencryption(value) {
+  if (value === null || value === undefined) return false;
+  if (!isEncrypted(value)) return true;
+
+  return value.split(':')[1] !== activeVersion;
+}
+
+// Copy of a database row with its token columns decrypted
+function decryptTokens(row) {
+  if (!row) return row;
+
+  const decrypted = { ...row };
+  for (const column of TOKEN_COLUMNS) {
+    if (column in decrypted) {
+      decrypted[column] = decryptToken(decrypted[column]);
+    }
+  }
+  return decrypted;
+}
+
+module.exports = {
+  TOKEN_COLUMNS,
+  encryptToken,
+  decryptToken,
+  decryptTokens,
+  needsReencryption
+};
@@ -0,0 +1,27 @@
+// Standalone background jobs process, for running them apart from the API:
+//   SCHEDULER_ENABLED=false npm run dev   (API only)
+//   npm run worker                        (background jobs only)
+const { startScheduler } = require('./services/scheduler');
+const { startTokenRefresher } = require('./services/tokenManager');
+const { startMetricsCollector } = require('./services/metricsCollector');
+const { startExportWorker } = require('./services/exportJobs');
+const { startContentSyncer } = require('./services/contentSync');
+const { startSyncJobWorker } = require('./services/syncJobs');
+
+const stops = [
+  startScheduler(),
+  startTokenRefresher(),
+  startMetricsCollector(),
+  startExportWorker(),
+  startContentSyncer(),
+  startSyncJobWorker()
+];
+
+// Let in-flight work finish before exiting, so no post is cut off mid-publish
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    console.log(`${signal} received, finishing in-flight work`);
+    await Promise.all(stops.map(stop => stop()));
+    process.exit(0);
+  });
+}